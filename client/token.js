@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+/*
+ * SPDX-License-Identifier: Apache-2.0
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { TokenClient, TokenError } = require('./tokenClient');
+
+// ================== Commands ==========================
+// 每個指令: 參數說明, 執行函式 (client, 位置參數, 選項)
+
+const commands = {
+    info: ['', (client) => client.getTokenInfo()],
+    metadata: ['<file.json>', (client, [file]) => client.updateMetadata(JSON.parse(fs.readFileSync(file, 'utf8')))],
+    whoami: ['', (client) => client.clientAccountID()],
+    balance: ['[owner]', async (client, [owner]) => owner ? client.balanceOf(owner) : client.clientAccountBalance()],
+    locked: ['<owner>', (client, [owner]) => client.lockedBalanceOf(owner)],
+    transfer: ['<to> <value>', (client, [to, value]) => client.transfer(to, value)],
+    'transfer-from': ['<from> <to> <value>', (client, [from, to, value]) => client.transferFrom(from, to, value)],
+    'batch-transfer': ['<file.json>', (client, [file]) => client.batchTransfer(JSON.parse(fs.readFileSync(file, 'utf8')))],
+    quote: ['<from> <to> <value>', (client, [from, to, value]) => client.quoteTransfer(from, to, value)],
+    approve: ['<spender> <value>', (client, [spender, value]) => client.approve(spender, value)],
+    allowance: ['<owner> <spender>', (client, [owner, spender]) => client.allowance(owner, spender)],
+    mint: ['<amount> [recipient]', (client, [amount, recipient]) => recipient ? client.mintTo(recipient, amount) : client.mint(amount)],
+    burn: ['<amount> [account]', (client, [amount, account]) => account ? client.burnFrom(account, amount) : client.burn(amount)],
+    history: ['[account] [--page-size n] [--bookmark b] [--from t] [--to t] [--direction in|out]', async (client, [account], options) =>
+        client.getTransactionData(account || await client.clientAccountID(),
+            options['page-size'], options.bookmark, options.from, options.to, options.direction)],
+    account: ['[account]', async (client, [account]) => client.getAccount(account || await client.clientAccountID())],
+    signup: ['[displayName]', (client, [displayName]) => client.signup('', displayName)],
+    pause: ['', (client) => client.pause()],
+    unpause: ['', (client) => client.unpause()],
+    freeze: ['<account> <reason>', (client, [account, reason]) => client.freezeAccount(account, reason)],
+    unfreeze: ['<account>', (client, [account]) => client.unfreezeAccount(account)],
+    'grant-role': ['<role> <memberType> <member>', (client, args) => client.grantRole(...args)],
+    'revoke-role': ['<role> <memberType> <member>', (client, args) => client.revokeRole(...args)],
+    snapshot: ['', (client) => client.snapshot()],
+    audit: ['[--page-size n]', async (client, args, options) => {
+        // 自動翻頁直到稽核結束
+        const discrepancies = [];
+        let report;
+        let bookmark = '';
+        do {
+            report = await client.auditLedger(options['page-size'], bookmark);
+            discrepancies.push(...report.discrepancies);
+            bookmark = report.bookmark;
+        } while (bookmark);
+        return { discrepancies, supply: report.supply };
+    }],
+    migrate: ['[--batch-size n]', async (client, args, options, stdout) => {
+        // 重複呼叫直到遷移完成
+        let progress;
+        do {
+            progress = await client.migrateState(options['batch-size']);
+            stdout.write(`${progress.phase}: ${progress.balances} balances, ${progress.history} history records\n`);
+        } while (!progress.done);
+        return progress;
+    }],
+    events: ['[--start-block n] [--types Transfer,Approval]', async (client, args, options, stdout) => {
+        const eventOptions = {};
+        if (options['start-block']) {
+            eventOptions.startBlock = BigInt(options['start-block']);
+        }
+        if (options.types) {
+            eventOptions.types = options.types.split(',');
+        }
+        for await (const event of client.events(eventOptions)) {
+            stdout.write(`${JSON.stringify({ ...event, blockNumber: event.blockNumber.toString() })}\n`);
+        }
+    }],
+    call: ['<Transaction> [args...]', (client, [transaction, ...args]) => {
+        const method = transaction ? transaction.charAt(0).toLowerCase() + transaction.slice(1) : '';
+        if (typeof client[method] !== 'function' || method.startsWith('_')) {
+            throw new TokenError('INVALID_ARGUMENT', `unknown transaction ${transaction}`);
+        }
+        return client[method](...args);
+    }],
+};
+
+// 解析命令列, --name value 是選項, 其他是位置參數
+function parseArgs(argv) {
+    const positional = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            options[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        } else {
+            positional.push(argv[i]);
+        }
+    }
+    return { positional, options };
+}
+
+function usage() {
+    const lines = Object.entries(commands).map(([name, [params]]) => `  token ${name} ${params}`.trimEnd());
+    return `usage:\n${lines.join('\n')}\n`;
+}
+
+/**
+ * Run a CLI command.
+ *
+ * @param {String[]} argv The arguments after the program name
+ * @param {Object} io
+ * @param {Function} io.connect Returns { client, close } for a TokenClient, see connectGateway
+ * @param {Object} io.stdout Stream for results
+ * @param {Object} io.stderr Stream for errors
+ * @returns {Promise<Number>} The exit code
+ */
+// 執行一個指令, 回傳結束代碼
+async function run(argv, { connect, stdout, stderr }) {
+    const { positional, options } = parseArgs(argv);
+    const [name, ...args] = positional;
+    if (!commands[name]) {
+        stderr.write(usage());
+        return 2;
+    }
+
+    const { client, close } = await connect();
+    try {
+        const result = await commands[name][1](client, args, options, stdout);
+        if (result !== undefined) {
+            stdout.write(`${typeof result === 'string' ? result : JSON.stringify(result, null, 2)}\n`);
+        }
+        return 0;
+    } catch (err) {
+        if (err instanceof TokenError) {
+            stderr.write(`${err.code}: ${err.message}\n`);
+            return 1;
+        }
+        throw err;
+    } finally {
+        close();
+    }
+}
+
+/**
+ * Connect to a peer's Fabric Gateway with the settings in the environment:
+ * TOKEN_PEER_ENDPOINT (e.g. localhost:7051), TOKEN_PEER_HOST_ALIAS, TOKEN_TLS_CERT, TOKEN_MSP_ID,
+ * TOKEN_CERT, TOKEN_KEY (paths to PEM files), TOKEN_CHANNEL and TOKEN_CHAINCODE.
+ *
+ * @param {Object} env The environment
+ * @returns {Promise<Object>} The client and a function to close the connection
+ */
+// 依環境變數連線到Fabric Gateway
+async function connectGateway(env) {
+    const grpc = require('@grpc/grpc-js');
+    const { connect, signers } = require('@hyperledger/fabric-gateway');
+
+    const required = ['TOKEN_PEER_ENDPOINT', 'TOKEN_TLS_CERT', 'TOKEN_MSP_ID', 'TOKEN_CERT', 'TOKEN_KEY', 'TOKEN_CHANNEL', 'TOKEN_CHAINCODE'];
+    const missing = required.filter((name) => !env[name]);
+    if (missing.length > 0) {
+        throw new Error(`missing environment variables: ${missing.join(', ')}`);
+    }
+
+    const tlsCredentials = grpc.credentials.createSsl(fs.readFileSync(env.TOKEN_TLS_CERT));
+    const grpcOptions = env.TOKEN_PEER_HOST_ALIAS ? { 'grpc.ssl_target_name_override': env.TOKEN_PEER_HOST_ALIAS } : {};
+    const grpcClient = new grpc.Client(env.TOKEN_PEER_ENDPOINT, tlsCredentials, grpcOptions);
+
+    const privateKey = require('crypto').createPrivateKey(fs.readFileSync(env.TOKEN_KEY));
+    const gateway = connect({
+        client: grpcClient,
+        identity: { mspId: env.TOKEN_MSP_ID, credentials: fs.readFileSync(env.TOKEN_CERT) },
+        signer: signers.newPrivateKeySigner(privateKey),
+    });
+
+    const network = gateway.getNetwork(env.TOKEN_CHANNEL);
+    const client = new TokenClient(network.getContract(env.TOKEN_CHAINCODE), { network, chaincodeName: env.TOKEN_CHAINCODE });
+    return {
+        client,
+        close: () => {
+            gateway.close();
+            grpcClient.close();
+        },
+    };
+}
+
+if (require.main === module) {
+    run(process.argv.slice(2), { connect: () => connectGateway(process.env), stdout: process.stdout, stderr: process.stderr })
+        .then((code) => {
+            process.exitCode = code;
+        })
+        .catch((err) => {
+            process.stderr.write(`${path.basename(process.argv[1])}: ${err.message}\n`);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = { run, connectGateway, commands };
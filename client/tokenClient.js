@@ -0,0 +1,1440 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+*/
+
+'use strict';
+
+const crypto = require('crypto');
+
+// Error codes for chaincode messages that do not start with their own code
+const errorPatterns = [
+    ['NOT_AUTHORIZED', /not authorized|only the .* can|cannot approve its own/],
+    ['INSUFFICIENT_FUNDS', /insufficient (private )?funds|not have enough allowance|has no allowance/],
+    ['PAUSED', /contract is paused/],
+    ['FROZEN', /is frozen/],
+    ['ACCOUNT_INACTIVE', /no signup|is not verified|is (closed|retired)/],
+    ['NOT_FOUND', /does not exist/],
+    ['NOT_INITIALIZED', /call Initialize\(\)/],
+    ['INVALID_ARGUMENT', /must be|cannot be|is not a valid|is required|more than \d+ decimal places/],
+];
+
+/**
+ * Error thrown by TokenClient. `code` is the chaincode's own code (e.g. TRANSFER_LIMIT_EXCEEDED),
+ * one of the codes in errorPatterns, COMMIT_FAILED when the transaction was endorsed but not committed,
+ * or CHAINCODE_ERROR / GATEWAY_ERROR when nothing more specific is known.
+ */
+class TokenError extends Error {
+    constructor(code, message, properties) {
+        super(message);
+        this.name = 'TokenError';
+        this.code = code;
+        Object.assign(this, properties);
+    }
+}
+
+// 把Gateway的錯誤轉成TokenError
+function mapError(err, transaction) {
+    if (err instanceof TokenError) {
+        return err;
+    }
+
+    // CommitError: 交易已背書但驗證失敗, 例如MVCC衝突
+    if (err.transactionId && typeof err.code === 'number' && !err.details) {
+        return new TokenError('COMMIT_FAILED', `transaction ${err.transactionId} failed to commit with status ${err.code}`,
+            { transaction, transactionId: err.transactionId, cause: err });
+    }
+
+    // EndorseError, SubmitError: 背書節點回傳的訊息在details裡, 沒有details代表連線或gRPC層級的錯誤
+    if (Array.isArray(err.details) && err.details.length === 0) {
+        return new TokenError('GATEWAY_ERROR', err.message, { transaction, transactionId: err.transactionId, cause: err });
+    }
+    const raw = Array.isArray(err.details) ? err.details[0].message : err.message;
+    const message = String(raw).replace(/^chaincode response \d+, /, '');
+
+    const ownCode = /^([A-Z][A-Z_]+): /.exec(message);
+    const pattern = errorPatterns.find(([, regex]) => regex.test(message));
+    const code = ownCode ? ownCode[1] : pattern ? pattern[0] : 'CHAINCODE_ERROR';
+    return new TokenError(code, message, { transaction, transactionId: err.transactionId, cause: err });
+}
+
+// 物件參數轉成合約接受的JSON字串, 字串原樣傳遞
+function toJSON(value) {
+    return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+// 把一個TokenEvent拆成個別的事件
+function unpackEvents(chaincodeEvent, types) {
+    if (chaincodeEvent.eventName !== 'TokenEvent') {
+        return [];
+    }
+    const payload = JSON.parse(Buffer.from(chaincodeEvent.payload).toString());
+    return payload.events
+        .filter((event) => !types || types.includes(event.type))
+        .map((event) => ({ ...event, txId: payload.txId, blockNumber: chaincodeEvent.blockNumber }));
+}
+
+/**
+ * Client for the token contract. It wraps a Contract and optionally a Network of the Fabric Gateway
+ * (`@hyperledger/fabric-gateway`); anything with the same `submit` and `evaluate` methods works too,
+ * so a local stand-in can be passed for testing.
+ *
+ * Every contract transaction has a method with a lower camel case name and the transaction's arguments,
+ * e.g. `balanceOf(owner)`, `transfer(to, value)` or `getTransactionData(account, pageSize)`, which submits
+ * or evaluates it as the transaction requires. Amount arguments accept a decimal string, a number, or
+ * a BigInt in base units which is formatted with `Decimals()`. Object arguments such as a fee policy are
+ * sent as JSON. Amounts in results are decimal strings. Failures are thrown as TokenError.
+ */
+class TokenClient {
+
+    /**
+     * @param {Object} contract The Gateway contract, with submit(name, options) and evaluate(name, options)
+     * @param {Object} [options]
+     * @param {Object} [options.network] The Gateway network, needed for events
+     * @param {String} [options.chaincodeName] The chaincode name, needed for events
+     */
+    constructor(contract, options = {}) {
+        this.contract = contract;
+        this.network = options.network;
+        this.chaincodeName = options.chaincodeName;
+        this._decimals = undefined;
+    }
+
+    /**
+     * Return the decimals of the token, read from the contract once.
+     *
+     * @returns {Promise<Number>} The decimals
+     */
+    // 讀取並快取代幣的小數位數
+    async getDecimals() {
+        if (this._decimals === undefined) {
+            this._decimals = await this.decimals();
+        }
+        return this._decimals;
+    }
+
+    /**
+     * Convert an amount to the decimal string the contract expects.
+     *
+     * @param {String|Number|BigInt} amount A decimal string, a number, or a BigInt in base units
+     * @param {Number} [decimals] The decimals of a BigInt amount, read from the contract when omitted
+     * @returns {Promise<String>} The decimal string
+     */
+    // 金額轉成合約接受的十進位字串
+    async formatAmount(amount, decimals) {
+        if (typeof amount === 'bigint') {
+            if (amount < 0n) {
+                throw new TokenError('INVALID_ARGUMENT', `amount ${amount} cannot be negative`);
+            }
+            if (decimals === undefined) {
+                decimals = await this.getDecimals();
+            }
+            const digits = amount.toString().padStart(decimals + 1, '0');
+            if (decimals === 0) {
+                return digits;
+            }
+            const fraction = digits.slice(-decimals).replace(/0+$/, '');
+            return fraction ? `${digits.slice(0, -decimals)}.${fraction}` : digits.slice(0, -decimals);
+        }
+        if (typeof amount === 'number') {
+            if (!Number.isFinite(amount) || /e/i.test(String(amount))) {
+                throw new TokenError('INVALID_ARGUMENT', `amount ${amount} cannot be written as a decimal number, pass a string`);
+            }
+            return String(amount);
+        }
+        return String(amount);
+    }
+
+    /**
+     * Convert a decimal string returned by the contract to base units.
+     *
+     * @param {String} value The decimal string, e.g. "1.25"
+     * @returns {Promise<BigInt>} The amount in base units
+     */
+    // 十進位字串轉成最小單位
+    async parseAmount(value) {
+        const decimals = await this.getDecimals();
+        if (!/^\d+(\.\d+)?$/.test(String(value))) {
+            throw new TokenError('INVALID_ARGUMENT', `amount ${value} is not a valid decimal number`);
+        }
+        const [whole, fraction = ''] = String(value).split('.');
+        if (fraction.length > decimals) {
+            throw new TokenError('INVALID_ARGUMENT', `amount ${value} has more than ${decimals} decimal places`);
+        }
+        return BigInt(whole + fraction.padEnd(decimals, '0'));
+    }
+
+    // ================== Accounts ==========================
+
+    /**
+     * Register an account, see signup in the contract.
+     *
+     * @param {String} [userAddress] The identity to register, empty for the calling client
+     * @param {String} [displayName] The display name of the account
+     * @returns {Promise<Object>} The account record
+     */
+    // 註冊帳戶
+    async signup(userAddress, displayName) {
+        return this._call('signup', 'submit', [userAddress, displayName], 'json');
+    }
+
+    /**
+     * Return the record of a registered account.
+     *
+     * @param {String} account The account
+     * @returns {Promise<Object>} The account record
+     */
+    // 讀取帳戶資料
+    async getAccount(account) {
+        return this._call('GetAccount', 'evaluate', [account], 'json');
+    }
+
+    /**
+     * Update the display name or the KYC status of an account. Empty arguments leave the field unchanged,
+     * but one of them must be given.
+     *
+     * @param {String} account The account
+     * @param {String} [displayName] The new display name
+     * @param {String} [kycStatus] pending, verified or rejected
+     * @returns {Promise<Object>} The updated account record
+     */
+    // 更新帳戶資料
+    async updateAccount(account, displayName, kycStatus) {
+        return this._call('UpdateAccount', 'submit', [account, displayName, kycStatus], 'json');
+    }
+
+    /**
+     * Close an account whose balance was moved out.
+     *
+     * @param {String} account The account
+     * @returns {Promise<Object>} The closed account record
+     */
+    // 關閉帳戶
+    async closeAccount(account) {
+        return this._call('CloseAccount', 'submit', [account], 'json');
+    }
+
+    /**
+     * List the registered accounts page by page.
+     *
+     * @param {String|Number} [pageSize] The number of accounts per page
+     * @param {String} [bookmark] The bookmark of the previous page
+     * @returns {Promise<Object>} The accounts, their count and the bookmark of the next page
+     */
+    // 分頁列出帳戶
+    async listAccounts(pageSize, bookmark) {
+        return this._call('ListAccounts', 'evaluate', [pageSize, bookmark], 'json');
+    }
+
+    /**
+     * Return the identity of the calling client.
+     *
+     * @returns {Promise<String>} The client identity
+     */
+    // 讀取呼叫者的身分
+    async clientAccountID() {
+        return this._call('ClientAccountID', 'evaluate', [], 'string');
+    }
+
+    /**
+     * Return the balance of the calling client.
+     *
+     * @returns {Promise<String>} The balance
+     */
+    // 讀取呼叫者的餘額
+    async clientAccountBalance() {
+        return this._call('ClientAccountBalance', 'evaluate', [], 'string');
+    }
+
+    // ================== Token ==========================
+
+    /**
+     * Initialize the token, see Initialize in the contract.
+     *
+     * @param {String} name The name of the token
+     * @param {String} symbol The symbol of the token
+     * @param {String|Number} decimals The decimals of the token
+     * @param {String|Number|BigInt} [maxSupply] The hard cap of the total supply, empty for an uncapped token
+     * @param {Object|String} [feePolicy] The fee policy as accepted by setFeePolicy
+     * @returns {Promise<Boolean>} Whether the token was initialized
+     */
+    // 初始化代幣
+    async initialize(name, symbol, decimals, maxSupply, feePolicy) {
+        // 合約初始化前讀不到Decimals(), 以傳入的小數位數換算maxSupply
+        const args = [name, symbol, decimals, await this._amount(maxSupply, parseInt(decimals)), toJSON(feePolicy)];
+        return this._call('Initialize', 'submit', args, 'json');
+    }
+
+    /**
+     * Return the name of the token.
+     *
+     * @returns {Promise<String>} The name
+     */
+    // 讀取代幣名稱
+    async tokenName() {
+        return this._call('TokenName', 'evaluate', [], 'string');
+    }
+
+    /**
+     * Return the symbol of the token.
+     *
+     * @returns {Promise<String>} The symbol
+     */
+    // 讀取代幣符號
+    async symbol() {
+        return this._call('Symbol', 'evaluate', [], 'string');
+    }
+
+    /**
+     * Return the decimals of the token as read from the contract. Use getDecimals() for the cached value.
+     *
+     * @returns {Promise<Number>} The decimals
+     */
+    // 讀取代幣的小數位數
+    async decimals() {
+        return this._call('Decimals', 'evaluate', [], 'json');
+    }
+
+    /**
+     * Return the total supply.
+     *
+     * @returns {Promise<String>} The total supply
+     */
+    // 讀取總供給量
+    async totalSupply() {
+        return this._call('TotalSupply', 'evaluate', [], 'string');
+    }
+
+    /**
+     * Return the hard cap of the total supply.
+     *
+     * @returns {Promise<String>} The max supply, empty when the token is uncapped
+     */
+    // 讀取供給上限
+    async maxSupply() {
+        return this._call('MaxSupply', 'evaluate', [], 'string');
+    }
+
+    /**
+     * Return the token's metadata, supply and state version in one call.
+     *
+     * @returns {Promise<Object>} { stateVersion, name, symbol, decimals, description, issuer, iconUri, totalSupply, maxSupply, paused }
+     */
+    // 讀取代幣資訊
+    async getTokenInfo() {
+        return this._call('GetTokenInfo', 'evaluate', [], 'json');
+    }
+
+    /**
+     * Update the token metadata. Fields left out keep their value.
+     *
+     * @param {Object|String} metadata { name, symbol, description, issuer, iconUri }
+     * @returns {Promise<Object>} The token info
+     */
+    // 更新代幣資訊
+    async updateMetadata(metadata) {
+        return this._call('UpdateMetadata', 'submit', [toJSON(metadata)], 'json');
+    }
+
+    /**
+     * Upgrade the state written by an older version of the contract, call it until `done` is true.
+     *
+     * @param {String|Number} [batchSize] The number of keys migrated per call
+     * @returns {Promise<Object>} { fromVersion, stateVersion, phase, balances, history, skipped, done }
+     */
+    // 升級舊版合約的帳本狀態
+    async migrateState(batchSize) {
+        return this._call('MigrateState', 'submit', [batchSize], 'json');
+    }
+
+    // ================== Balances and transfers ==========================
+
+    /**
+     * Return the balance of an account.
+     *
+     * @param {String} owner The account
+     * @returns {Promise<String>} The balance
+     */
+    // 讀取餘額
+    async balanceOf(owner) {
+        return this._call('BalanceOf', 'evaluate', [owner], 'string');
+    }
+
+    /**
+     * Transfer tokens from the calling client.
+     *
+     * @param {String} to The recipient
+     * @param {String|Number|BigInt} value The amount of tokens
+     * @returns {Promise<Boolean>} Whether the transfer was successful
+     */
+    // 轉帳
+    async transfer(to, value) {
+        return this._call('Transfer', 'submit', [to, await this._amount(value)], 'json');
+    }
+
+    /**
+     * Transfer tokens of another account, spending the allowance it granted to the calling client.
+     *
+     * @param {String} from The sender
+     * @param {String} to The recipient
+     * @param {String|Number|BigInt} value The amount of tokens
+     * @returns {Promise<Boolean>} Whether the transfer was successful
+     */
+    // 以授權額度轉帳
+    async transferFrom(from, to, value) {
+        return this._call('TransferFrom', 'submit', [from, to, await this._amount(value)], 'json');
+    }
+
+    /**
+     * Transfer tokens to many recipients in one transaction.
+     *
+     * @param {Object[]|String} transfers [{ to, value }], the values are amounts as for transfer()
+     * @returns {Promise<Object>} The number of transfers and the total amount sent
+     */
+    // 批次轉帳
+    async batchTransfer(transfers) {
+        if (Array.isArray(transfers)) {
+            transfers = await Promise.all(transfers.map(async (leg) => ({ ...leg, value: await this._amount(leg.value) })));
+        }
+        return this._call('BatchTransfer', 'submit', [toJSON(transfers)], 'json');
+    }
+
+    /**
+     * Preview the fee of a transfer.
+     *
+     * @param {String} from The sender
+     * @param {String} to The recipient
+     * @param {String|Number|BigInt} value The amount of tokens
+     * @returns {Promise<Object>} The gross amount, the fee and the net amount
+     */
+    // 試算轉帳手續費
+    async quoteTransfer(from, to, value) {
+        return this._call('QuoteTransfer', 'evaluate', [from, to, await this._amount(value)], 'json');
+    }
+
+    /**
+     * Query the transaction history of an account page by page, oldest first.
+     *
+     * @param {String} userAddress The account
+     * @param {String|Number} [pageSize] The number of records scanned per page
+     * @param {String} [bookmark] The bookmark of the previous page
+     * @param {String|Number} [fromTime] Only records at or after this unix time in seconds
+     * @param {String|Number} [toTime] Only records at or before this unix time in seconds
+     * @param {String} [direction] 'in' or 'out'
+     * @returns {Promise<Object>} The records, their count and the bookmark of the next page
+     */
+    // 分頁查詢交易紀錄
+    async getTransactionData(userAddress, pageSize, bookmark, fromTime, toTime, direction) {
+        return this._call('getTransactionData', 'evaluate', [userAddress, pageSize, bookmark, fromTime, toTime, direction], 'json');
+    }
+
+    // ================== Allowances ==========================
+
+    /**
+     * Allow a spender to spend tokens of the calling client, replacing the current allowance.
+     *
+     * @param {String} spender The spender
+     * @param {String|Number|BigInt} value The allowance
+     * @returns {Promise<Boolean>} Whether the approval was successful
+     */
+    // 設定授權額度
+    async approve(spender, value) {
+        return this._call('Approve', 'submit', [spender, await this._amount(value)], 'json');
+    }
+
+    /**
+     * Return how much a spender can still spend of an owner's tokens.
+     *
+     * @param {String} owner The owner
+     * @param {String} spender The spender
+     * @returns {Promise<String>} The allowance
+     */
+    // 讀取授權額度
+    async allowance(owner, spender) {
+        return this._call('Allowance', 'evaluate', [owner, spender], 'string');
+    }
+
+    /**
+     * Increase the allowance granted to a spender by the calling client.
+     *
+     * @param {String} spender The spender
+     * @param {String|Number|BigInt} addedValue The amount to add
+     * @returns {Promise<String>} The updated allowance
+     */
+    // 增加授權額度
+    async increaseAllowance(spender, addedValue) {
+        return this._call('IncreaseAllowance', 'submit', [spender, await this._amount(addedValue)], 'string');
+    }
+
+    /**
+     * Decrease the allowance granted to a spender by the calling client.
+     *
+     * @param {String} spender The spender
+     * @param {String|Number|BigInt} subtractedValue The amount to remove
+     * @returns {Promise<String>} The updated allowance
+     */
+    // 減少授權額度
+    async decreaseAllowance(spender, subtractedValue) {
+        return this._call('DecreaseAllowance', 'submit', [spender, await this._amount(subtractedValue)], 'string');
+    }
+
+    // ================== Fees and limits ==========================
+
+    /**
+     * Set the transfer fee, see SetFeePolicy in the contract.
+     *
+     * @param {Object|String} [feePolicy] { treasury, flatFee, basisPoints, minFee, maxFee, exempt }, empty to charge no fee
+     * @returns {Promise<Object>} The fee policy, null when it was removed
+     */
+    // 設定手續費
+    async setFeePolicy(feePolicy) {
+        return this._call('SetFeePolicy', 'submit', [toJSON(feePolicy)], 'json');
+    }
+
+    /**
+     * Return the current fee policy.
+     *
+     * @returns {Promise<Object>} The fee policy, null when no fee is charged
+     */
+    // 讀取手續費設定
+    async getFeePolicy() {
+        return this._call('GetFeePolicy', 'evaluate', [], 'json');
+    }
+
+    /**
+     * Limit how much an account, or every account, can send per transfer and per rolling window.
+     *
+     * @param {String} [account] The account, empty for the global limits
+     * @param {String|Number|BigInt} [maxPerTransfer] The largest single transfer, empty for no limit
+     * @param {String|Number|BigInt} [windowLimit] The largest total per window, empty for no limit
+     * @param {String|Number} [windowSeconds] The length of the window in seconds
+     * @returns {Promise<Object>} The limits now in effect for the account
+     */
+    // 設定轉帳限額
+    async setTransferLimit(account, maxPerTransfer, windowLimit, windowSeconds) {
+        return this._call('SetTransferLimit', 'submit',
+            [account, await this._amount(maxPerTransfer), await this._amount(windowLimit), windowSeconds], 'json');
+    }
+
+    /**
+     * Remove the limits of an account, or the global limits when account is empty.
+     *
+     * @param {String} [account] The account
+     * @returns {Promise<Boolean>} Whether the limits were removed
+     */
+    // 移除轉帳限額
+    async removeTransferLimit(account) {
+        return this._call('RemoveTransferLimit', 'submit', [account], 'json');
+    }
+
+    /**
+     * Return the limits in effect for an account and how much it can still send.
+     *
+     * @param {String} [account] The account, empty for the global limits
+     * @returns {Promise<Object>} The limits, their source, the usage and the remaining amount
+     */
+    // 讀取轉帳限額
+    async getTransferLimit(account) {
+        return this._call('GetTransferLimit', 'evaluate', [account], 'json');
+    }
+
+    // ================== Minting and burning ==========================
+
+    /**
+     * Mint tokens to the calling client.
+     *
+     * @param {String|Number|BigInt} amount The amount of tokens
+     * @returns {Promise<Boolean>} Whether the mint was successful
+     */
+    // 鑄造代幣
+    async mint(amount) {
+        return this._call('Mint', 'submit', [await this._amount(amount)], 'json');
+    }
+
+    /**
+     * Mint tokens directly to a verified account.
+     *
+     * @param {String} recipient The recipient
+     * @param {String|Number|BigInt} amount The amount of tokens
+     * @returns {Promise<Boolean>} Whether the mint was successful
+     */
+    // 鑄造代幣給指定帳戶
+    async mintTo(recipient, amount) {
+        return this._call('MintTo', 'submit', [recipient, await this._amount(amount)], 'json');
+    }
+
+    /**
+     * Limit how much a minter can mint per rolling period.
+     *
+     * @param {String} minter The minter's identity
+     * @param {String|Number|BigInt} limit The amount per period
+     * @param {String|Number} period The length of the period in seconds
+     * @returns {Promise<Object>} The quota as getMintQuota() returns it
+     */
+    // 設定鑄造額度
+    async setMintQuota(minter, limit, period) {
+        return this._call('SetMintQuota', 'submit', [minter, await this._amount(limit), period], 'json');
+    }
+
+    /**
+     * Remove the quota of a minter.
+     *
+     * @param {String} minter The minter's identity
+     * @returns {Promise<Boolean>} Whether the quota was removed
+     */
+    // 移除鑄造額度
+    async removeMintQuota(minter) {
+        return this._call('RemoveMintQuota', 'submit', [minter], 'json');
+    }
+
+    /**
+     * Return the quota of a minter and how much of it is left.
+     *
+     * @param {String} minter The minter's identity
+     * @returns {Promise<Object>} The limit, period, window start, used and remaining amounts
+     */
+    // 讀取鑄造額度
+    async getMintQuota(minter) {
+        return this._call('GetMintQuota', 'evaluate', [minter], 'json');
+    }
+
+    /**
+     * Burn tokens of the calling client.
+     *
+     * @param {String|Number|BigInt} amount The amount of tokens
+     * @returns {Promise<Boolean>} Whether the burn was successful
+     */
+    // 銷毀代幣
+    async burn(amount) {
+        return this._call('Burn', 'submit', [await this._amount(amount)], 'json');
+    }
+
+    /**
+     * Burn tokens of another account, spending the allowance it granted to the calling client.
+     *
+     * @param {String} account The account
+     * @param {String|Number|BigInt} amount The amount of tokens
+     * @returns {Promise<Boolean>} Whether the burn was successful
+     */
+    // 以授權額度銷毀代幣
+    async burnFrom(account, amount) {
+        return this._call('BurnFrom', 'submit', [account, await this._amount(amount)], 'json');
+    }
+
+    // ================== Redemptions ==========================
+
+    /**
+     * Lock tokens of the calling client and ask for their redemption.
+     *
+     * @param {String|Number|BigInt} amount The amount of tokens
+     * @returns {Promise<Object>} The redemption request
+     */
+    // 申請贖回
+    async requestRedemption(amount) {
+        return this._call('RequestRedemption', 'submit', [await this._amount(amount)], 'json');
+    }
+
+    /**
+     * Approve a pending redemption and burn its tokens.
+     *
+     * @param {String} id The redemption id
+     * @returns {Promise<Object>} The approved redemption
+     */
+    // 核准贖回
+    async approveRedemption(id) {
+        return this._call('ApproveRedemption', 'submit', [id], 'json');
+    }
+
+    /**
+     * Reject a pending redemption and release its tokens.
+     *
+     * @param {String} id The redemption id
+     * @param {String} reason Why the request is rejected
+     * @returns {Promise<Object>} The rejected redemption
+     */
+    // 拒絕贖回
+    async rejectRedemption(id, reason) {
+        return this._call('RejectRedemption', 'submit', [id, reason], 'json');
+    }
+
+    /**
+     * Return a redemption request.
+     *
+     * @param {String} id The redemption id
+     * @returns {Promise<Object>} The redemption request
+     */
+    // 讀取贖回申請
+    async getRedemption(id) {
+        return this._call('GetRedemption', 'evaluate', [id], 'json');
+    }
+
+    /**
+     * List redemption requests page by page.
+     *
+     * @param {String|Number} [pageSize] The number of requests scanned per page
+     * @param {String} [bookmark] The bookmark of the previous page
+     * @param {String} [status] pending, approved or rejected
+     * @returns {Promise<Object>} The requests, their count and the bookmark of the next page
+     */
+    // 分頁列出贖回申請
+    async listRedemptions(pageSize, bookmark, status) {
+        return this._call('ListRedemptions', 'evaluate', [pageSize, bookmark, status], 'json');
+    }
+
+    // ================== Roles, pause and freeze ==========================
+
+    /**
+     * Grant a role.
+     *
+     * @param {String} role admin, minter, burner or pauser
+     * @param {String} memberType 'msp', 'id' or 'attr'
+     * @param {String} member The MSP ID, the client identity or 'name=value'
+     * @returns {Promise<Boolean>} Whether the role was granted
+     */
+    // 授予角色
+    async grantRole(role, memberType, member) {
+        return this._call('GrantRole', 'submit', [role, memberType, member], 'json');
+    }
+
+    /**
+     * Revoke a role.
+     *
+     * @param {String} role admin, minter, burner or pauser
+     * @param {String} memberType 'msp', 'id' or 'attr'
+     * @param {String} member The member the role was granted to
+     * @returns {Promise<Boolean>} Whether the role was revoked
+     */
+    // 撤銷角色
+    async revokeRole(role, memberType, member) {
+        return this._call('RevokeRole', 'submit', [role, memberType, member], 'json');
+    }
+
+    /**
+     * Check whether a member, or the calling client when both are empty, has a role.
+     *
+     * @param {String} role admin, minter, burner or pauser
+     * @param {String} [memberType] 'msp', 'id' or 'attr'
+     * @param {String} [member] The member
+     * @returns {Promise<Boolean>} Whether the member has the role
+     */
+    // 檢查角色
+    async hasRole(role, memberType, member) {
+        return this._call('HasRole', 'evaluate', [role, memberType, member], 'json');
+    }
+
+    /**
+     * Return every grant of a role.
+     *
+     * @param {String} role admin, minter, burner or pauser
+     * @returns {Promise<Object[]>} The grants
+     */
+    // 列出角色成員
+    async getRoleMembers(role) {
+        return this._call('GetRoleMembers', 'evaluate', [role], 'json');
+    }
+
+    /**
+     * Pause every operation that changes balances.
+     *
+     * @returns {Promise<Boolean>} Whether the contract was paused
+     */
+    // 暫停合約
+    async pause() {
+        return this._call('Pause', 'submit', [], 'json');
+    }
+
+    /**
+     * Resume token movement after pause().
+     *
+     * @returns {Promise<Boolean>} Whether the contract was unpaused
+     */
+    // 恢復合約
+    async unpause() {
+        return this._call('Unpause', 'submit', [], 'json');
+    }
+
+    /**
+     * Return whether the contract is paused.
+     *
+     * @returns {Promise<Boolean>} Whether the contract is paused
+     */
+    // 讀取暫停狀態
+    async paused() {
+        return this._call('Paused', 'evaluate', [], 'json');
+    }
+
+    /**
+     * Freeze an account so that it can neither send nor receive tokens.
+     *
+     * @param {String} account The account
+     * @param {String} reason Why the account is frozen
+     * @returns {Promise<Boolean>} Whether the account was frozen
+     */
+    // 凍結帳戶
+    async freezeAccount(account, reason) {
+        return this._call('FreezeAccount', 'submit', [account, reason], 'json');
+    }
+
+    /**
+     * Lift the freeze of an account.
+     *
+     * @param {String} account The account
+     * @returns {Promise<Boolean>} Whether the account was unfrozen
+     */
+    // 解凍帳戶
+    async unfreezeAccount(account) {
+        return this._call('UnfreezeAccount', 'submit', [account], 'json');
+    }
+
+    /**
+     * Return whether an account is frozen.
+     *
+     * @param {String} account The account
+     * @returns {Promise<Boolean>} Whether the account is frozen
+     */
+    // 讀取凍結狀態
+    async isFrozen(account) {
+        return this._call('IsFrozen', 'evaluate', [account], 'json');
+    }
+
+    // ================== Multi-signature ==========================
+
+    /**
+     * Require M-of-N approval for privileged operations.
+     *
+     * @param {String[]|String} signers The client identities allowed to propose and approve
+     * @param {String|Number} threshold The number of approvals needed
+     * @param {String|Number} [ttl] Seconds before a proposal expires
+     * @returns {Promise<Object>} The configuration as written
+     */
+    // 設定多重簽章
+    async setMultiSigConfig(signers, threshold, ttl) {
+        return this._call('SetMultiSigConfig', 'submit', [toJSON(signers), threshold, ttl], 'json');
+    }
+
+    /**
+     * Return the multi-signature configuration.
+     *
+     * @returns {Promise<Object>} The signers, threshold and ttl, null when not configured
+     */
+    // 讀取多重簽章設定
+    async getMultiSigConfig() {
+        return this._call('GetMultiSigConfig', 'evaluate', [], 'json');
+    }
+
+    /**
+     * Propose a privileged action, see ProposeAction in the contract for the actions and their arguments.
+     * Amounts in args are passed as they are.
+     *
+     * @param {String} actionType The action, e.g. 'Mint'
+     * @param {Object|String} args The arguments of the action
+     * @returns {Promise<Object>} The proposal
+     */
+    // 提出需要多重簽章的操作
+    async proposeAction(actionType, args) {
+        return this._call('ProposeAction', 'submit', [actionType, toJSON(args)], 'json');
+    }
+
+    /**
+     * Approve a pending proposal, which runs once the threshold is reached.
+     *
+     * @param {String} id The proposal id
+     * @returns {Promise<Object>} The proposal
+     */
+    // 核准提案
+    async approveAction(id) {
+        return this._call('ApproveAction', 'submit', [id], 'json');
+    }
+
+    /**
+     * Cancel a pending proposal.
+     *
+     * @param {String} id The proposal id
+     * @returns {Promise<Object>} The canceled proposal
+     */
+    // 取消提案
+    async cancelAction(id) {
+        return this._call('CancelAction', 'submit', [id], 'json');
+    }
+
+    /**
+     * Return a proposal with its status and approvals.
+     *
+     * @param {String} id The proposal id
+     * @returns {Promise<Object>} The proposal
+     */
+    // 讀取提案
+    async getProposal(id) {
+        return this._call('GetProposal', 'evaluate', [id], 'json');
+    }
+
+    // ================== Snapshots and distributions ==========================
+
+    /**
+     * Take a snapshot of all balances and the total supply.
+     *
+     * @returns {Promise<String>} The snapshot ID
+     */
+    // 建立快照
+    async snapshot() {
+        return this._call('Snapshot', 'submit', [], 'string');
+    }
+
+    /**
+     * Return the balance of an account at a snapshot.
+     *
+     * @param {String} owner The account
+     * @param {String|Number} snapshotId The snapshot ID
+     * @returns {Promise<String>} The balance
+     */
+    // 讀取快照時的餘額
+    async balanceOfAt(owner, snapshotId) {
+        return this._call('BalanceOfAt', 'evaluate', [owner, snapshotId], 'string');
+    }
+
+    /**
+     * Return the total supply at a snapshot.
+     *
+     * @param {String|Number} snapshotId The snapshot ID
+     * @returns {Promise<String>} The total supply
+     */
+    // 讀取快照時的總供給量
+    async totalSupplyAt(snapshotId) {
+        return this._call('TotalSupplyAt', 'evaluate', [snapshotId], 'string');
+    }
+
+    /**
+     * Set the account that receives the rounding dust and unclaimed rest of distributions.
+     *
+     * @param {String} account The dust account
+     * @returns {Promise<Boolean>} Whether the dust account was set
+     */
+    // 設定分配餘數帳戶
+    async setDistributionDustAccount(account) {
+        return this._call('SetDistributionDustAccount', 'submit', [account], 'json');
+    }
+
+    /**
+     * Deposit a pool of the calling client's tokens to be shared pro rata between the holders.
+     *
+     * @param {String|Number|BigInt} amount The amount of tokens
+     * @returns {Promise<Object>} The distribution
+     */
+    // 建立分配
+    async createDistribution(amount) {
+        return this._call('CreateDistribution', 'submit', [await this._amount(amount)], 'json');
+    }
+
+    /**
+     * Claim the calling client's share of a distribution.
+     *
+     * @param {String} id The distribution id
+     * @returns {Promise<Object>} The claim with the value paid
+     */
+    // 領取分配
+    async claimDistribution(id) {
+        return this._call('ClaimDistribution', 'submit', [id], 'json');
+    }
+
+    /**
+     * Close a distribution and pay the rest of the pool to the dust account.
+     *
+     * @param {String} id The distribution id
+     * @returns {Promise<Object>} The closed distribution
+     */
+    // 結束分配
+    async closeDistribution(id) {
+        return this._call('CloseDistribution', 'submit', [id], 'json');
+    }
+
+    /**
+     * Return a distribution.
+     *
+     * @param {String} id The distribution id
+     * @returns {Promise<Object>} The distribution
+     */
+    // 讀取分配
+    async getDistribution(id) {
+        return this._call('GetDistribution', 'evaluate', [id], 'json');
+    }
+
+    /**
+     * Return the open distributions an account can still claim from, page by page.
+     *
+     * @param {String} holder The account
+     * @param {String|Number} [pageSize] The number of distributions scanned per page
+     * @param {String} [bookmark] The bookmark of the previous page
+     * @returns {Promise<Object>} The distribution ids and unclaimed values, their count and the bookmark of the next page
+     */
+    // 分頁列出尚未領取的分配
+    async getUnclaimedDistributions(holder, pageSize, bookmark) {
+        return this._call('GetUnclaimedDistributions', 'evaluate', [holder, pageSize, bookmark], 'json');
+    }
+
+    // ================== Account recovery ==========================
+
+    /**
+     * Choose the guardians that can approve the recovery of the calling client's account.
+     *
+     * @param {String[]|String} guardians The guardians' identities, empty to remove them
+     * @param {String|Number} threshold The number of guardian approvals needed
+     * @returns {Promise<Object>} The guardians and threshold
+     */
+    // 設定復原監護人
+    async setRecoveryGuardians(guardians, threshold) {
+        return this._call('SetRecoveryGuardians', 'submit', [toJSON(guardians), threshold], 'json');
+    }
+
+    /**
+     * Return the recovery guardians of an account.
+     *
+     * @param {String} account The account
+     * @returns {Promise<Object>} The guardians and threshold
+     */
+    // 讀取復原監護人
+    async getRecoveryGuardians(account) {
+        return this._call('GetRecoveryGuardians', 'evaluate', [account], 'json');
+    }
+
+    /**
+     * Set how long an approved recovery waits after it was requested.
+     *
+     * @param {String|Number} delay The delay in seconds
+     * @returns {Promise<Boolean>} Whether the delay was set
+     */
+    // 設定復原等待時間
+    async setRecoveryDelay(delay) {
+        return this._call('SetRecoveryDelay', 'submit', [delay], 'json');
+    }
+
+    /**
+     * Request to move an account to a new identity.
+     *
+     * @param {String} oldId The identity of the account
+     * @param {String} [newId] The new identity, empty for the calling client
+     * @returns {Promise<Object>} The recovery request
+     */
+    // 申請帳戶復原
+    async requestRecovery(oldId, newId) {
+        return this._call('RequestRecovery', 'submit', [oldId, newId], 'json');
+    }
+
+    /**
+     * Approve a recovery as an admin or a guardian.
+     *
+     * @param {String} id The recovery id
+     * @returns {Promise<Object>} The recovery request
+     */
+    // 核准帳戶復原
+    async approveRecovery(id) {
+        return this._call('ApproveRecovery', 'submit', [id], 'json');
+    }
+
+    /**
+     * Run an approved recovery once its delay has passed.
+     *
+     * @param {String} id The recovery id
+     * @returns {Promise<Object>} The executed recovery
+     */
+    // 執行帳戶復原
+    async executeRecovery(id) {
+        return this._call('ExecuteRecovery', 'submit', [id], 'json');
+    }
+
+    /**
+     * Cancel a pending recovery.
+     *
+     * @param {String} id The recovery id
+     * @returns {Promise<Object>} The canceled recovery
+     */
+    // 取消帳戶復原
+    async cancelRecovery(id) {
+        return this._call('CancelRecovery', 'submit', [id], 'json');
+    }
+
+    /**
+     * Return a recovery request.
+     *
+     * @param {String} id The recovery id
+     * @returns {Promise<Object>} The recovery request
+     */
+    // 讀取帳戶復原
+    async getRecovery(id) {
+        return this._call('GetRecovery', 'evaluate', [id], 'json');
+    }
+
+    // ================== Escrow and vesting ==========================
+
+    /**
+     * Lock tokens of the calling client for a recipient until a condition is met.
+     *
+     * @param {String} to The recipient
+     * @param {String|Number|BigInt} value The amount of tokens
+     * @param {String|Number} releaseAfter Unix time in seconds after which the recipient can claim
+     * @param {String} [arbiter] The identity that can release or refund the escrow
+     * @param {String|Number} [expiresAt] Unix time in seconds after which the sender can reclaim
+     * @returns {Promise<Object>} The escrow
+     */
+    // 建立託管
+    async createEscrow(to, value, releaseAfter, arbiter, expiresAt) {
+        return this._call('CreateEscrow', 'submit', [to, await this._amount(value), releaseAfter, arbiter, expiresAt], 'json');
+    }
+
+    /**
+     * Claim an escrow as its recipient once its release time has passed.
+     *
+     * @param {String} id The escrow id
+     * @returns {Promise<Object>} The released escrow
+     */
+    // 領取託管
+    async claimEscrow(id) {
+        return this._call('ClaimEscrow', 'submit', [id], 'json');
+    }
+
+    /**
+     * Release an escrow to the recipient as its arbiter.
+     *
+     * @param {String} id The escrow id
+     * @returns {Promise<Object>} The released escrow
+     */
+    // 仲裁人放行託管
+    async releaseEscrow(id) {
+        return this._call('ReleaseEscrow', 'submit', [id], 'json');
+    }
+
+    /**
+     * Refund an escrow to the sender as its arbiter.
+     *
+     * @param {String} id The escrow id
+     * @returns {Promise<Object>} The refunded escrow
+     */
+    // 仲裁人退回託管
+    async refundEscrow(id) {
+        return this._call('RefundEscrow', 'submit', [id], 'json');
+    }
+
+    /**
+     * Take back an escrow as its sender once it has expired.
+     *
+     * @param {String} id The escrow id
+     * @returns {Promise<Object>} The refunded escrow
+     */
+    // 取回過期的託管
+    async reclaimEscrow(id) {
+        return this._call('ReclaimEscrow', 'submit', [id], 'json');
+    }
+
+    /**
+     * Return an escrow.
+     *
+     * @param {String} id The escrow id
+     * @returns {Promise<Object>} The escrow
+     */
+    // 讀取託管
+    async getEscrow(id) {
+        return this._call('GetEscrow', 'evaluate', [id], 'json');
+    }
+
+    /**
+     * Return the escrows an account takes part in.
+     *
+     * @param {String} party The account
+     * @param {String} [status] open, released or refunded, open by default
+     * @returns {Promise<Object[]>} The escrows
+     */
+    // 列出帳戶參與的託管
+    async getEscrowsByParty(party, status) {
+        return this._call('GetEscrowsByParty', 'evaluate', [party, status], 'json');
+    }
+
+    /**
+     * Return the locked balance of an account.
+     *
+     * @param {String} owner The account
+     * @returns {Promise<String>} The locked balance
+     */
+    // 讀取鎖定餘額
+    async lockedBalanceOf(owner) {
+        return this._call('LockedBalanceOf', 'evaluate', [owner], 'string');
+    }
+
+    /**
+     * Grant tokens of the calling client that vest linearly over time.
+     *
+     * @param {String} beneficiary The account receiving the tokens
+     * @param {String|Number|BigInt} total The amount of tokens
+     * @param {String|Number} start Unix time in seconds when vesting starts
+     * @param {String|Number} cliff Seconds after start before anything vests
+     * @param {String|Number} duration Seconds after start when everything has vested
+     * @param {Boolean|String} revocable Whether an admin can revoke the unvested part
+     * @returns {Promise<Object>} The vesting schedule
+     */
+    // 建立分期給付
+    async createVestingSchedule(beneficiary, total, start, cliff, duration, revocable) {
+        return this._call('CreateVestingSchedule', 'submit', [beneficiary, await this._amount(total), start, cliff, duration, revocable], 'json');
+    }
+
+    /**
+     * Release the vested tokens of a schedule to its beneficiary.
+     *
+     * @param {String} id The vesting schedule id
+     * @returns {Promise<String>} The amount released
+     */
+    // 領取已給付的代幣
+    async releaseVested(id) {
+        return this._call('ReleaseVested', 'submit', [id], 'string');
+    }
+
+    /**
+     * Stop a revocable vesting schedule.
+     *
+     * @param {String} id The vesting schedule id
+     * @returns {Promise<String>} The unvested amount returned to the funder
+     */
+    // 撤銷分期給付
+    async revokeVesting(id) {
+        return this._call('RevokeVesting', 'submit', [id], 'string');
+    }
+
+    /**
+     * Return a vesting schedule with its amounts at the transaction time.
+     *
+     * @param {String} id The vesting schedule id
+     * @returns {Promise<Object>} The vesting schedule
+     */
+    // 讀取分期給付
+    async getVestingSchedule(id) {
+        return this._call('GetVestingSchedule', 'evaluate', [id], 'json');
+    }
+
+    // ================== Audit ==========================
+
+    /**
+     * Check the ledger invariants page by page, pass the bookmark back until it is empty.
+     *
+     * @param {String|Number} [pageSize] The number of keys scanned per page
+     * @param {String} [bookmark] The bookmark of the previous page
+     * @returns {Promise<Object>} The discrepancies, the running sums, the supply check and the bookmark
+     */
+    // 分頁稽核帳本
+    async auditLedger(pageSize, bookmark) {
+        return this._call('AuditLedger', 'evaluate', [pageSize, bookmark], 'json');
+    }
+
+    /**
+     * Overwrite a wrong balance, the correction is kept with its reason.
+     *
+     * @param {String} account The account
+     * @param {String|Number|BigInt} value The correct balance
+     * @param {String} reason Why the balance is corrected
+     * @returns {Promise<Object>} The correction record
+     */
+    // 修正餘額
+    async repairBalance(account, value, reason) {
+        return this._call('RepairBalance', 'submit', [account, await this._amount(value), reason], 'json');
+    }
+
+    /**
+     * Overwrite a wrong total supply, the correction is kept with its reason.
+     *
+     * @param {String|Number|BigInt} value The correct total supply
+     * @param {String} reason Why the total supply is corrected
+     * @returns {Promise<Object>} The correction record
+     */
+    // 修正代幣總量
+    async repairTotalSupply(value, reason) {
+        return this._call('RepairTotalSupply', 'submit', [await this._amount(value), reason], 'json');
+    }
+
+    // ================== Private transfers ==========================
+
+    /**
+     * Transfer tokens privately, see TransferPrivate in the contract. The details go in transient data.
+     *
+     * @param {String} to The recipient
+     * @param {String|Number|BigInt} value The amount of tokens
+     * @param {String} [salt] The salt of the commitment, random when omitted
+     * @returns {Promise<Object>} The transfer id, the commitment and the salt
+     */
+    // 私密轉帳
+    async transferPrivate(to, value, salt = crypto.randomBytes(16).toString('hex')) {
+        const transfer = { to, value: await this.formatAmount(value), salt };
+        const result = await this._call('TransferPrivate', 'submit', [], 'json', { transfer: JSON.stringify(transfer) });
+        return { ...result, salt };
+    }
+
+    /**
+     * Move the caller's tokens between its public and private balance, see ReconcilePrivate in the contract.
+     *
+     * @param {String} direction 'deposit' or 'withdraw'
+     * @param {String|Number|BigInt} value The amount of tokens
+     * @returns {Promise<Object>} The public and private balance after the move
+     */
+    // 在公開與私密餘額之間搬移代幣
+    async reconcilePrivate(direction, value) {
+        const reconcile = { direction, value: await this.formatAmount(value) };
+        return this._call('ReconcilePrivate', 'submit', [], 'json', { reconcile: JSON.stringify(reconcile) });
+    }
+
+    /**
+     * Return a private balance. It has to be evaluated on a peer of the account's org.
+     *
+     * @param {String} [owner] The account, empty for the calling client
+     * @returns {Promise<String>} The private balance
+     */
+    // 讀取私密餘額
+    async privateBalanceOf(owner) {
+        return this._call('PrivateBalanceOf', 'evaluate', [owner], 'string');
+    }
+
+    /**
+     * Check the details of a private transfer against its public commitment.
+     *
+     * @param {String} id The private transfer id
+     * @param {String} from The sender
+     * @param {String} to The recipient
+     * @param {String|Number|BigInt} value The amount of tokens
+     * @param {String} salt The salt of the transfer
+     * @returns {Promise<Boolean>} Whether the details match the commitment
+     */
+    // 核對私密轉帳
+    async verifyPrivateTransfer(id, from, to, value, salt) {
+        return this._call('VerifyPrivateTransfer', 'evaluate', [id, from, to, await this._amount(value), salt], 'json');
+    }
+
+    /**
+     * Return the part of the total supply that is held in private balances.
+     *
+     * @returns {Promise<String>} The private supply
+     */
+    // 讀取私密供給量
+    async privateSupply() {
+        return this._call('PrivateSupply', 'evaluate', [], 'string');
+    }
+
+    // ================== Events ==========================
+
+    /**
+     * Read the contract's events. Each TokenEvent payload is unpacked, so every yielded object is a single
+     * event such as `{ type: 'Transfer', from, to, value }` with `txId` and `blockNumber` added.
+     * Close the iterator with `return()` (or break out of `for await`) to end the session.
+     *
+     * @param {Object} [options] Options passed to network.getChaincodeEvents, e.g. { startBlock, checkpoint }
+     * @param {String[]} [options.types] Only yield these event types
+     * @returns {AsyncGenerator<Object>} The events
+     */
+    // 讀取合約事件
+    async *events(options = {}) {
+        const { types, ...eventOptions } = options;
+        const stream = await this._openEvents(eventOptions);
+        try {
+            for await (const chaincodeEvent of stream) {
+                yield* unpackEvents(chaincodeEvent, types);
+            }
+        } finally {
+            stream.close();
+        }
+    }
+
+    /**
+     * Call a listener for every event until the returned function is called.
+     * A listener that throws stops listening, its error is passed to onListenerError(err, event) as thrown.
+     * Errors of the event stream are passed to onError(err) as a TokenError. Like an EventEmitter without
+     * an 'error' listener, an error without its handler is rethrown and surfaces as an unhandled rejection.
+     *
+     * @param {Function} listener Called with each event, may be async
+     * @param {Object} [options] The options of events(), plus onError(err) for connection errors and onListenerError(err, event)
+     * @returns {Function} Stops listening
+     */
+    // 註冊事件監聽, 回傳停止監聽的函式
+    addEventListener(listener, options = {}) {
+        const { onError, onListenerError, types, ...eventOptions } = options;
+        let stream;
+        let stopped = false;
+
+        (async () => {
+            let failure = null;
+            try {
+                stream = await this._openEvents(eventOptions);
+                listening: for await (const chaincodeEvent of stopped ? [] : stream) {
+                    for (const event of unpackEvents(chaincodeEvent, types)) {
+                        if (stopped) {
+                            break listening;
+                        }
+                        try {
+                            await listener(event);
+                        } catch (err) {
+                            // 監聽函式的錯誤不是連線錯誤, 原樣回報
+                            failure = { handler: onListenerError, args: [err, event] };
+                            break listening;
+                        }
+                    }
+                }
+            } catch (err) {
+                if (!stopped) {
+                    failure = { handler: onError, args: [mapError(err, 'events')] };
+                }
+            } finally {
+                if (stream) {
+                    stream.close();
+                }
+            }
+
+            if (failure) {
+                if (!failure.handler) {
+                    throw failure.args[0];
+                }
+                failure.handler(...failure.args);
+            }
+        })();
+
+        // 關閉事件串流本身, 等待中的下一個事件會立即結束, 不必等到有新事件
+        return () => {
+            stopped = true;
+            if (stream) {
+                stream.close();
+            }
+        };
+    }
+
+    // 開啟合約事件的串流
+    async _openEvents(eventOptions) {
+        if (!this.network || !this.chaincodeName) {
+            throw new TokenError('INVALID_ARGUMENT', 'events need the network and chaincodeName options');
+        }
+        try {
+            return await this.network.getChaincodeEvents(this.chaincodeName, eventOptions);
+        } catch (err) {
+            throw mapError(err, 'events');
+        }
+    }
+
+    // 金額參數轉成十進位字串, 空值原樣傳遞
+    async _amount(value, decimals) {
+        return value === undefined || value === null || value === '' ? value : this.formatAmount(value, decimals);
+    }
+
+    // 送出或查詢一個交易並解析回傳值
+    async _call(transaction, mode, args, resultType, transientData) {
+        const proposal = { arguments: args.map((arg) => arg === undefined || arg === null ? '' : String(arg)) };
+        if (transientData) {
+            proposal.transientData = transientData;
+        }
+
+        let resultBytes;
+        try {
+            resultBytes = mode === 'submit'
+                ? await this.contract.submit(transaction, proposal)
+                : await this.contract.evaluate(transaction, proposal);
+        } catch (err) {
+            throw mapError(err, transaction);
+        }
+
+        const result = Buffer.from(resultBytes).toString();
+        if (resultType === 'string' || result === '') {
+            return result;
+        }
+        return JSON.parse(result);
+    }
+}
+
+module.exports = { TokenClient, TokenError, mapError };
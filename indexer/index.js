@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+/*
+ * SPDX-License-Identifier: Apache-2.0
+*/
+
+'use strict';
+
+const path = require('path');
+const { once } = require('events');
+const { Projection } = require('./projection');
+const { createServer } = require('./server');
+const { gatewaySource, fixtureSource, recordingSource } = require('./sources');
+
+/**
+ * Apply the events of a source to a projection, resuming after its checkpoint.
+ * The checkpoint block is read again and its events up to the checkpoint transaction are skipped,
+ * because a block can hold more transactions than were applied before a stop.
+ *
+ * @param {Projection} projection The projection
+ * @param {Function} source The event source, see sources.js
+ * @param {Object} [options]
+ * @param {Number} [options.replayFrom] Rewind the projection and replay from this block
+ * @param {Function} [options.onStart] Called with the close function of the source once events are being read
+ * @returns {Promise<Number>} The number of events applied, once the source ends or is closed
+ */
+// 從checkpoint繼續套用事件
+async function indexEvents(projection, source, options = {}) {
+    if (options.replayFrom !== undefined) {
+        projection.rewind(options.replayFrom);
+    }
+
+    const checkpoint = projection.getCheckpoint();
+    const { events, close } = await source(checkpoint.blockNumber);
+    if (options.onStart) {
+        options.onStart(close);
+    }
+
+    // checkpoint區塊內已套用的交易要略過
+    let skipping = checkpoint.transactionId !== '';
+    let applied = 0;
+    try {
+        for await (const event of events) {
+            if (skipping && Number(event.blockNumber) === checkpoint.blockNumber) {
+                if (event.transactionId === checkpoint.transactionId) {
+                    skipping = false;
+                }
+                continue;
+            }
+            skipping = false;
+            projection.apply(event);
+            applied++;
+        }
+    } catch (err) {
+        // 主動關閉Gateway的事件串流時會以CANCELLED結束
+        if (!(err.code === 1 || err.code === 'CANCELLED')) {
+            throw err;
+        }
+    } finally {
+        close();
+    }
+    return applied;
+}
+
+const usage = 'usage: token-indexer [--db file] [--fixture events.jsonl | gateway settings in TOKEN_* variables]\n' +
+    '    [--record events.jsonl] [--replay-from block] [--decimals n] [--port n]\n';
+
+// 解析命令列, --name value 是選項
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i += 2) {
+        if (!argv[i].startsWith('--')) {
+            throw new Error(`unexpected argument ${argv[i]}\n${usage}`);
+        }
+        options[argv[i].slice(2)] = argv[i + 1];
+    }
+    return options;
+}
+
+/**
+ * Run the indexer: apply events from a fixture or the Gateway and serve the HTTP API.
+ * With a fixture the server keeps running after the last event until the process is stopped.
+ *
+ * @param {String[]} argv The arguments after the program name
+ * @param {Object} env The environment, for the Gateway settings (see client/token.js)
+ */
+// 執行索引器
+async function main(argv, env) {
+    const options = parseArgs(argv);
+
+    // better-sqlite3只有索引器需要, 合約本身不依賴它
+    const Database = require('better-sqlite3');
+    const db = new Database(options.db || 'indexer.db');
+    const projection = new Projection(db, { decimals: options.decimals === undefined ? undefined : parseInt(options.decimals) });
+
+    let source;
+    let closeGateway = () => {};
+    if (options.fixture) {
+        source = fixtureSource(options.fixture);
+    } else {
+        const { client, close } = await require('../client/token').connectGateway(env);
+        source = gatewaySource(client.network, client.chaincodeName);
+        closeGateway = close;
+    }
+    if (options.record) {
+        source = recordingSource(source, options.record);
+    }
+
+    const server = createServer(projection);
+    server.listen(parseInt(options.port || '8080'));
+    await once(server, 'listening');
+
+    let closeSource = () => {};
+    process.once('SIGINT', () => {
+        closeSource();
+        server.close();
+    });
+
+    try {
+        const replayFrom = options['replay-from'] === undefined ? undefined : parseInt(options['replay-from']);
+        const applied = await indexEvents(projection, source, { replayFrom, onStart: (close) => {
+            closeSource = close;
+        } });
+        console.log(`applied ${applied} events, checkpoint ${JSON.stringify(projection.getCheckpoint())}`);
+
+        // 事件讀完後繼續提供查詢, 直到收到SIGINT
+        if (server.listening) {
+            await once(server, 'close');
+        }
+    } finally {
+        server.close();
+        closeGateway();
+        db.close();
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2), process.env).catch((err) => {
+        process.stderr.write(`${path.basename(process.argv[1])}: ${err.message}\n`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { indexEvents, main };
@@ -0,0 +1,354 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+*/
+
+'use strict';
+
+// Balances are stored as zero padded base unit strings, so that SQLite orders them numerically
+const balanceWidth = 40;
+
+const schema = `
+    CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS transfers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        block INTEGER NOT NULL, tx TEXT NOT NULL, idx INTEGER NOT NULL, time INTEGER NOT NULL,
+        kind TEXT NOT NULL, from_account TEXT NOT NULL, to_account TEXT NOT NULL, value TEXT NOT NULL, fee TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS transfers_from ON transfers (from_account, block);
+    CREATE INDEX IF NOT EXISTS transfers_to ON transfers (to_account, block);
+    CREATE INDEX IF NOT EXISTS transfers_block ON transfers (block);
+    CREATE INDEX IF NOT EXISTS transfers_time ON transfers (time);
+    CREATE TABLE IF NOT EXISTS adjustments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        block INTEGER NOT NULL, tx TEXT NOT NULL, idx INTEGER NOT NULL, time INTEGER NOT NULL,
+        account TEXT NOT NULL, delta TEXT NOT NULL, reason TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS adjustments_block ON adjustments (block);
+    CREATE TABLE IF NOT EXISTS balances (account TEXT PRIMARY KEY, balance TEXT NOT NULL);
+    CREATE INDEX IF NOT EXISTS balances_balance ON balances (balance);
+    CREATE TABLE IF NOT EXISTS supply (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        block INTEGER NOT NULL, tx TEXT NOT NULL, time INTEGER NOT NULL, supply TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS supply_block ON supply (block);
+`;
+
+// 十進位字串轉成最小單位
+function parseAmount(value, decimals) {
+    const [whole, fraction = ''] = String(value).split('.');
+    return BigInt(whole + fraction.padEnd(decimals, '0'));
+}
+
+// 最小單位轉成十進位字串
+function formatAmount(amount, decimals) {
+    const negative = amount < 0n;
+    const digits = (negative ? -amount : amount).toString().padStart(decimals + 1, '0');
+    const whole = decimals === 0 ? digits : digits.slice(0, -decimals);
+    const fraction = decimals === 0 ? '' : digits.slice(-decimals).replace(/0+$/, '');
+    return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+/**
+ * SQLite projection of the token contract's events.
+ * Balances are the sum of the `Transfer` events of an account plus the changes other events make
+ * to its public balance, so they match BalanceOf plus LockedBalanceOf and do not see private transfers.
+ * Every event is applied in one SQLite transaction together with the checkpoint, so a restart
+ * never applies an event twice.
+ */
+class Projection {
+
+    /**
+     * @param {Object} db A better-sqlite3 database
+     * @param {Object} [options]
+     * @param {Number} [options.decimals] The token decimals, needed when indexing starts after the Initialized event
+     */
+    constructor(db, options = {}) {
+        this.db = db;
+        this.db.exec(schema);
+        if (options.decimals !== undefined && this._getMeta('decimals') === null) {
+            this._setMeta('decimals', String(options.decimals));
+        }
+    }
+
+    /**
+     * Return the last applied event, from which indexing resumes.
+     *
+     * @returns {Object} { blockNumber, transactionId }, blockNumber is 0 before the first event
+     */
+    // 讀取checkpoint
+    getCheckpoint() {
+        return {
+            blockNumber: parseInt(this._getMeta('checkpointBlock') || '0'),
+            transactionId: this._getMeta('checkpointTx') || '',
+        };
+    }
+
+    /**
+     * Apply a chaincode event and move the checkpoint past it.
+     *
+     * @param {Object} chaincodeEvent { blockNumber, transactionId, eventName, payload } as delivered by the Gateway
+     */
+    // 套用一個chaincode事件
+    apply(chaincodeEvent) {
+        const block = Number(chaincodeEvent.blockNumber);
+        const tx = chaincodeEvent.transactionId;
+
+        this.db.transaction(() => {
+            if (chaincodeEvent.eventName === 'TokenEvent') {
+                const payload = JSON.parse(Buffer.from(chaincodeEvent.payload).toString());
+                payload.events.forEach((event, idx) => {
+                    this._applyEvent(event, payload.events[idx - 1], { block, tx, idx, time: payload.time || 0 });
+                });
+            }
+            this._setMeta('checkpointBlock', String(block));
+            this._setMeta('checkpointTx', tx);
+        })();
+    }
+
+    /**
+     * Forget everything from a block on, so that indexing can replay from there.
+     *
+     * @param {Number} blockNumber The first block to replay
+     */
+    // 刪除某區塊之後的資料並重算餘額
+    rewind(blockNumber) {
+        this.db.transaction(() => {
+            for (const table of ['transfers', 'adjustments', 'supply']) {
+                this.db.prepare(`DELETE FROM ${table} WHERE block >= ?`).run(blockNumber);
+            }
+
+            const balances = new Map();
+            const add = (account, delta) => balances.set(account, (balances.get(account) || 0n) + delta);
+            for (const row of this.db.prepare('SELECT from_account, to_account, value FROM transfers').iterate()) {
+                add(row.from_account, -BigInt(row.value));
+                add(row.to_account, BigInt(row.value));
+            }
+            for (const row of this.db.prepare('SELECT account, delta FROM adjustments').iterate()) {
+                add(row.account, BigInt(row.delta));
+            }
+            balances.delete('0x0');
+
+            this.db.prepare('DELETE FROM balances').run();
+            const insert = this.db.prepare('INSERT INTO balances (account, balance) VALUES (?, ?)');
+            for (const [account, balance] of balances) {
+                insert.run(account, this._padBalance(balance));
+            }
+
+            this._setMeta('checkpointBlock', String(blockNumber));
+            this._setMeta('checkpointTx', '');
+        })();
+    }
+
+    /**
+     * Return the accounts with a positive balance, largest first.
+     *
+     * @param {Object} [options] { limit, offset }
+     * @returns {Object[]} { account, balance }
+     */
+    // 查詢持有人, 依餘額由大到小
+    holders({ limit = 100, offset = 0 } = {}) {
+        const rows = this.db.prepare('SELECT account, balance FROM balances WHERE balance > ? ORDER BY balance DESC, account LIMIT ? OFFSET ?')
+            .all(this._padBalance(0n), limit, offset);
+        return rows.map((row) => ({ account: row.account, balance: this._format(BigInt(row.balance)) }));
+    }
+
+    /**
+     * Return the balance of an account, null when it never held tokens.
+     *
+     * @param {String} account The account
+     * @returns {String} The balance
+     */
+    // 查詢帳戶餘額
+    balanceOf(account) {
+        const row = this.db.prepare('SELECT balance FROM balances WHERE account = ?').get(account);
+        return row ? this._format(BigInt(row.balance)) : null;
+    }
+
+    /**
+     * Return transfers, newest first.
+     *
+     * @param {Object} [options] { account, fromBlock, toBlock, limit, offset }
+     * @returns {Object[]} The transfers
+     */
+    // 查詢轉帳紀錄
+    transfers({ account, fromBlock = 0, toBlock = Number.MAX_SAFE_INTEGER, limit = 100, offset = 0 } = {}) {
+        const accountFilter = account ? 'AND (from_account = @account OR to_account = @account)' : '';
+        const rows = this.db.prepare(`SELECT * FROM transfers WHERE block BETWEEN @fromBlock AND @toBlock ${accountFilter}
+            ORDER BY block DESC, id DESC LIMIT @limit OFFSET @offset`).all({ account, fromBlock, toBlock, limit, offset });
+        return rows.map((row) => ({
+            block: row.block,
+            txId: row.tx,
+            time: row.time,
+            kind: row.kind,
+            from: row.from_account,
+            to: row.to_account,
+            value: this._format(BigInt(row.value)),
+            fee: this._format(BigInt(row.fee)),
+        }));
+    }
+
+    /**
+     * Return the total supply after every mint and burn.
+     *
+     * @param {Object} [options] { fromBlock, toBlock }
+     * @returns {Object[]} { block, txId, time, supply }
+     */
+    // 查詢代幣總量的變化
+    supplyHistory({ fromBlock = 0, toBlock = Number.MAX_SAFE_INTEGER } = {}) {
+        const rows = this.db.prepare('SELECT * FROM supply WHERE block BETWEEN ? AND ? ORDER BY id').all(fromBlock, toBlock);
+        return rows.map((row) => ({ block: row.block, txId: row.tx, time: row.time, supply: this._format(BigInt(row.supply)) }));
+    }
+
+    /**
+     * Return the transfer volume between accounts per time bucket. Mints, burns and fees are not counted.
+     *
+     * @param {Object} [options] { from, to } in unix seconds, interval in seconds (default one day)
+     * @returns {Object[]} { start, transfers, volume }
+     */
+    // 統計每個時段的轉帳量
+    volume({ from = 0, to = Number.MAX_SAFE_INTEGER, interval = 86400 } = {}) {
+        if (interval <= 0) {
+            throw new RangeError('interval must be positive');
+        }
+        const buckets = new Map();
+        const rows = this.db.prepare(`SELECT time, value FROM transfers
+            WHERE time BETWEEN ? AND ? AND kind = 'transfer' ORDER BY time`).iterate(from, to);
+        for (const row of rows) {
+            const start = Math.floor(row.time / interval) * interval;
+            const bucket = buckets.get(start) || { start, transfers: 0, volume: 0n };
+            bucket.transfers++;
+            bucket.volume += BigInt(row.value);
+            buckets.set(start, bucket);
+        }
+        return [...buckets.values()].map((bucket) => ({ ...bucket, volume: this._format(bucket.volume) }));
+    }
+
+    /**
+     * Return the checkpoint, the current supply and the size of the projection.
+     *
+     * @returns {Object} The status
+     */
+    // 查詢索引狀態
+    status() {
+        const count = (table) => this.db.prepare(`SELECT COUNT(*) AS n FROM ${table}`).get().n;
+        return {
+            checkpoint: this.getCheckpoint(),
+            decimals: this._getMeta('decimals') === null ? null : parseInt(this._getMeta('decimals')),
+            totalSupply: this._getMeta('decimals') === null ? null : this._format(this._currentSupply()),
+            holders: this.db.prepare('SELECT COUNT(*) AS n FROM balances WHERE balance > ?').get(this._padBalance(0n)).n,
+            transfers: count('transfers'),
+        };
+    }
+
+    // 套用TokenEvent裡的一個事件, previous是同一筆交易的前一個事件
+    _applyEvent(event, previous, position) {
+        const { block, tx, idx, time } = position;
+
+        if (event.type === 'Initialized') {
+            this._setMeta('decimals', String(event.decimals));
+        } else if (event.type === 'Transfer') {
+            const value = this._parse(event.value);
+            const fee = event.fee !== undefined ? this._parse(event.fee) : 0n;
+            this.db.prepare(`INSERT INTO transfers (block, tx, idx, time, kind, from_account, to_account, value, fee)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+                .run(block, tx, idx, time, this._transferKind(event, previous), event.from, event.to, value.toString(), fee.toString());
+
+            this._addBalance(event.from, -value);
+            this._addBalance(event.to, value);
+            if (event.from === '0x0' || event.to === '0x0') {
+                const supply = this._currentSupply() + (event.from === '0x0' ? value : -value);
+                this.db.prepare('INSERT INTO supply (block, tx, time, supply) VALUES (?, ?, ?, ?)').run(block, tx, time, supply.toString());
+            }
+        } else if (event.type === 'BalanceRepaired') {
+            // previous是修正前的原始值 (最小單位), 損毀的值視為0
+            const previousBalance = /^\d+$/.test(event.previous) ? BigInt(event.previous) : 0n;
+            this._adjust(position, event.account, this._parse(event.value) - previousBalance, event.reason);
+        } else if (event.type === 'PrivateDeposit' || event.type === 'PrivateWithdrawal') {
+            // 私密餘額不在公開餘額內
+            const value = this._parse(event.value);
+            this._adjust(position, event.account, event.type === 'PrivateDeposit' ? -value : value, event.type);
+        } else if (event.type === 'LockedBalanceMoved') {
+            const value = this._parse(event.value);
+            this._adjust(position, event.from, -value, event.type);
+            this._adjust(position, event.to, value, event.type);
+        } else if (event.type === 'VestingCreated' || event.type === 'VestingReleased' || event.type === 'VestingRevoked') {
+            // 分期給付建立時就從funder移到beneficiary的鎖定餘額, 給付時的Transfer不再改變餘額
+            const value = this._parse(event.value);
+            const toBeneficiary = event.type === 'VestingCreated' ? value : -value;
+            this._adjust(position, event.funder, -toBeneficiary, event.type);
+            this._adjust(position, event.beneficiary, toBeneficiary, event.type);
+        } else if (event.type === 'TotalSupplyRepaired') {
+            this.db.prepare('INSERT INTO supply (block, tx, time, supply) VALUES (?, ?, ?, ?)').run(block, tx, time, this._parse(event.value).toString());
+        }
+    }
+
+    // 記錄不是Transfer的餘額變動, rewind時與transfers一起重算餘額
+    _adjust(position, account, delta, reason) {
+        const { block, tx, idx, time } = position;
+        this.db.prepare(`INSERT INTO adjustments (block, tx, idx, time, account, delta, reason)
+            VALUES (?, ?, ?, ?, ?, ?, ?)`).run(block, tx, idx, time, account, delta.toString(), reason);
+        this._addBalance(account, delta);
+    }
+
+    // 分類Transfer: 手續費的Transfer緊接在有手續費的轉帳之後, 沒有gross欄位
+    _transferKind(event, previous) {
+        if (event.from === '0x0') {
+            return 'mint';
+        }
+        if (event.to === '0x0') {
+            return 'burn';
+        }
+        const isFee = event.gross === undefined && previous && previous.type === 'Transfer' &&
+            previous.from === event.from && previous.fee !== undefined && this._parse(previous.fee) > 0n;
+        return isFee ? 'fee' : 'transfer';
+    }
+
+    // 調整帳戶餘額, 0x0 (鑄造與銷毀) 不記錄
+    _addBalance(account, delta) {
+        if (account === '0x0') {
+            return;
+        }
+        const row = this.db.prepare('SELECT balance FROM balances WHERE account = ?').get(account);
+        const balance = (row ? BigInt(row.balance) : 0n) + delta;
+        this.db.prepare('INSERT INTO balances (account, balance) VALUES (?, ?) ON CONFLICT (account) DO UPDATE SET balance = excluded.balance')
+            .run(account, this._padBalance(balance));
+    }
+
+    // 最新的代幣總量 (最小單位)
+    _currentSupply() {
+        const row = this.db.prepare('SELECT supply FROM supply ORDER BY id DESC LIMIT 1').get();
+        return row ? BigInt(row.supply) : 0n;
+    }
+
+    // 餘額補零, 負數代表事件不完整 (例如從中途開始索引)
+    _padBalance(balance) {
+        return balance < 0n ? `-${(-balance).toString().padStart(balanceWidth - 1, '0')}` : balance.toString().padStart(balanceWidth, '0');
+    }
+
+    _decimals() {
+        const decimals = this._getMeta('decimals');
+        if (decimals === null) {
+            throw new Error('token decimals are unknown, replay from the Initialized event or pass the decimals option');
+        }
+        return parseInt(decimals);
+    }
+
+    _parse(value) {
+        return parseAmount(value, this._decimals());
+    }
+
+    _format(amount) {
+        return formatAmount(amount, this._decimals());
+    }
+
+    _getMeta(key) {
+        const row = this.db.prepare('SELECT value FROM meta WHERE key = ?').get(key);
+        return row ? row.value : null;
+    }
+
+    _setMeta(key, value) {
+        this.db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value').run(key, value);
+    }
+}
+
+module.exports = { Projection };
@@ -0,0 +1,94 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+*/
+
+'use strict';
+
+const http = require('http');
+
+// 查詢參數轉成整數, 未提供時回傳undefined
+function intParam(params, name) {
+    if (!params.has(name)) {
+        return undefined;
+    }
+    const value = params.get(name);
+    if (!/^\d+$/.test(value)) {
+        throw new RangeError(`${name} must be a non-negative integer`);
+    }
+    return parseInt(value);
+}
+
+// 路徑 => 查詢函式 (projection, 路徑參數, 查詢參數)
+const routes = [
+    [/^\/status$/, (projection) => projection.status()],
+    [/^\/holders$/, (projection, match, params) => projection.holders({
+        limit: intParam(params, 'limit'),
+        offset: intParam(params, 'offset'),
+    })],
+    [/^\/balances\/([^/]+)$/, (projection, match) => {
+        const account = decodeURIComponent(match[1]);
+        const balance = projection.balanceOf(account);
+        return balance === null ? null : { account, balance };
+    }],
+    [/^\/transfers$/, (projection, match, params) => projection.transfers({
+        account: params.get('account') || undefined,
+        fromBlock: intParam(params, 'fromBlock'),
+        toBlock: intParam(params, 'toBlock'),
+        limit: intParam(params, 'limit'),
+        offset: intParam(params, 'offset'),
+    })],
+    [/^\/supply$/, (projection, match, params) => projection.supplyHistory({
+        fromBlock: intParam(params, 'fromBlock'),
+        toBlock: intParam(params, 'toBlock'),
+    })],
+    [/^\/volume$/, (projection, match, params) => projection.volume({
+        from: intParam(params, 'from'),
+        to: intParam(params, 'to'),
+        interval: intParam(params, 'interval'),
+    })],
+];
+
+/**
+ * Create the read-only HTTP API of a projection. Every route answers GET with JSON:
+ * /status, /holders, /balances/:account, /transfers, /supply and /volume.
+ *
+ * @param {Projection} projection The projection to query
+ * @returns {http.Server} The server, not yet listening
+ */
+// 建立查詢用的HTTP伺服器
+function createServer(projection) {
+    return http.createServer((req, res) => {
+        const send = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+
+        if (req.method !== 'GET') {
+            send(405, { error: 'method not allowed' });
+            return;
+        }
+
+        const url = new URL(req.url, 'http://localhost');
+        for (const [pattern, handler] of routes) {
+            const match = url.pathname.match(pattern);
+            if (!match) {
+                continue;
+            }
+            try {
+                // undefined的選項交給projection的預設值
+                const result = handler(projection, match, url.searchParams);
+                if (result === null) {
+                    send(404, { error: 'not found' });
+                } else {
+                    send(200, result);
+                }
+            } catch (err) {
+                send(err instanceof RangeError ? 400 : 500, { error: err.message });
+            }
+            return;
+        }
+        send(404, { error: 'not found' });
+    });
+}
+
+module.exports = { createServer };
@@ -0,0 +1,87 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+*/
+
+'use strict';
+
+const fs = require('fs');
+const readline = require('readline');
+
+// 一個事件來源是 (startBlock) => { events: async iterable, close }
+// 事件格式與Gateway相同: { blockNumber, transactionId, eventName, payload }
+
+/**
+ * Read chaincode events from a peer's Fabric Gateway. The iteration never ends, new blocks are delivered as they are committed.
+ *
+ * @param {Object} network A fabric-gateway Network
+ * @param {String} chaincodeName The token chaincode
+ * @returns {Function} The event source
+ */
+// 從Fabric Gateway讀取事件
+function gatewaySource(network, chaincodeName) {
+    return async (startBlock) => {
+        const events = await network.getChaincodeEvents(chaincodeName, { startBlock: BigInt(startBlock) });
+        return { events, close: () => events.close() };
+    };
+}
+
+/**
+ * Read chaincode events recorded in a JSON lines file, see recordingSource. The iteration ends at the end of the file.
+ *
+ * @param {String} file The fixture file
+ * @returns {Function} The event source
+ */
+// 從錄製的檔案讀取事件
+function fixtureSource(file) {
+    return async (startBlock) => {
+        const input = fs.createReadStream(file);
+        const lines = readline.createInterface({ input, crlfDelay: Infinity });
+        async function* events() {
+            for await (const line of lines) {
+                if (!line.trim()) {
+                    continue;
+                }
+                const record = JSON.parse(line);
+                if (BigInt(record.blockNumber) < BigInt(startBlock)) {
+                    continue;
+                }
+                yield {
+                    blockNumber: BigInt(record.blockNumber),
+                    transactionId: record.transactionId,
+                    eventName: record.eventName,
+                    payload: Buffer.from(JSON.stringify(record.payload)),
+                };
+            }
+        }
+        return { events: events(), close: () => input.destroy() };
+    };
+}
+
+/**
+ * Append every event of a source to a JSON lines file that fixtureSource can replay.
+ *
+ * @param {Function} source The event source to record
+ * @param {String} file The fixture file
+ * @returns {Function} The event source
+ */
+// 讀取事件時同時錄製到檔案
+function recordingSource(source, file) {
+    return async (startBlock) => {
+        const { events, close } = await source(startBlock);
+        async function* recorded() {
+            for await (const event of events) {
+                const record = {
+                    blockNumber: event.blockNumber.toString(),
+                    transactionId: event.transactionId,
+                    eventName: event.eventName,
+                    payload: JSON.parse(Buffer.from(event.payload).toString()),
+                };
+                fs.appendFileSync(file, `${JSON.stringify(record)}\n`);
+                yield event;
+            }
+        }
+        return { events: recorded(), close };
+    };
+}
+
+module.exports = { gatewaySource, fixtureSource, recordingSource };
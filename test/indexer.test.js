@@ -0,0 +1,295 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+*/
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { expect } = require('chai');
+const Database = require('better-sqlite3');
+
+const TokenERC20Contract = require('../tokenERC20.js');
+const { Projection } = require('../indexer/projection.js');
+const { createServer } = require('../indexer/server.js');
+const { fixtureSource, recordingSource } = require('../indexer/sources.js');
+const { indexEvents } = require('../indexer/index.js');
+const { MemoryLedger } = require('./stub.js');
+
+const fixture = path.join(__dirname, '..', 'indexer', 'fixtures', 'events.jsonl');
+
+// fixture裡的身分
+function account(name) {
+    const org = name.startsWith('user') ? 'org2' : 'org1';
+    return `x509::/C=US/ST=North Carolina/O=Hyperledger/OU=client/CN=${name}::/C=US/ST=North Carolina/L=Durham/O=${org}.example.com/CN=ca.${org}.example.com`;
+}
+
+// 只讀取前幾個事件, 模擬索引器中途停止
+function firstEvents(source, count) {
+    return async (startBlock) => {
+        const { events, close } = await source(startBlock);
+        async function* limited() {
+            let read = 0;
+            for await (const event of events) {
+                if (read++ === count) {
+                    return;
+                }
+                yield event;
+            }
+        }
+        return { events: limited(), close };
+    };
+}
+
+// 替代peer上已提交的事件, 與Gateway的格式相同
+function ledgerSource(ledger) {
+    return async (startBlock) => {
+        async function* events() {
+            for (const event of ledger.events) {
+                if (event.blockNumber >= BigInt(startBlock)) {
+                    yield { blockNumber: event.blockNumber, transactionId: event.txId, eventName: event.name, payload: Buffer.from(event.payload) };
+                }
+            }
+        }
+        return { events: events(), close: () => {} };
+    };
+}
+
+// 整個fixture套用後的查詢結果
+function snapshot(projection) {
+    return {
+        status: projection.status(),
+        holders: projection.holders(),
+        transfers: projection.transfers(),
+        supply: projection.supplyHistory(),
+        volume: projection.volume(),
+    };
+}
+
+describe('indexer', () => {
+    let dir;
+    let log;
+
+    before(() => {
+        log = console.log;
+        console.log = () => {};
+    });
+
+    after(() => {
+        console.log = log;
+    });
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-indexer-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    // 讀完整個fixture的projection
+    async function replayed() {
+        const projection = new Projection(new Database(':memory:'));
+        expect(await indexEvents(projection, fixtureSource(fixture))).to.equal(19);
+        return projection;
+    }
+
+    describe('Projection', () => {
+        it('replays the recorded events into balances, transfers, supply and volume', async () => {
+            const projection = await replayed();
+            expect(projection.holders()).to.deep.equal([
+                { account: account('minter'), balance: '579.05' },
+                { account: account('user1'), balance: '200.5' },
+                { account: account('user2'), balance: '130' },
+                { account: account('treasury'), balance: '0.7' },
+            ]);
+            expect(projection.balanceOf(account('user2'))).to.equal('130');
+            expect(projection.balanceOf('unknown')).to.equal(null);
+            expect(projection.status()).to.deep.equal({
+                checkpoint: { blockNumber: 15, transactionId: `0013${'ab'.repeat(30)}` },
+                decimals: 2,
+                totalSupply: '909.75',
+                holders: 4,
+                transfers: 9,
+            });
+            expect(projection.supplyHistory().map(({ block, supply }) => ({ block, supply }))).to.deep.equal([
+                { block: 8, supply: '1000' },
+                { block: 13, supply: '899.75' },
+                { block: 15, supply: '909.75' },
+            ]);
+            expect(projection.volume()).to.deep.equal([
+                { start: 1700006400, transfers: 2, volume: '350.5' },
+                { start: 1700092800, transfers: 2, volume: '69.3' },
+            ]);
+            expect(projection.transfers({ limit: 3 }).map(({ block, kind, value }) => ({ block, kind, value }))).to.deep.equal([
+                { block: 15, kind: 'mint', value: '10' },
+                { block: 13, kind: 'burn', value: '100.25' },
+                { block: 12, kind: 'fee', value: '0.2' },
+            ]);
+        });
+
+        it('matches BalanceOf plus LockedBalanceOf after private, vesting and recovery events', async () => {
+            const ledger = new MemoryLedger(new TokenERC20Contract());
+            const admin = ledger.identity('admin', 'Org1MSP');
+            const alice = ledger.identity('alice', 'Org2MSP');
+            const alice2 = ledger.identity('alice2', 'Org2MSP');
+            const bob = ledger.identity('bob', 'Org2MSP');
+            await ledger.submit(admin, 'Initialize', 'Token', 'TKN', '2', '', '');
+            for (const identity of [admin, alice, bob]) {
+                await ledger.submit(identity, 'signup', '', '');
+                await ledger.submit(admin, 'UpdateAccount', identity.id, '', 'verified');
+            }
+            await ledger.submit(admin, 'MintTo', alice.id, '1000');
+            await ledger.submit(admin, 'Mint', '300');
+
+            await ledger.invoke(alice, 'ReconcilePrivate', [], { transient: { reconcile: { direction: 'deposit', value: '40' } } });
+            await ledger.invoke(alice, 'ReconcilePrivate', [], { transient: { reconcile: { direction: 'withdraw', value: '15.5' } } });
+            await ledger.submit(alice, 'CreateEscrow', bob.id, '100', String(ledger.time + 60), '', '');
+            await ledger.submit(alice, 'RequestRedemption', '10');
+            const released = await ledger.submit(admin, 'CreateVestingSchedule', alice.id, '100', String(ledger.time), '0', '100', 'false');
+            const revoked = await ledger.submit(admin, 'CreateVestingSchedule', bob.id, '100', String(ledger.time), '0', '100', 'true');
+            ledger.advance(50);
+            await ledger.submit(alice, 'ReleaseVested', released.id);
+            await ledger.submit(admin, 'RevokeVesting', revoked.id);
+
+            await ledger.submit(admin, 'SetRecoveryDelay', '0');
+            const recovery = await ledger.submit(alice2, 'RequestRecovery', alice.id, '');
+            await ledger.invoke(admin, 'ApproveRecovery', [recovery.id], { peerMspId: 'Org2MSP' });
+            expect(ledger.tokenEvent().events.map((event) => event.type)).to.include('LockedBalanceMoved');
+
+            // 錄製成fixture再重播
+            const file = path.join(dir, 'events.jsonl');
+            const recorded = new Projection(new Database(':memory:'));
+            await indexEvents(recorded, recordingSource(ledgerSource(ledger), file));
+            const projection = new Projection(new Database(':memory:'));
+            await indexEvents(projection, fixtureSource(file));
+            expect(snapshot(projection)).to.deep.equal(snapshot(recorded));
+
+            const units = (value) => BigInt(Math.round(Number(value) * 100));
+            for (const identity of [admin, alice, alice2, bob]) {
+                const balance = units(await ledger.evaluate(admin, 'BalanceOf', identity.id)) +
+                    units(await ledger.evaluate(admin, 'LockedBalanceOf', identity.id));
+                expect(units(projection.balanceOf(identity.id) || '0'), identity.id).to.equal(balance);
+            }
+            expect(projection.status().totalSupply).to.equal(await ledger.evaluate(admin, 'TotalSupply'));
+        });
+
+        it('needs the decimals when the history starts after Initialized', () => {
+            const projection = new Projection(new Database(':memory:'));
+            const payload = { txId: 'tx1', time: 1, events: [{ type: 'Transfer', from: '0x0', to: 'a', value: '1' }] };
+            expect(() => projection.apply({ blockNumber: 1n, transactionId: 'tx1', eventName: 'TokenEvent', payload: Buffer.from(JSON.stringify(payload)) }))
+                .to.throw('token decimals are unknown');
+            expect(projection.getCheckpoint()).to.deep.equal({ blockNumber: 0, transactionId: '' });
+
+            const withDecimals = new Projection(new Database(':memory:'), { decimals: 2 });
+            withDecimals.apply({ blockNumber: 1n, transactionId: 'tx1', eventName: 'TokenEvent', payload: Buffer.from(JSON.stringify(payload)) });
+            expect(withDecimals.balanceOf('a')).to.equal('1');
+        });
+
+        it('follows total supply repairs', () => {
+            const projection = new Projection(new Database(':memory:'), { decimals: 2 });
+            const events = [{ type: 'Transfer', from: '0x0', to: 'a', value: '1' }, { type: 'TotalSupplyRepaired', previous: '100', value: '1.5', reason: 'x' }];
+            events.forEach((event, i) => {
+                const payload = { txId: `tx${i}`, time: i, events: [event] };
+                projection.apply({ blockNumber: BigInt(i + 1), transactionId: `tx${i}`, eventName: 'TokenEvent', payload: Buffer.from(JSON.stringify(payload)) });
+            });
+            expect(projection.supplyHistory().map(({ block, supply }) => ({ block, supply }))).to.deep.equal([{ block: 1, supply: '1' }, { block: 2, supply: '1.5' }]);
+            expect(projection.status().totalSupply).to.equal('1.5');
+        });
+    });
+
+    describe('indexEvents', () => {
+        it('resumes after the checkpoint transaction and applies every event once across restarts', async () => {
+            const expected = snapshot(await replayed());
+            const file = path.join(dir, 'token.db');
+
+            // 在區塊7的第二筆交易後停止, 重啟時區塊7前兩筆交易要略過
+            let db = new Database(file);
+            expect(await indexEvents(new Projection(db), firstEvents(fixtureSource(fixture), 7))).to.equal(7);
+            expect(new Projection(db).getCheckpoint()).to.deep.equal({ blockNumber: 7, transactionId: `0007${'ab'.repeat(30)}` });
+            db.close();
+
+            db = new Database(file);
+            expect(await indexEvents(new Projection(db), fixtureSource(fixture))).to.equal(12);
+            expect(snapshot(new Projection(db))).to.deep.equal(expected);
+            db.close();
+
+            db = new Database(file);
+            expect(await indexEvents(new Projection(db), fixtureSource(fixture))).to.equal(0);
+            expect(snapshot(new Projection(db))).to.deep.equal(expected);
+            db.close();
+        });
+
+        it('rewinds to a block and replays from there', async () => {
+            const projection = await replayed();
+            const expected = snapshot(projection);
+
+            projection.rewind(13);
+            expect(projection.getCheckpoint()).to.deep.equal({ blockNumber: 13, transactionId: '' });
+            expect(projection.status().totalSupply).to.equal('1000');
+            expect(projection.supplyHistory()).to.have.length(1);
+
+            expect(await indexEvents(projection, fixtureSource(fixture), { replayFrom: 12 })).to.equal(5);
+            expect(snapshot(projection)).to.deep.equal(expected);
+        });
+
+        it('closes the source when it ends', async () => {
+            let closed = false;
+            const source = async () => ({ events: (async function* () {})(), close: () => { closed = true; } });
+            expect(await indexEvents(new Projection(new Database(':memory:')), source)).to.equal(0);
+            expect(closed).to.equal(true);
+        });
+    });
+
+    describe('HTTP API', () => {
+        let server;
+        let base;
+
+        beforeEach(async () => {
+            server = createServer(await replayed());
+            server.listen(0, '127.0.0.1');
+            await once(server, 'listening');
+            base = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        afterEach(async () => {
+            server.closeAllConnections();
+            server.close();
+            await once(server, 'close');
+        });
+
+        // 發出請求, 回傳狀態碼與JSON
+        async function get(route, method = 'GET') {
+            const response = await fetch(`${base}${route}`, { method });
+            return { status: response.status, body: await response.json() };
+        }
+
+        it('answers the queries of the projection', async () => {
+            expect((await get('/status')).body).to.include({ totalSupply: '909.75', holders: 4, transfers: 9 });
+            expect((await get('/holders?limit=1&offset=1')).body).to.deep.equal([{ account: account('user1'), balance: '200.5' }]);
+            expect(await get(`/balances/${encodeURIComponent(account('treasury'))}`)).to.deep.equal({
+                status: 200,
+                body: { account: account('treasury'), balance: '0.7' },
+            });
+
+            const transfers = (await get(`/transfers?account=${encodeURIComponent(account('user2'))}&toBlock=12`)).body;
+            expect(transfers).to.not.be.empty;
+            for (const transfer of transfers) {
+                expect([transfer.from, transfer.to]).to.include(account('user2'));
+                expect(transfer.block).to.be.at.most(12);
+            }
+            expect((await get('/supply?fromBlock=13')).body.map((entry) => entry.supply)).to.deep.equal(['899.75', '909.75']);
+            expect((await get('/volume?interval=172800')).body).to.deep.equal([{ start: 1700006400, transfers: 4, volume: '419.8' }]);
+        });
+
+        it('rejects bad parameters, unknown routes and other methods', async () => {
+            expect(await get('/holders?limit=ten')).to.deep.equal({ status: 400, body: { error: 'limit must be a non-negative integer' } });
+            expect(await get('/volume?interval=0')).to.deep.equal({ status: 400, body: { error: 'interval must be positive' } });
+            expect(await get('/balances/unknown')).to.deep.equal({ status: 404, body: { error: 'not found' } });
+            expect(await get('/accounts')).to.deep.equal({ status: 404, body: { error: 'not found' } });
+            expect(await get('/status', 'POST')).to.deep.equal({ status: 405, body: { error: 'method not allowed' } });
+        });
+    });
+});
@@ -0,0 +1,475 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+*/
+
+'use strict';
+
+// An in-memory stand-in for a peer, so that the contract can be tested without a Fabric network.
+// It keeps the parts of Fabric's transaction semantics the contract has to get right:
+// - reads (getState, range and partial-key queries, private data) only see committed state,
+//   a transaction does not read its own writes
+// - writes are collected in a write set, the last write of a key wins, and the write set is
+//   applied when the transaction commits; a failed transaction leaves no trace
+// - paginated queries are only allowed in transactions that do not write
+// - only the last setEvent call of a transaction is delivered
+// - a peer can only read the implicit private data collection of its own org
+
+const COMPOSITEKEY_NS = '\x00';
+const MIN_UNICODE_RUNE_VALUE = '\u0000';
+const MAX_UNICODE_RUNE_VALUE = '\u{10ffff}';
+const EMPTY_KEY_SUBSTITUTE = '\x01';
+
+// 比照fabric-shim的composite key檢查
+function validateCompositeKeyAttribute(attr) {
+    if (!attr || typeof attr !== 'string' || attr.length === 0) {
+        throw new Error('object type or attribute not a non-zero length string');
+    }
+}
+
+// 依byte順序排序key, 與peer的state database相同
+function compareKeys(a, b) {
+    return Buffer.compare(Buffer.from(a), Buffer.from(b));
+}
+
+// 範圍查詢的結果, 介面與fabric-shim的StateQueryIterator相同
+class StateQueryIterator {
+    constructor(entries) {
+        this.entries = entries;
+        this.index = 0;
+        this.closed = false;
+    }
+
+    async next() {
+        if (this.closed) {
+            throw new Error('iterator is closed');
+        }
+        if (this.index >= this.entries.length) {
+            return { done: true };
+        }
+        const [key, value] = this.entries[this.index++];
+        return { value: { key, value: Buffer.from(value) }, done: false };
+    }
+
+    async close() {
+        this.closed = true;
+    }
+
+    [Symbol.asyncIterator]() {
+        return { next: () => this.next().then((result) => (result.done ? { done: true } : result)) };
+    }
+}
+
+// 讓回傳的promise也能直接用for await走訪
+function asyncIteratorPromise(entries) {
+    const iterator = new StateQueryIterator(entries);
+    const promise = Promise.resolve(iterator);
+    promise[Symbol.asyncIterator] = () => iterator[Symbol.asyncIterator]();
+    return promise;
+}
+
+/**
+ * The ctx.stub of one transaction. Reads come from the committed state of the ledger,
+ * writes go to the write set until the ledger commits the transaction.
+ */
+class ChaincodeStub {
+    constructor(ledger, { txId, time, transient, peerMspId }) {
+        this.ledger = ledger;
+        this.txId = txId;
+        this.time = time;
+        this.transient = new Map(Object.entries(transient || {}).map(([field, value]) =>
+            [field, Buffer.from(typeof value === 'string' ? value : JSON.stringify(value))]));
+        this.peerMspId = peerMspId;
+        this.writes = new Map();
+        this.privateWrites = new Map();
+        this.event = null;
+        this.writePerformed = false;
+        this.paginatedQueryPerformed = false;
+    }
+
+    getTxID() {
+        return this.txId;
+    }
+
+    getChannelID() {
+        return 'mychannel';
+    }
+
+    getMspID() {
+        return this.peerMspId;
+    }
+
+    getTxTimestamp() {
+        const seconds = this.time;
+        return { seconds: { low: seconds, high: 0, toString: () => seconds.toString() }, nanos: 0 };
+    }
+
+    getTransient() {
+        return this.transient;
+    }
+
+    async getState(key) {
+        const value = this.ledger.state.get(key);
+        return value === undefined ? Buffer.alloc(0) : Buffer.from(value);
+    }
+
+    async putState(key, value) {
+        this._checkWrite(key, value);
+        this.writes.set(key, Buffer.from(value));
+    }
+
+    async deleteState(key) {
+        this._checkWrite(key, Buffer.alloc(0));
+        this.writes.set(key, null);
+    }
+
+    getStateByRange(startKey, endKey) {
+        if (startKey.startsWith(COMPOSITEKEY_NS) || endKey.startsWith(COMPOSITEKEY_NS)) {
+            return Promise.reject(new Error(`first character of the key [${startKey}] contains a null character which is not allowed`));
+        }
+        return asyncIteratorPromise(this._range(this.ledger.state, startKey || EMPTY_KEY_SUBSTITUTE, endKey));
+    }
+
+    getStateByPartialCompositeKey(objectType, attributes) {
+        const partialKey = this.createCompositeKey(objectType, attributes);
+        return asyncIteratorPromise(this._range(this.ledger.state, partialKey, partialKey + MAX_UNICODE_RUNE_VALUE));
+    }
+
+    async getStateByPartialCompositeKeyWithPagination(objectType, attributes, pageSize, bookmark) {
+        if (this.writePerformed) {
+            throw new Error(`txid [${this.txId}]: transaction has already performed writes. Performing paginated query is not allowed`);
+        }
+        this.paginatedQueryPerformed = true;
+
+        const partialKey = this.createCompositeKey(objectType, attributes);
+        const entries = this._range(this.ledger.state, bookmark || partialKey, partialKey + MAX_UNICODE_RUNE_VALUE);
+        const page = entries.slice(0, pageSize);
+        const next = entries.length > pageSize ? entries[pageSize][0] : '';
+        return {
+            iterator: new StateQueryIterator(page),
+            metadata: { fetchedRecordsCount: page.length, bookmark: next },
+        };
+    }
+
+    createCompositeKey(objectType, attributes) {
+        validateCompositeKeyAttribute(objectType);
+        if (!Array.isArray(attributes)) {
+            throw new Error('attributes must be an array');
+        }
+        let compositeKey = COMPOSITEKEY_NS + objectType + MIN_UNICODE_RUNE_VALUE;
+        for (const attribute of attributes) {
+            validateCompositeKeyAttribute(attribute);
+            compositeKey = compositeKey + attribute + MIN_UNICODE_RUNE_VALUE;
+        }
+        return compositeKey;
+    }
+
+    splitCompositeKey(compositeKey) {
+        const result = { objectType: null, attributes: [] };
+        if (compositeKey && compositeKey.length > 1 && compositeKey.charAt(0) === COMPOSITEKEY_NS) {
+            const splitKey = compositeKey.substring(1).split(MIN_UNICODE_RUNE_VALUE);
+            result.objectType = splitKey[0];
+            splitKey.pop();
+            if (splitKey.length > 1) {
+                splitKey.shift();
+                result.attributes = splitKey;
+            }
+        }
+        return result;
+    }
+
+    async getPrivateData(collection, key) {
+        const value = this._readableCollection(collection).get(key);
+        return value === undefined ? Buffer.alloc(0) : Buffer.from(value);
+    }
+
+    async putPrivateData(collection, key, value) {
+        this._checkWrite(key, value);
+        this._privateWriteSet(collection).set(key, Buffer.from(value));
+    }
+
+    async deletePrivateData(collection, key) {
+        this._checkWrite(key, Buffer.alloc(0));
+        this._privateWriteSet(collection).set(key, null);
+    }
+
+    getPrivateDataByPartialCompositeKey(collection, objectType, attributes) {
+        const partialKey = this.createCompositeKey(objectType, attributes);
+        let entries;
+        try {
+            entries = this._range(this._readableCollection(collection), partialKey, partialKey + MAX_UNICODE_RUNE_VALUE);
+        } catch (err) {
+            return Promise.reject(err);
+        }
+        return asyncIteratorPromise(entries);
+    }
+
+    setEvent(name, payload) {
+        if (typeof name !== 'string' || name === '') {
+            throw new Error('event name must be a non-empty string');
+        }
+        // Fabric只保留一筆交易最後一次setEvent的內容
+        this.event = { name, payload: Buffer.from(payload) };
+    }
+
+    // 檢查寫入的key與值, 分頁查詢之後不能再寫入
+    _checkWrite(key, value) {
+        if (typeof key !== 'string' || key === '') {
+            throw new Error('key must not be an empty string');
+        }
+        if (!Buffer.isBuffer(value)) {
+            throw new Error(`value of key ${JSON.stringify(key)} must be a Buffer`);
+        }
+        if (this.paginatedQueryPerformed) {
+            throw new Error(`txid [${this.txId}]: transaction has already performed a paginated query. Writes are not allowed`);
+        }
+        this.writePerformed = true;
+    }
+
+    // peer只能讀取自己組織的implicit collection
+    _readableCollection(collection) {
+        if (collection.startsWith('_implicit_org_') && collection !== `_implicit_org_${this.peerMspId}`) {
+            throw new Error(`peer of ${this.peerMspId} is not a member of collection ${collection}`);
+        }
+        return this.ledger.privateData.get(collection) || new Map();
+    }
+
+    _privateWriteSet(collection) {
+        if (!this.privateWrites.has(collection)) {
+            this.privateWrites.set(collection, new Map());
+        }
+        return this.privateWrites.get(collection);
+    }
+
+    // 已提交狀態中 startKey <= key < endKey 的資料, 依key排序
+    _range(state, startKey, endKey) {
+        return [...state.entries()]
+            .filter(([key]) => compareKeys(key, startKey) >= 0 && (!endKey || compareKeys(key, endKey) < 0))
+            .sort(([a], [b]) => compareKeys(a, b));
+    }
+}
+
+/**
+ * A client identity as seen by the contract through ctx.clientIdentity.
+ */
+class ClientIdentity {
+    constructor(name, mspId, attributes = {}) {
+        const org = mspId.replace(/MSP$/, '').toLowerCase();
+        this.id = `x509::CN=${name},OU=client::CN=ca.${org}.example.com,O=${org}.example.com`;
+        this.mspId = mspId;
+        this.attributes = attributes;
+    }
+
+    getID() {
+        return this.id;
+    }
+
+    getMSPID() {
+        return this.mspId;
+    }
+
+    getAttributeValue(name) {
+        return this.attributes[name] === undefined ? null : this.attributes[name];
+    }
+
+    assertAttributeValue(name, value) {
+        return this.attributes[name] === value;
+    }
+}
+
+// 比照fabric-gateway的ChaincodeEvents, 讀完已提交的區塊後等待新的區塊, close()後結束
+class ChaincodeEventStream {
+    constructor(ledger, startBlock) {
+        this.ledger = ledger;
+        this.nextBlock = startBlock;
+        this.closed = false;
+        this.wake = null;
+    }
+
+    async next() {
+        while (!this.closed) {
+            const event = this.ledger.events.find((committed) => committed.blockNumber >= this.nextBlock);
+            if (event) {
+                this.nextBlock = event.blockNumber + 1n;
+                return {
+                    value: { blockNumber: event.blockNumber, transactionId: event.txId, eventName: event.name, payload: Buffer.from(event.payload) },
+                    done: false,
+                };
+            }
+            await new Promise((resolve) => {
+                this.wake = resolve;
+                this.ledger.streams.add(this);
+            });
+        }
+        return { done: true };
+    }
+
+    close() {
+        this.closed = true;
+        this.ledger.streams.delete(this);
+        if (this.wake) {
+            this.wake();
+        }
+    }
+
+    [Symbol.asyncIterator]() {
+        return this;
+    }
+}
+
+/**
+ * The ledger of one channel with one contract deployed. Transactions run one after the other:
+ * `submit` commits the write set when the transaction succeeds, `evaluate` never commits.
+ */
+class MemoryLedger {
+    constructor(contract, { time = 1700000000 } = {}) {
+        this.contract = contract;
+        this.state = new Map();
+        this.privateData = new Map();
+        this.time = time;
+        this.txCount = 0;
+        this.events = [];
+        this.streams = new Set();
+    }
+
+    /**
+     * Create a client identity.
+     *
+     * @param {String} name The common name of the certificate
+     * @param {String} [mspId] The MSP of the client, Org1MSP by default
+     * @param {Object} [attributes] The certificate attributes
+     * @returns {ClientIdentity} The identity, its ID is in `id`
+     */
+    identity(name, mspId = 'Org1MSP', attributes = {}) {
+        return new ClientIdentity(name, mspId, attributes);
+    }
+
+    /**
+     * Connect a client identity the way the Fabric Gateway does. The contract has the Gateway's
+     * submit(name, { arguments, transientData }) and evaluate(name, { arguments }), which return the
+     * serialized result or throw an error with the chaincode message in `details`. The network's
+     * getChaincodeEvents(chaincodeName, { startBlock }) streams the committed TokenEvents, one block per transaction.
+     *
+     * @param {ClientIdentity} identity The client of the gateway
+     * @returns {Object} The contract and the network
+     */
+    connect(identity) {
+        const call = async (name, { arguments: args = [], transientData } = {}, commit) => {
+            const transient = transientData && Object.fromEntries(Object.entries(transientData).map(([field, value]) => [field, Buffer.from(value).toString()]));
+            let result;
+            try {
+                result = await this.invoke(identity, name, args, { commit, transient });
+            } catch (err) {
+                const message = `chaincode response 500, ${err.message}`;
+                throw Object.assign(new Error(`10 ABORTED: failed to endorse transaction, see attached details for more info`),
+                    { code: 10, transactionId: `tx${this.txCount.toString().padStart(4, '0')}`, details: [{ address: 'peer0:7051', mspId: identity.getMSPID(), message }] });
+            }
+            // contract-api回傳字串時不加引號, 其他值序列化成JSON
+            return Buffer.from(result === undefined ? '' : typeof result === 'string' ? result : JSON.stringify(result));
+        };
+        return {
+            contract: {
+                submit: (name, proposal) => call(name, proposal, true),
+                evaluate: (name, proposal) => call(name, proposal, false),
+            },
+            network: {
+                getChaincodeEvents: async (chaincodeName, { startBlock = 0n } = {}) => new ChaincodeEventStream(this, BigInt(startBlock)),
+            },
+        };
+    }
+
+    // 推進交易時間
+    advance(seconds) {
+        this.time += seconds;
+    }
+
+    async submit(identity, name, ...args) {
+        return this.invoke(identity, name, args);
+    }
+
+    async evaluate(identity, name, ...args) {
+        return this.invoke(identity, name, args, { commit: false });
+    }
+
+    /**
+     * Run a transaction function of the contract.
+     *
+     * @param {ClientIdentity} identity The calling client
+     * @param {String} name The transaction function
+     * @param {String[]} args The arguments
+     * @param {Object} [options]
+     * @param {Boolean} [options.commit] Commit the write set when the function succeeds, default true
+     * @param {Object} [options.transient] Transient fields, objects are passed as JSON
+     * @param {String} [options.peerMspId] The org of the endorsing peer, the client's org by default
+     * @returns {Promise<*>} The result as the client would receive it, serialized as JSON
+     */
+    async invoke(identity, name, args, { commit = true, transient, peerMspId } = {}) {
+        if (name.startsWith('_') || typeof this.contract[name] !== 'function') {
+            throw new Error(`You've asked to invoke a function that does not exist: ${name}`);
+        }
+
+        this.txCount++;
+        const stub = new ChaincodeStub(this, {
+            txId: `tx${this.txCount.toString().padStart(4, '0')}`,
+            time: this.time,
+            transient,
+            peerMspId: peerMspId || identity.getMSPID(),
+        });
+        const ctx = this.contract.createContext();
+        ctx.setChaincodeStub(stub);
+        ctx.setClientIdentity(identity);
+
+        await this.contract.beforeTransaction(ctx);
+        const result = await this.contract[name](ctx, ...args.map(String));
+        await this.contract.afterTransaction(ctx, result);
+
+        if (commit) {
+            this._commit(stub);
+            this.lastTxId = stub.txId;
+        }
+        return result === undefined ? undefined : JSON.parse(JSON.stringify(result));
+    }
+
+    /**
+     * Return the TokenEvent payloads of the committed transactions, the last one by default.
+     *
+     * @param {String} [txId] The transaction
+     * @returns {Object} The payload, null when the transaction emitted nothing
+     */
+    tokenEvent(txId) {
+        const id = txId || this.lastTxId;
+        const event = this.events.find((committed) => committed.txId === id);
+        return event ? JSON.parse(event.payload.toString()) : null;
+    }
+
+    // 交易成功後才套用write set
+    _commit(stub) {
+        for (const [key, value] of stub.writes) {
+            if (value === null) {
+                this.state.delete(key);
+            } else {
+                this.state.set(key, value);
+            }
+        }
+        for (const [collection, writes] of stub.privateWrites) {
+            if (!this.privateData.has(collection)) {
+                this.privateData.set(collection, new Map());
+            }
+            for (const [key, value] of writes) {
+                if (value === null) {
+                    this.privateData.get(collection).delete(key);
+                } else {
+                    this.privateData.get(collection).set(key, value);
+                }
+            }
+        }
+        if (stub.event) {
+            this.events.push({ txId: stub.txId, name: stub.event.name, payload: stub.event.payload, blockNumber: BigInt(this.events.length + 1) });
+            for (const stream of this.streams) {
+                stream.wake();
+            }
+            this.streams.clear();
+        }
+    }
+}
+
+module.exports = { MemoryLedger, ChaincodeStub, ClientIdentity };
@@ -0,0 +1,232 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+*/
+
+'use strict';
+
+const { expect } = require('chai');
+
+const TokenERC20Contract = require('../tokenERC20.js');
+const { TokenClient, TokenError, mapError } = require('../client/tokenClient.js');
+const { run } = require('../client/token.js');
+const { MemoryLedger } = require('./stub.js');
+
+// 預期呼叫失敗, 並檢查TokenError的代碼
+async function expectCode(promise, code) {
+    let error = null;
+    try {
+        await promise;
+    } catch (err) {
+        error = err;
+    }
+    expect(error, `expected a ${code} error`).to.be.an.instanceof(TokenError);
+    expect(error.code).to.equal(code);
+    return error;
+}
+
+// 收集寫入的內容
+function output() {
+    return { text: '', write(chunk) { this.text += chunk; } };
+}
+
+describe('TokenClient', () => {
+    let ledger;
+    let admin;
+    let alice;
+    let bob;
+    let log;
+
+    // 合約的console.log不輸出到測試結果
+    before(() => {
+        log = console.log;
+        console.log = () => {};
+    });
+
+    after(() => {
+        console.log = log;
+    });
+
+    // 以一個身分連上替代的Gateway
+    function clientFor(identity) {
+        const { contract, network } = ledger.connect(identity);
+        return new TokenClient(contract, { network, chaincodeName: 'token' });
+    }
+
+    beforeEach(async () => {
+        ledger = new MemoryLedger(new TokenERC20Contract());
+        admin = clientFor(ledger.identity('admin', 'Org1MSP'));
+        alice = clientFor(ledger.identity('alice', 'Org2MSP'));
+        bob = clientFor(ledger.identity('bob', 'Org2MSP'));
+
+        expect(await admin.initialize('Token', 'TKN', 2, 100000n, '')).to.equal(true);
+        for (const client of [admin, alice, bob]) {
+            await client.signup('', 'user');
+            await admin.updateAccount(await client.clientAccountID(), '', 'verified');
+        }
+    });
+
+    it('submits and evaluates transactions and formats amounts', async () => {
+        const aliceId = await alice.clientAccountID();
+        const bobId = await bob.clientAccountID();
+        expect(await admin.getTokenInfo()).to.include({ name: 'Token', maxSupply: '1000', totalSupply: '0' });
+        expect(await admin.mintTo(aliceId, 12345n)).to.equal(true);
+        expect(await alice.balanceOf(aliceId)).to.equal('123.45');
+        expect(await alice.getDecimals()).to.equal(2);
+
+        expect(await alice.transfer(bobId, '10.5')).to.equal(true);
+        expect(await alice.batchTransfer([{ to: bobId, value: 50n }, { to: bobId, value: 1 }])).to.deep.equal({ count: 2, total: '1.5' });
+        expect(await alice.increaseAllowance(bobId, 100n)).to.equal('1');
+        expect(await alice.allowance(aliceId, bobId)).to.equal('1');
+        expect(await bob.balanceOf(bobId)).to.equal('12');
+
+        const policy = await admin.setFeePolicy({ treasury: await admin.clientAccountID(), flatFee: '0.1' });
+        expect(policy).to.include({ flatFee: '0.1' });
+        expect(await alice.quoteTransfer(aliceId, bobId, 100n)).to.include({ fee: '0.1', net: '0.9' });
+        expect(await alice.updateMetadata({ description: 'x' }).catch((err) => err.code)).to.equal('NOT_AUTHORIZED');
+    });
+
+    it('submits the transactions that write and evaluates the queries', async () => {
+        const { contract } = ledger.connect(ledger.identity('admin', 'Org1MSP'));
+        const calls = [];
+        const recorded = new TokenClient({
+            submit: (name, proposal) => calls.push(['submit', name]) && contract.submit(name, proposal),
+            evaluate: (name, proposal) => calls.push(['evaluate', name]) && contract.evaluate(name, proposal),
+        });
+        const aliceId = await alice.clientAccountID();
+        await recorded.mintTo(aliceId, '5');
+        await recorded.balanceOf(aliceId);
+        await recorded.snapshot();
+        await recorded.getTransactionData(aliceId, 10);
+        expect(calls).to.deep.equal([['submit', 'MintTo'], ['evaluate', 'BalanceOf'], ['submit', 'Snapshot'], ['evaluate', 'getTransactionData']]);
+    });
+
+    it('throws TokenError with the chaincode code', async () => {
+        const bobId = await bob.clientAccountID();
+        const error = await expectCode(alice.transfer(bobId, '1'), 'INSUFFICIENT_FUNDS');
+        expect(error.transaction).to.equal('Transfer');
+        expect(error.message).to.not.match(/^chaincode response/);
+        await expectCode(alice.mint('1'), 'NOT_AUTHORIZED');
+        await expectCode(alice.transfer(bobId, -1n), 'INVALID_ARGUMENT');
+        await expectCode(alice.transfer(bobId, 1e21), 'INVALID_ARGUMENT');
+
+        expect(mapError({ transactionId: 'tx1', code: 11 }, 'Transfer').code).to.equal('COMMIT_FAILED');
+        expect(mapError({ message: '14 UNAVAILABLE', details: [] }, 'Transfer').code).to.equal('GATEWAY_ERROR');
+    });
+
+    it('passes private transfers in transient data', async () => {
+        const aliceId = await alice.clientAccountID();
+        const bobId = await bob.clientAccountID();
+        await admin.mintTo(aliceId, '100');
+        expect(await alice.reconcilePrivate('deposit', 4000n)).to.deep.equal({ balance: '60', privateBalance: '40' });
+        const transfer = await alice.transferPrivate(bobId, '15');
+        expect(await alice.verifyPrivateTransfer(transfer.id, aliceId, bobId, 1500n, transfer.salt)).to.equal(true);
+        expect(await alice.privateBalanceOf('')).to.equal('25');
+        expect(await alice.privateSupply()).to.equal('40');
+    });
+
+    it('unpacks the events of each transaction', async () => {
+        const aliceId = await alice.clientAccountID();
+        await admin.mintTo(aliceId, '7');
+        const events = [];
+        for await (const event of admin.events({ startBlock: 1n, types: ['Transfer'] })) {
+            events.push(event);
+            break;
+        }
+        expect(events).to.have.length(1);
+        expect(events[0]).to.include({ type: 'Transfer', to: aliceId, value: '7', txId: ledger.lastTxId });
+        expect(ledger.streams.size).to.equal(0);
+
+        await expectCode(new TokenClient({}).events().next(), 'INVALID_ARGUMENT');
+    });
+
+    it('stops an event listener while it waits for the next event', async () => {
+        const aliceId = await alice.clientAccountID();
+        let stream;
+        const network = {
+            getChaincodeEvents: async (...args) => {
+                stream = await ledger.connect(ledger.identity('admin')).network.getChaincodeEvents(...args);
+                return stream;
+            },
+        };
+        const listener = new TokenClient(null, { network, chaincodeName: 'token' });
+
+        const received = [];
+        let delivered;
+        const firstEvent = new Promise((resolve) => {
+            delivered = resolve;
+        });
+        const stop = listener.addEventListener((event) => {
+            received.push(event.type);
+            delivered();
+        }, { types: ['Transfer'] });
+        await admin.mintTo(aliceId, '1');
+        await firstEvent;
+
+        // 沒有新事件時停止監聽, 串流要立即關閉
+        stop();
+        expect(stream.closed).to.equal(true);
+        await admin.mintTo(aliceId, '1');
+        await new Promise((resolve) => setImmediate(resolve));
+        expect(received).to.deep.equal(['Transfer']);
+    });
+
+    it('stops on a listener error and reports it apart from stream errors', async () => {
+        const aliceId = await alice.clientAccountID();
+        let stream;
+        const network = {
+            getChaincodeEvents: async (...args) => {
+                stream = await ledger.connect(ledger.identity('admin')).network.getChaincodeEvents(...args);
+                return stream;
+            },
+        };
+        const listener = new TokenClient(null, { network, chaincodeName: 'token' });
+
+        const failure = new Error('listener failed');
+        const reported = new Promise((resolve) => {
+            listener.addEventListener(() => {
+                throw failure;
+            }, {
+                types: ['Transfer'],
+                onError: (err) => resolve({ stream: err }),
+                onListenerError: (err, event) => resolve({ listener: err, event }),
+            });
+        });
+        await admin.mintTo(aliceId, '1');
+        const { listener: err, event } = await reported;
+        expect(err).to.equal(failure);
+        expect(event).to.include({ type: 'Transfer', to: aliceId });
+        expect(stream.closed).to.equal(true);
+
+        const unavailable = new TokenClient(null, { network: { getChaincodeEvents: async () => { throw Object.assign(new Error('14 UNAVAILABLE'), { details: [] }); } }, chaincodeName: 'token' });
+        const streamError = await new Promise((resolve) => {
+            unavailable.addEventListener(() => {}, { onError: resolve, onListenerError: resolve });
+        });
+        expect(streamError).to.be.an.instanceof(TokenError);
+        expect(streamError.code).to.equal('GATEWAY_ERROR');
+    });
+
+    describe('CLI', () => {
+        // 以替代的client執行指令
+        async function cli(client, ...argv) {
+            const stdout = output();
+            const stderr = output();
+            let closed = false;
+            const code = await run(argv, { connect: async () => ({ client, close: () => { closed = true; } }), stdout, stderr });
+            expect(closed).to.equal(code !== 2);
+            return { code, stdout: stdout.text, stderr: stderr.text };
+        }
+
+        it('runs commands and reports errors with their code', async () => {
+            const aliceId = await alice.clientAccountID();
+            expect(await cli(admin, 'mint', '2.5', aliceId)).to.deep.equal({ code: 0, stdout: 'true\n', stderr: '' });
+            expect((await cli(alice, 'balance')).stdout).to.equal('2.5\n');
+            expect((await cli(alice, 'call', 'TotalSupply')).stdout).to.equal('2.5\n');
+
+            const failed = await cli(alice, 'transfer', await bob.clientAccountID(), '3');
+            expect(failed.code).to.equal(1);
+            expect(failed.stderr).to.match(/^INSUFFICIENT_FUNDS: /);
+            expect((await cli(alice, 'call', '_call')).stderr).to.equal('INVALID_ARGUMENT: unknown transaction _call\n');
+            expect((await cli(alice, 'unknown')).code).to.equal(2);
+        });
+    });
+});
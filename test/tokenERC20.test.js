@@ -0,0 +1,1044 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+*/
+
+'use strict';
+
+const crypto = require('crypto');
+const { expect } = require('chai');
+
+const TokenERC20Contract = require('../tokenERC20.js');
+const { MemoryLedger } = require('./stub.js');
+
+// 預期交易失敗, 並檢查錯誤訊息
+async function expectError(promise, message) {
+    let error = null;
+    try {
+        await promise;
+    } catch (err) {
+        error = err;
+    }
+    expect(error, `expected an error matching ${message}`).to.be.an('error');
+    expect(error.message).to.match(message instanceof RegExp ? message : new RegExp(message.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')));
+}
+
+describe('TokenERC20Contract', () => {
+    let ledger;
+    let admin;
+    let alice;
+    let bob;
+    let carol;
+    let log;
+
+    // 合約的console.log不輸出到測試結果
+    before(() => {
+        log = console.log;
+        console.log = () => {};
+    });
+
+    after(() => {
+        console.log = log;
+    });
+
+    // 開戶並由admin通過KYC
+    async function register(identity) {
+        await ledger.submit(identity, 'signup', '', identity.id.split(',')[0]);
+        await ledger.submit(admin, 'UpdateAccount', identity.id, '', 'verified');
+    }
+
+    async function balanceOf(identity) {
+        return ledger.evaluate(admin, 'BalanceOf', typeof identity === 'string' ? identity : identity.id);
+    }
+
+    // 同一筆交易的所有事件類型
+    function eventTypes() {
+        return ledger.tokenEvent().events.map((event) => event.type);
+    }
+
+    beforeEach(async () => {
+        ledger = new MemoryLedger(new TokenERC20Contract());
+        admin = ledger.identity('admin', 'Org1MSP');
+        alice = ledger.identity('alice', 'Org2MSP');
+        bob = ledger.identity('bob', 'Org2MSP');
+        carol = ledger.identity('carol', 'Org3MSP');
+
+        await ledger.submit(admin, 'Initialize', 'Token', 'TKN', '2', '', '');
+        for (const identity of [admin, alice, bob, carol]) {
+            await register(identity);
+        }
+        await ledger.submit(admin, 'MintTo', alice.id, '1000');
+    });
+
+    describe('Initialize', () => {
+        it('stores the token options and grants every role to the MSP of the caller', async () => {
+            expect(await ledger.evaluate(alice, 'TokenName')).to.equal('Token');
+            expect(await ledger.evaluate(alice, 'Symbol')).to.equal('TKN');
+            expect(await ledger.evaluate(alice, 'Decimals')).to.equal(2);
+            for (const role of ['admin', 'minter', 'burner', 'pauser']) {
+                expect(await ledger.evaluate(alice, 'HasRole', role, 'msp', 'Org1MSP')).to.equal(true);
+            }
+        });
+
+        it('can only be run by the bootstrap MSP', async () => {
+            const empty = new MemoryLedger(new TokenERC20Contract());
+            const outsider = empty.identity('outsider', 'Org2MSP');
+            await expectError(empty.submit(outsider, 'Initialize', 'Token', 'TKN', '2', '', ''), 'client is not authorized to initialize contract');
+            await empty.submit(admin, 'Initialize', 'Token', 'TKN', '2', '', '');
+            expect(await empty.evaluate(outsider, 'HasRole', 'admin', 'msp', 'Org2MSP')).to.equal(false);
+        });
+
+        it('can only run once', async () => {
+            await expectError(ledger.submit(admin, 'Initialize', 'Other', 'OTH', '2', '', ''), 'contract options are already set');
+        });
+
+        it('rejects every transaction before it ran', async () => {
+            const empty = new MemoryLedger(new TokenERC20Contract());
+            await expectError(empty.evaluate(admin, 'TotalSupply'), 'call Initialize() to initialize contract');
+        });
+
+        it('sets the fee policy passed along', async () => {
+            const empty = new MemoryLedger(new TokenERC20Contract());
+            await empty.submit(admin, 'Initialize', 'Token', 'TKN', '2', '', JSON.stringify({ treasury: carol.id, flatFee: '0.5' }));
+            expect(empty.tokenEvent().events.map((event) => event.type)).to.include('FeePolicySet');
+            expect(await empty.evaluate(admin, 'GetFeePolicy')).to.include({ treasury: carol.id, flatFee: '0.5' });
+        });
+
+        it('rejects decimals above 18', async () => {
+            const empty = new MemoryLedger(new TokenERC20Contract());
+            await expectError(empty.submit(admin, 'Initialize', 'Token', 'TKN', '19', '', ''), 'decimals must be an integer between 0 and 18');
+        });
+    });
+
+    describe('amounts', () => {
+        it('are decimal strings in the token decimals', async () => {
+            await ledger.submit(alice, 'Transfer', bob.id, '0.25');
+            expect(await balanceOf(alice)).to.equal('999.75');
+            expect(await balanceOf(bob)).to.equal('0.25');
+            expect(await ledger.evaluate(alice, 'TotalSupply')).to.equal('1000');
+        });
+
+        it('rejects malformed, negative and too precise amounts', async () => {
+            await expectError(ledger.submit(alice, 'Transfer', bob.id, '1e3'), 'is not a valid decimal number');
+            await expectError(ledger.submit(alice, 'Transfer', bob.id, '12abc'), 'is not a valid decimal number');
+            await expectError(ledger.submit(alice, 'Transfer', bob.id, '-5'), 'cannot be negative');
+            await expectError(ledger.submit(alice, 'Transfer', bob.id, '0.001'), 'has more than 2 decimal places');
+        });
+    });
+
+    describe('accounts', () => {
+        it('start pending and cannot receive tokens until verified', async () => {
+            const dave = ledger.identity('dave', 'Org2MSP');
+            const record = await ledger.submit(dave, 'signup', '', 'Dave');
+            expect(record).to.include({ id: dave.id, mspId: 'Org2MSP', kycStatus: 'pending', status: 'active' });
+            await expectError(ledger.submit(alice, 'Transfer', dave.id, '1'), 'is not verified');
+        });
+
+        it('can only be registered for someone else by an admin', async () => {
+            const dave = ledger.identity('dave', 'Org2MSP');
+            await expectError(ledger.submit(alice, 'signup', dave.id, 'Dave'), 'client is not authorized to register other accounts');
+            const record = await ledger.submit(admin, 'signup', dave.id, 'Dave');
+            expect(record.mspId).to.equal('');
+        });
+
+        it('only let an admin change the KYC status', async () => {
+            await expectError(ledger.submit(alice, 'UpdateAccount', alice.id, '', 'rejected'), 'client is not authorized to change the KYC status');
+            const record = await ledger.submit(alice, 'UpdateAccount', alice.id, 'Alice', '');
+            expect(record.displayName).to.equal('Alice');
+        });
+
+        it('are only updated by the owner or an admin and not without a change', async () => {
+            await expectError(ledger.submit(bob, 'UpdateAccount', alice.id, '', ''), 'nothing to update');
+            await expectError(ledger.submit(bob, 'UpdateAccount', alice.id, 'Bob', ''), 'client is not authorized to update this account');
+            await expectError(ledger.submit(bob, 'UpdateAccount', alice.id, '', 'rejected'), 'client is not authorized to update this account');
+            expect((await ledger.submit(admin, 'UpdateAccount', alice.id, 'Alice', '')).displayName).to.equal('Alice');
+        });
+
+        it('can be closed once empty', async () => {
+            await expectError(ledger.submit(alice, 'CloseAccount', alice.id), 'still has a balance');
+            const record = await ledger.submit(bob, 'CloseAccount', bob.id);
+            expect(record.status).to.equal('closed');
+            await expectError(ledger.submit(alice, 'Transfer', bob.id, '1'), 'is closed');
+        });
+
+        it('are listed page by page', async () => {
+            const first = await ledger.evaluate(admin, 'ListAccounts', '3', '');
+            expect(first.accounts).to.have.lengthOf(3);
+            const second = await ledger.evaluate(admin, 'ListAccounts', '3', first.bookmark);
+            expect(second.accounts).to.have.lengthOf(1);
+            expect(second.bookmark).to.equal('');
+        });
+    });
+
+    describe('Transfer', () => {
+        it('moves tokens and emits a Transfer event', async () => {
+            await ledger.submit(alice, 'Transfer', bob.id, '100');
+            expect(await balanceOf(alice)).to.equal('900');
+            expect(await balanceOf(bob)).to.equal('100');
+
+            const payload = ledger.tokenEvent();
+            expect(payload).to.include({ version: 1, txId: ledger.lastTxId, time: ledger.time });
+            expect(payload.events).to.deep.equal([
+                { type: 'Transfer', from: alice.id, to: bob.id, value: '100', gross: '100', fee: '0' },
+            ]);
+        });
+
+        it('rejects a transfer above the balance', async () => {
+            await expectError(ledger.submit(bob, 'Transfer', alice.id, '1'), 'insufficient funds');
+        });
+
+        it('rejects a transfer to the sender', async () => {
+            await expectError(ledger.submit(alice, 'Transfer', alice.id, '100'), 'cannot transfer to and from same client account');
+            expect(await balanceOf(alice)).to.equal('1000');
+        });
+
+        it('rejects unknown recipients', async () => {
+            await expectError(ledger.submit(alice, 'Transfer', 'nobody', '1'), 'client account nobody no signup');
+        });
+    });
+
+    describe('allowances', () => {
+        it('let a spender transfer up to the approved amount', async () => {
+            await ledger.submit(alice, 'Approve', bob.id, '50');
+            expect(await ledger.evaluate(bob, 'Allowance', alice.id, bob.id)).to.equal('50');
+
+            await ledger.submit(bob, 'TransferFrom', alice.id, carol.id, '30');
+            expect(await balanceOf(carol)).to.equal('30');
+            expect(await ledger.evaluate(bob, 'Allowance', alice.id, bob.id)).to.equal('20');
+            expect(eventTypes()).to.deep.equal(['Approval', 'Transfer']);
+
+            await expectError(ledger.submit(bob, 'TransferFrom', alice.id, carol.id, '30'), 'does not have enough allowance');
+        });
+
+        it('are required for TransferFrom', async () => {
+            await expectError(ledger.submit(bob, 'TransferFrom', alice.id, carol.id, '1'), 'has no allowance');
+            await expectError(ledger.submit(bob, 'TransferFrom', alice.id, alice.id, '1'), 'cannot transfer to and from same client account');
+        });
+
+        it('can be increased and decreased', async () => {
+            await ledger.submit(alice, 'Approve', bob.id, '10');
+            expect(await ledger.submit(alice, 'IncreaseAllowance', bob.id, '5')).to.equal('15');
+            expect(await ledger.submit(alice, 'DecreaseAllowance', bob.id, '15')).to.equal('0');
+            await expectError(ledger.submit(alice, 'DecreaseAllowance', bob.id, '1'), 'decreased allowance below zero');
+        });
+    });
+
+    describe('history', () => {
+        it('keeps one record per transfer and direction, filtered and paged', async () => {
+            await ledger.submit(alice, 'Transfer', bob.id, '1');
+            ledger.advance(100);
+            await ledger.submit(bob, 'Transfer', alice.id, '0.5');
+
+            const all = await ledger.evaluate(alice, 'getTransactionData', alice.id, '', '', '', '', '');
+            expect(all.records.map((record) => [record.direction, record.value])).to.deep.equal([['in', '1000'], ['out', '1'], ['in', '0.5']]);
+
+            const incoming = await ledger.evaluate(alice, 'getTransactionData', alice.id, '', '', String(ledger.time), '', 'in');
+            expect(incoming.records).to.have.lengthOf(1);
+            expect(incoming.records[0]).to.include({ from: bob.id, value: '0.5' });
+
+            const page = await ledger.evaluate(alice, 'getTransactionData', alice.id, '2', '', '', '', '');
+            expect(page.records).to.have.lengthOf(2);
+            const next = await ledger.evaluate(alice, 'getTransactionData', alice.id, '2', page.bookmark, '', '', '');
+            expect(next.records).to.have.lengthOf(1);
+        });
+
+        it('rejects bad filters', async () => {
+            await expectError(ledger.evaluate(alice, 'getTransactionData', alice.id, '', '', '', '', 'sideways'), 'direction must be');
+            await expectError(ledger.evaluate(alice, 'getTransactionData', alice.id, '101', '', '', '', ''), 'page size must be an integer between 1 and 100');
+        });
+    });
+
+    describe('roles', () => {
+        it('are granted and revoked by admins only', async () => {
+            await expectError(ledger.submit(alice, 'GrantRole', 'minter', 'id', alice.id), 'client is not authorized to grant roles');
+            await ledger.submit(admin, 'GrantRole', 'minter', 'id', alice.id);
+            expect(eventTypes()).to.deep.equal(['RoleGranted']);
+
+            await ledger.submit(alice, 'Mint', '5');
+            expect(await balanceOf(alice)).to.equal('1005');
+
+            await ledger.submit(admin, 'RevokeRole', 'minter', 'id', alice.id);
+            await expectError(ledger.submit(alice, 'Mint', '5'), 'client is not authorized to mint new tokens');
+        });
+
+        it('can be granted to certificate attributes', async () => {
+            const operator = ledger.identity('operator', 'Org3MSP', { 'token.role': 'pauser' });
+            await ledger.submit(admin, 'GrantRole', 'pauser', 'attr', 'token.role=pauser');
+            expect(await ledger.evaluate(operator, 'HasRole', 'pauser', '', '')).to.equal(true);
+            await ledger.submit(operator, 'Pause');
+        });
+
+        it('keep the last admin', async () => {
+            await expectError(ledger.submit(admin, 'RevokeRole', 'admin', 'msp', 'Org1MSP'), 'cannot revoke the last admin');
+            const members = await ledger.evaluate(admin, 'GetRoleMembers', 'admin');
+            expect(members.map((grant) => grant.member)).to.deep.equal(['Org1MSP']);
+        });
+    });
+
+    describe('pause and freeze', () => {
+        it('pausing stops transfers until unpaused', async () => {
+            await expectError(ledger.submit(alice, 'Pause'), 'client is not authorized to pause the contract');
+            await ledger.submit(admin, 'Pause');
+            await expectError(ledger.submit(alice, 'Transfer', bob.id, '1'), 'contract is paused');
+            expect(await ledger.evaluate(alice, 'BalanceOf', alice.id)).to.equal('1000');
+            await ledger.submit(admin, 'Unpause');
+            await ledger.submit(alice, 'Transfer', bob.id, '1');
+        });
+
+        it('a frozen account can neither send nor receive', async () => {
+            await ledger.submit(admin, 'FreezeAccount', bob.id, 'investigation');
+            await expectError(ledger.submit(alice, 'Transfer', bob.id, '1'), 'is frozen');
+            await expectError(ledger.submit(bob, 'Transfer', alice.id, '1'), 'is frozen');
+            await ledger.submit(admin, 'UnfreezeAccount', bob.id);
+            await ledger.submit(alice, 'Transfer', bob.id, '1');
+        });
+    });
+
+    describe('minting and burning', () => {
+        it('respects the max supply', async () => {
+            const capped = new MemoryLedger(new TokenERC20Contract());
+            await capped.submit(admin, 'Initialize', 'Token', 'TKN', '2', '100', '');
+            await expectError(capped.submit(admin, 'Mint', '60'), `client account ${admin.id} no signup`);
+            await capped.submit(admin, 'signup', '', 'Admin');
+            await capped.submit(admin, 'Mint', '60');
+            await expectError(capped.submit(admin, 'Mint', '40.01'), 'mint amount exceeds the max supply of 100');
+            expect(await capped.evaluate(admin, 'MaxSupply')).to.equal('100');
+        });
+
+        it('counts the mint quota over a rolling period', async () => {
+            const quota = await ledger.submit(admin, 'SetMintQuota', admin.id, '100', '3600');
+            expect(quota).to.deep.equal({ minter: admin.id, limit: '100', period: 3600, windowStart: ledger.time - 3600, used: '0', remaining: '100' });
+
+            await ledger.submit(admin, 'Mint', '60');
+            ledger.advance(1800);
+            await ledger.submit(admin, 'Mint', '30');
+            await expectError(ledger.submit(admin, 'Mint', '10.01'), 'mint amount exceeds the quota');
+
+            // 第一筆鑄造滿一小時後才釋出額度, 第二筆仍計入
+            ledger.advance(1800);
+            expect(await ledger.evaluate(admin, 'GetMintQuota', admin.id)).to.include({ used: '30', remaining: '70' });
+            await expectError(ledger.submit(admin, 'Mint', '70.01'), 'mint amount exceeds the quota');
+            await ledger.submit(admin, 'Mint', '70');
+
+            // 調整額度保留期間內已鑄造的數量
+            expect(await ledger.submit(admin, 'SetMintQuota', admin.id, '200', '3600')).to.include({ used: '100', remaining: '100' });
+        });
+
+        it('MintTo needs a verified recipient', async () => {
+            const dave = ledger.identity('dave', 'Org2MSP');
+            await ledger.submit(dave, 'signup', '', 'Dave');
+            await expectError(ledger.submit(admin, 'MintTo', dave.id, '1'), 'is not verified');
+        });
+
+        it('Burn destroys tokens of the burner', async () => {
+            await ledger.submit(admin, 'Mint', '10');
+            await ledger.submit(admin, 'Burn', '4');
+            expect(await balanceOf(admin)).to.equal('6');
+            expect(await ledger.evaluate(admin, 'TotalSupply')).to.equal('1006');
+            await expectError(ledger.submit(alice, 'Burn', '1'), 'client is not authorized to burn tokens');
+        });
+
+        it('BurnFrom spends the allowance of the holder', async () => {
+            await expectError(ledger.submit(admin, 'BurnFrom', alice.id, '10'), 'has no allowance');
+            await ledger.submit(alice, 'Approve', admin.id, '10');
+            await ledger.submit(admin, 'BurnFrom', alice.id, '10');
+            expect(await balanceOf(alice)).to.equal('990');
+            expect(await ledger.evaluate(admin, 'TotalSupply')).to.equal('990');
+        });
+    });
+
+    describe('redemptions', () => {
+        it('lock the tokens until a burner approves or rejects them', async () => {
+            const request = await ledger.submit(alice, 'RequestRedemption', '100');
+            expect(request).to.include({ holder: alice.id, amount: '100', status: 'pending' });
+            expect(await balanceOf(alice)).to.equal('900');
+            expect(await ledger.evaluate(alice, 'LockedBalanceOf', alice.id)).to.equal('100');
+
+            await expectError(ledger.submit(bob, 'ApproveRedemption', request.id), 'client is not authorized to approve redemptions');
+            const approved = await ledger.submit(admin, 'ApproveRedemption', request.id);
+            expect(approved.status).to.equal('approved');
+            expect(await ledger.evaluate(alice, 'LockedBalanceOf', alice.id)).to.equal('0');
+            expect(await ledger.evaluate(alice, 'TotalSupply')).to.equal('900');
+
+            const second = await ledger.submit(alice, 'RequestRedemption', '50');
+            await ledger.submit(admin, 'RejectRedemption', second.id, 'wrong bank account');
+            expect(await balanceOf(alice)).to.equal('900');
+            await expectError(ledger.submit(admin, 'RejectRedemption', second.id, ''), 'is already rejected');
+        });
+    });
+
+    describe('BatchTransfer', () => {
+        it('pays every recipient in one transaction', async () => {
+            const result = await ledger.submit(alice, 'BatchTransfer', JSON.stringify([{ to: bob.id, value: '10' }, { to: carol.id, value: '20' }]));
+            expect(result).to.deep.equal({ count: 2, total: '30' });
+            expect(await balanceOf(alice)).to.equal('970');
+            expect(await balanceOf(bob)).to.equal('10');
+            expect(await balanceOf(carol)).to.equal('20');
+        });
+
+        it('adds up legs that pay the same recipient', async () => {
+            await ledger.submit(alice, 'BatchTransfer', JSON.stringify([{ to: bob.id, value: '10' }, { to: carol.id, value: '5' }, { to: bob.id, value: '20' }]));
+            expect(await balanceOf(alice)).to.equal('965');
+            expect(await balanceOf(bob)).to.equal('30');
+            expect(await balanceOf(carol)).to.equal('5');
+            expect(eventTypes()).to.deep.equal(['Transfer', 'Transfer', 'Transfer']);
+            const history = await ledger.evaluate(bob, 'getTransactionData', bob.id, '', '', '', '', 'in');
+            expect(history.records.map((record) => record.value)).to.deep.equal(['10', '20']);
+        });
+
+        it('credits the fees of every leg to the treasury', async () => {
+            await ledger.submit(admin, 'SetFeePolicy', JSON.stringify({ treasury: carol.id, flatFee: '1' }));
+            await ledger.submit(alice, 'BatchTransfer', JSON.stringify([{ to: bob.id, value: '10' }, { to: bob.id, value: '20' }, { to: carol.id, value: '5' }]));
+            expect(await balanceOf(alice)).to.equal('965');
+            expect(await balanceOf(bob)).to.equal('28');
+            expect(await balanceOf(carol)).to.equal('7');
+        });
+
+        it('checks the window limit against the sum of the legs', async () => {
+            await ledger.submit(admin, 'SetTransferLimit', alice.id, '50', '80', '3600');
+            const legs = [{ to: bob.id, value: '50' }, { to: carol.id, value: '31' }];
+            await expectError(ledger.submit(alice, 'BatchTransfer', JSON.stringify(legs)), 'WINDOW_LIMIT_EXCEEDED');
+            legs[1].value = '30';
+            await ledger.submit(alice, 'BatchTransfer', JSON.stringify(legs));
+            expect(await ledger.evaluate(alice, 'GetTransferLimit', alice.id)).to.include({ used: '80', remaining: '0' });
+        });
+
+        it('rejects a leg to the sender', async () => {
+            await expectError(ledger.submit(alice, 'BatchTransfer', JSON.stringify([{ to: bob.id, value: '10' }, { to: alice.id, value: '10' }])), 'cannot transfer to and from same client account');
+        });
+
+        it('fails as a whole when one leg fails', async () => {
+            const dave = ledger.identity('dave', 'Org2MSP');
+            await expectError(ledger.submit(alice, 'BatchTransfer', JSON.stringify([{ to: bob.id, value: '10' }, { to: dave.id, value: '1' }])), 'no signup');
+            expect(await balanceOf(bob)).to.equal('0');
+            await expectError(ledger.submit(alice, 'BatchTransfer', JSON.stringify([{ to: bob.id, value: '600' }, { to: carol.id, value: '600' }])), 'insufficient funds');
+        });
+    });
+
+    describe('escrow', () => {
+        it('is claimed by the recipient after the release time', async () => {
+            const escrow = await ledger.submit(alice, 'CreateEscrow', bob.id, '100', String(ledger.time + 60), '', '');
+            expect(await balanceOf(alice)).to.equal('900');
+            expect(await ledger.evaluate(alice, 'LockedBalanceOf', alice.id)).to.equal('100');
+
+            await expectError(ledger.submit(bob, 'ClaimEscrow', escrow.id), 'cannot be claimed before');
+            ledger.advance(60);
+            const released = await ledger.submit(bob, 'ClaimEscrow', escrow.id);
+            expect(released.status).to.equal('released');
+            expect(await balanceOf(bob)).to.equal('100');
+            expect(await ledger.evaluate(alice, 'LockedBalanceOf', alice.id)).to.equal('0');
+        });
+
+        it('can be refunded by the arbiter or reclaimed after expiry', async () => {
+            const refunded = await ledger.submit(alice, 'CreateEscrow', bob.id, '100', String(ledger.time + 60), carol.id, '');
+            await expectError(ledger.submit(bob, 'RefundEscrow', refunded.id), 'only the arbiter can refund');
+            await ledger.submit(carol, 'RefundEscrow', refunded.id);
+            expect(await balanceOf(alice)).to.equal('1000');
+
+            const expiring = await ledger.submit(alice, 'CreateEscrow', bob.id, '100', String(ledger.time + 60), '', String(ledger.time + 120));
+            await expectError(ledger.submit(alice, 'ReclaimEscrow', expiring.id), 'has not expired');
+            ledger.advance(120);
+            await ledger.submit(alice, 'ReclaimEscrow', expiring.id);
+            expect(await balanceOf(alice)).to.equal('1000');
+
+            const escrows = await ledger.evaluate(bob, 'GetEscrowsByParty', bob.id, 'refunded');
+            expect(escrows).to.have.lengthOf(2);
+        });
+
+        it('is not created to the sender or with a frozen party and not refunded to a frozen sender', async () => {
+            await expectError(ledger.submit(alice, 'CreateEscrow', alice.id, '100', String(ledger.time), '', ''), 'cannot transfer to and from same client account');
+
+            await ledger.submit(admin, 'FreezeAccount', bob.id, 'investigation');
+            await expectError(ledger.submit(alice, 'CreateEscrow', bob.id, '100', String(ledger.time), '', ''), `the account ${bob.id} is frozen`);
+            await expectError(ledger.submit(alice, 'CreateEscrow', carol.id, '100', String(ledger.time), bob.id, ''), `the account ${bob.id} is frozen`);
+            await ledger.submit(admin, 'UnfreezeAccount', bob.id);
+
+            const escrow = await ledger.submit(alice, 'CreateEscrow', bob.id, '100', String(ledger.time), carol.id, '');
+            await ledger.submit(admin, 'FreezeAccount', alice.id, 'investigation');
+            await expectError(ledger.submit(carol, 'RefundEscrow', escrow.id), `the account ${alice.id} is frozen`);
+            await ledger.submit(admin, 'UnfreezeAccount', alice.id);
+            await ledger.submit(carol, 'RefundEscrow', escrow.id);
+            expect(await balanceOf(alice)).to.equal('1000');
+        });
+    });
+
+    describe('vesting', () => {
+        it('releases linearly after the cliff and returns the unvested rest on revoke', async () => {
+            await ledger.submit(admin, 'Mint', '1000');
+            const start = ledger.time;
+            const schedule = await ledger.submit(admin, 'CreateVestingSchedule', bob.id, '1000', String(start), '100', '1000', 'true');
+            expect(await ledger.evaluate(bob, 'LockedBalanceOf', bob.id)).to.equal('1000');
+
+            ledger.advance(50);
+            await expectError(ledger.submit(bob, 'ReleaseVested', schedule.id), 'has nothing to release');
+
+            ledger.advance(200);
+            expect(await ledger.submit(bob, 'ReleaseVested', schedule.id)).to.equal('250');
+            expect(await balanceOf(bob)).to.equal('250');
+
+            expect(await ledger.submit(admin, 'RevokeVesting', schedule.id)).to.equal('750');
+            expect(await balanceOf(admin)).to.equal('750');
+            expect(await ledger.evaluate(bob, 'LockedBalanceOf', bob.id)).to.equal('0');
+        });
+    });
+
+    describe('fees', () => {
+        beforeEach(async () => {
+            await ledger.submit(admin, 'SetFeePolicy', JSON.stringify({ treasury: carol.id, flatFee: '1', basisPoints: 100, maxFee: '5' }));
+        });
+
+        it('are deducted from the transfer and credited to the treasury', async () => {
+            await ledger.submit(alice, 'Transfer', bob.id, '100');
+            expect(await balanceOf(bob)).to.equal('98');
+            expect(await balanceOf(carol)).to.equal('2');
+            expect(ledger.tokenEvent().events).to.deep.equal([
+                { type: 'Transfer', from: alice.id, to: bob.id, value: '98', gross: '100', fee: '2' },
+                { type: 'Transfer', from: alice.id, to: carol.id, value: '2' },
+            ]);
+        });
+
+        it('are returned as written when set', async () => {
+            const policy = await ledger.submit(admin, 'SetFeePolicy', JSON.stringify({ treasury: bob.id, basisPoints: 50 }));
+            expect(policy).to.deep.equal({ treasury: bob.id, flatFee: '0', basisPoints: 50, minFee: '0', maxFee: '', exempt: [] });
+            expect(await ledger.evaluate(admin, 'GetFeePolicy')).to.deep.equal(policy);
+            expect(await ledger.submit(admin, 'SetFeePolicy', '')).to.equal(null);
+        });
+
+        it('are paid to the treasury when an escrow is released, not when it is refunded', async () => {
+            const escrow = await ledger.submit(alice, 'CreateEscrow', bob.id, '100', String(ledger.time), '', '');
+            expect(escrow).to.include({ amount: '100', fee: '2', treasury: carol.id });
+            await ledger.submit(bob, 'ClaimEscrow', escrow.id);
+            expect(await balanceOf(bob)).to.equal('98');
+            expect(await balanceOf(carol)).to.equal('2');
+            expect(ledger.tokenEvent().events).to.deep.equal([
+                { type: 'Transfer', from: alice.id, to: bob.id, value: '98', gross: '100', fee: '2' },
+                { type: 'Transfer', from: alice.id, to: carol.id, value: '2' },
+                { type: 'EscrowReleased', id: escrow.id, from: alice.id, to: bob.id, value: '100', fee: '2', sender: bob.id },
+            ]);
+
+            const refunded = await ledger.submit(alice, 'CreateEscrow', bob.id, '100', String(ledger.time), bob.id, '');
+            await ledger.submit(bob, 'RefundEscrow', refunded.id);
+            expect(await balanceOf(alice)).to.equal('900');
+            await expectError(ledger.submit(alice, 'CreateEscrow', bob.id, '0.5', String(ledger.time), '', ''), 'transfer amount does not cover the transfer fee');
+        });
+
+        it('are charged on private transfers as a private credit to the treasury', async () => {
+            await ledger.invoke(alice, 'ReconcilePrivate', [], { transient: { reconcile: { direction: 'deposit', value: '100' } } });
+            await ledger.invoke(alice, 'TransferPrivate', [], { transient: { transfer: { to: bob.id, value: '40', salt: 'salt' } } });
+            expect(await ledger.evaluate(alice, 'PrivateBalanceOf', '')).to.equal('60');
+            expect(await ledger.evaluate(bob, 'PrivateBalanceOf', '')).to.equal('38.6');
+            expect(await ledger.evaluate(carol, 'PrivateBalanceOf', '')).to.equal('1.4');
+            expect(await balanceOf(carol)).to.equal('0');
+            expect(await ledger.evaluate(admin, 'PrivateSupply')).to.equal('100');
+        });
+
+        it('are bounded and can be previewed', async () => {
+            expect(await ledger.evaluate(alice, 'QuoteTransfer', alice.id, bob.id, '1000')).to.deep.equal({ gross: '1000', fee: '5', net: '995' });
+            expect(await ledger.evaluate(alice, 'GetFeePolicy')).to.deep.include({ treasury: carol.id, flatFee: '1', minFee: '0', maxFee: '5' });
+            await expectError(ledger.submit(alice, 'Transfer', bob.id, '0.5'), 'transfer amount does not cover the transfer fee');
+        });
+
+        it('are not charged to exempt accounts', async () => {
+            await ledger.submit(admin, 'SetFeePolicy', JSON.stringify({ treasury: carol.id, flatFee: '1', exempt: [alice.id] }));
+            await ledger.submit(alice, 'Transfer', bob.id, '100');
+            expect(await balanceOf(bob)).to.equal('100');
+        });
+    });
+
+    describe('transfer limits', () => {
+        it('cap single transfers and the total per window', async () => {
+            await ledger.submit(admin, 'SetTransferLimit', alice.id, '60', '80', '3600');
+            await expectError(ledger.submit(alice, 'Transfer', bob.id, '61'), 'TRANSFER_LIMIT_EXCEEDED');
+
+            await ledger.submit(alice, 'Transfer', bob.id, '50');
+            await expectError(ledger.submit(alice, 'Transfer', bob.id, '31'), 'WINDOW_LIMIT_EXCEEDED');
+            expect(await ledger.evaluate(alice, 'GetTransferLimit', alice.id)).to.include({ source: 'account', used: '50', remaining: '30' });
+
+            ledger.advance(1800);
+            await ledger.submit(alice, 'Transfer', bob.id, '30');
+            ledger.advance(1800);
+            expect(await ledger.evaluate(alice, 'GetTransferLimit', alice.id)).to.include({ used: '30', remaining: '50' });
+            await expectError(ledger.submit(alice, 'Transfer', bob.id, '50.01'), 'WINDOW_LIMIT_EXCEEDED');
+            await ledger.submit(alice, 'Transfer', bob.id, '50');
+        });
+
+        it('are returned as written when set', async () => {
+            expect(await ledger.submit(admin, 'SetTransferLimit', alice.id, '60', '80', '3600')).to.deep.equal({
+                account: alice.id,
+                source: 'account',
+                maxPerTransfer: '60',
+                windowLimit: '80',
+                windowSeconds: 3600,
+                windowStart: ledger.time - 3600,
+                used: '0',
+                remaining: '80',
+            });
+            expect(await ledger.submit(admin, 'SetTransferLimit', '', '10', '', '')).to.include({ account: '', source: 'global', maxPerTransfer: '10' });
+        });
+
+        it('apply to escrows when they are created', async () => {
+            await ledger.submit(admin, 'SetTransferLimit', alice.id, '60', '80', '3600');
+            const releaseAfter = String(ledger.time + 60);
+            await expectError(ledger.submit(alice, 'CreateEscrow', bob.id, '61', releaseAfter, '', ''), 'TRANSFER_LIMIT_EXCEEDED');
+            await ledger.submit(alice, 'CreateEscrow', bob.id, '60', releaseAfter, '', '');
+            await expectError(ledger.submit(alice, 'CreateEscrow', bob.id, '21', releaseAfter, '', ''), 'WINDOW_LIMIT_EXCEEDED');
+            await expectError(ledger.submit(alice, 'Transfer', bob.id, '21'), 'WINDOW_LIMIT_EXCEEDED');
+            expect(await ledger.evaluate(alice, 'GetTransferLimit', alice.id)).to.include({ used: '60', remaining: '20' });
+        });
+
+        it('fall back to the global limits', async () => {
+            await ledger.submit(admin, 'SetTransferLimit', '', '10', '', '');
+            expect(await ledger.evaluate(alice, 'GetTransferLimit', bob.id)).to.include({ source: 'global', maxPerTransfer: '10' });
+            await expectError(ledger.submit(alice, 'Transfer', bob.id, '11'), 'TRANSFER_LIMIT_EXCEEDED');
+            await ledger.submit(admin, 'RemoveTransferLimit', '');
+            await ledger.submit(alice, 'Transfer', bob.id, '11');
+        });
+    });
+
+    describe('multi-signature', () => {
+        let signer1;
+        let signer2;
+
+        beforeEach(async () => {
+            signer1 = ledger.identity('signer1', 'Org1MSP');
+            signer2 = ledger.identity('signer2', 'Org2MSP');
+            const config = await ledger.submit(admin, 'SetMultiSigConfig', JSON.stringify([signer1.id, signer2.id]), '2', '');
+            expect(config).to.deep.equal({ signers: [signer1.id, signer2.id], threshold: 2, ttl: 7 * 24 * 60 * 60 });
+        });
+
+        it('runs a privileged action once the threshold is reached', async () => {
+            await expectError(ledger.submit(admin, 'Mint', '10'), 'this operation requires multi-signature approval');
+
+            const proposal = await ledger.submit(signer1, 'ProposeAction', 'Mint', JSON.stringify({ recipient: bob.id, amount: '10' }));
+            expect(proposal.status).to.equal('pending');
+            await expectError(ledger.submit(signer1, 'ApproveAction', proposal.id), 'already approved');
+
+            const executed = await ledger.submit(signer2, 'ApproveAction', proposal.id);
+            expect(executed.status).to.equal('executed');
+            expect(await balanceOf(bob)).to.equal('10');
+            expect(eventTypes()).to.deep.equal(['ActionApproved', 'Transfer', 'ActionExecuted']);
+        });
+
+        it('burns the balance of the proposer', async () => {
+            await register(signer1);
+            await ledger.submit(alice, 'Transfer', signer1.id, '5');
+            await expectError(ledger.submit(signer1, 'ProposeAction', 'Burn', JSON.stringify({ account: alice.id, amount: '2' })), 'use BurnFrom');
+
+            const proposal = await ledger.submit(signer1, 'ProposeAction', 'Burn', JSON.stringify({ amount: '2' }));
+            await ledger.submit(signer2, 'ApproveAction', proposal.id);
+            expect(await balanceOf(signer1)).to.equal('3');
+            expect(await balanceOf(alice)).to.equal('995');
+            expect(await ledger.evaluate(alice, 'TotalSupply')).to.equal('998');
+        });
+
+        it('burns from an allowance granted to the proposer', async () => {
+            await ledger.submit(alice, 'Approve', signer1.id, '10');
+            await expectError(ledger.submit(admin, 'BurnFrom', alice.id, '10'), 'this operation requires multi-signature approval');
+
+            const proposal = await ledger.submit(signer1, 'ProposeAction', 'BurnFrom', JSON.stringify({ account: alice.id, amount: '10' }));
+            await ledger.submit(signer2, 'ApproveAction', proposal.id);
+            expect(await balanceOf(alice)).to.equal('990');
+            expect(await ledger.evaluate(alice, 'Allowance', alice.id, signer1.id)).to.equal('0');
+        });
+
+        it('approves redemptions', async () => {
+            const request = await ledger.submit(alice, 'RequestRedemption', '100');
+            await expectError(ledger.submit(admin, 'ApproveRedemption', request.id), 'this operation requires multi-signature approval');
+            await expectError(ledger.submit(admin, 'RejectRedemption', request.id, 'wrong bank account'), 'this operation requires multi-signature approval');
+            const rejection = await ledger.submit(signer1, 'ProposeAction', 'RejectRedemption', JSON.stringify({ id: request.id, reason: 'wrong bank account' }));
+            await ledger.submit(signer2, 'ApproveAction', rejection.id);
+            expect(await ledger.evaluate(alice, 'GetRedemption', request.id)).to.include({ status: 'rejected', reason: 'wrong bank account' });
+
+            const second = await ledger.submit(alice, 'RequestRedemption', '100');
+            const proposal = await ledger.submit(signer1, 'ProposeAction', 'ApproveRedemption', JSON.stringify({ id: second.id }));
+            await ledger.submit(signer2, 'ApproveAction', proposal.id);
+            expect(await ledger.evaluate(alice, 'TotalSupply')).to.equal('900');
+            expect(await ledger.evaluate(alice, 'LockedBalanceOf', alice.id)).to.equal('0');
+        });
+
+        it('sets the fee policy and transfer limits', async () => {
+            await expectError(ledger.submit(admin, 'SetFeePolicy', JSON.stringify({ treasury: carol.id, flatFee: '1' })), 'this operation requires multi-signature approval');
+            await expectError(ledger.submit(admin, 'SetTransferLimit', '', '10', '', ''), 'this operation requires multi-signature approval');
+            await expectError(ledger.submit(signer1, 'ProposeAction', 'SetFeePolicy', JSON.stringify({ policy: 'flat' })), 'requires a policy object or null');
+
+            const feeProposal = await ledger.submit(signer1, 'ProposeAction', 'SetFeePolicy', JSON.stringify({ policy: { treasury: carol.id, flatFee: '1' } }));
+            await ledger.submit(signer2, 'ApproveAction', feeProposal.id);
+            expect(await ledger.evaluate(alice, 'GetFeePolicy')).to.include({ treasury: carol.id, flatFee: '1' });
+
+            const limitProposal = await ledger.submit(signer1, 'ProposeAction', 'SetTransferLimit', JSON.stringify({ account: alice.id, maxPerTransfer: '10' }));
+            await ledger.submit(signer2, 'ApproveAction', limitProposal.id);
+            await expectError(ledger.submit(alice, 'Transfer', bob.id, '11'), 'exceeds');
+
+            const removal = await ledger.submit(signer1, 'ProposeAction', 'SetFeePolicy', JSON.stringify({ policy: null }));
+            await ledger.submit(signer2, 'ApproveAction', removal.id);
+            expect(await ledger.evaluate(alice, 'GetFeePolicy')).to.equal(null);
+        });
+
+        it('expires proposals and lets the proposer cancel them', async () => {
+            const expiring = await ledger.submit(signer1, 'ProposeAction', 'Burn', JSON.stringify({ amount: '1' }));
+            ledger.advance(7 * 24 * 60 * 60);
+            await expectError(ledger.submit(signer2, 'ApproveAction', expiring.id), 'has expired');
+            expect((await ledger.evaluate(admin, 'GetProposal', expiring.id)).status).to.equal('expired');
+
+            const canceled = await ledger.submit(signer1, 'ProposeAction', 'Burn', JSON.stringify({ amount: '1' }));
+            await ledger.submit(signer1, 'CancelAction', canceled.id);
+            await expectError(ledger.submit(signer2, 'ApproveAction', canceled.id), 'is already canceled');
+        });
+
+        it('only accepts signers', async () => {
+            await expectError(ledger.submit(alice, 'ProposeAction', 'Mint', JSON.stringify({ recipient: bob.id, amount: '10' })), 'is not a multi-signature signer');
+            await expectError(ledger.submit(admin, 'SetMultiSigConfig', JSON.stringify([admin.id]), '1', ''), 'multi-signature is already configured');
+        });
+    });
+
+    describe('snapshots', () => {
+        it('keep the balances and the supply at the time they were taken', async () => {
+            await expectError(ledger.submit(alice, 'Snapshot'), 'client is not authorized to take snapshots');
+            const id = await ledger.submit(admin, 'Snapshot');
+            expect(id).to.equal('1');
+
+            await ledger.submit(alice, 'Transfer', bob.id, '100');
+            await ledger.submit(admin, 'Mint', '50');
+
+            expect(await ledger.evaluate(admin, 'BalanceOfAt', alice.id, id)).to.equal('1000');
+            expect(await ledger.evaluate(admin, 'BalanceOfAt', bob.id, id)).to.equal('0');
+            expect(await ledger.evaluate(admin, 'TotalSupplyAt', id)).to.equal('1000');
+            expect(await ledger.evaluate(admin, 'TotalSupply')).to.equal('1050');
+            await expectError(ledger.evaluate(admin, 'BalanceOfAt', alice.id, '2'), 'snapshot 2 does not exist');
+        });
+    });
+
+    describe('distributions', () => {
+        beforeEach(async () => {
+            await ledger.submit(alice, 'Transfer', bob.id, '333');
+            await ledger.submit(admin, 'Mint', '1');
+        });
+
+        it('share the pool between the public balances at the snapshot', async () => {
+            await ledger.submit(admin, 'SetDistributionDustAccount', carol.id);
+            const distribution = await ledger.submit(admin, 'CreateDistribution', '1');
+            expect(distribution).to.include({ amount: '1', eligibleSupply: '1000' });
+            expect(await ledger.evaluate(admin, 'LockedBalanceOf', admin.id)).to.equal('1');
+
+            expect(await ledger.submit(alice, 'ClaimDistribution', distribution.id)).to.include({ amount: '0.66' });
+            expect(await ledger.submit(bob, 'ClaimDistribution', distribution.id)).to.include({ amount: '0.33' });
+            expect(eventTypes()).to.deep.equal(['DistributionClaimed', 'Transfer', 'Transfer', 'DistributionClosed']);
+
+            expect(await balanceOf(carol)).to.equal('0.01');
+            expect(await ledger.evaluate(admin, 'LockedBalanceOf', admin.id)).to.equal('0');
+            expect((await ledger.evaluate(admin, 'GetDistribution', distribution.id)).status).to.equal('closed');
+            const audit = await ledger.evaluate(admin, 'AuditLedger', '100', '');
+            expect(audit.discrepancies).to.deep.equal([]);
+        });
+
+        it('pay the last claimer once when it is also the dust account', async () => {
+            await ledger.submit(admin, 'SetDistributionDustAccount', bob.id);
+            const distribution = await ledger.submit(admin, 'CreateDistribution', '1');
+            await ledger.submit(alice, 'ClaimDistribution', distribution.id);
+            await ledger.submit(bob, 'ClaimDistribution', distribution.id);
+            expect(await balanceOf(bob)).to.equal('333.34');
+        });
+
+        it('pay the unclaimed rest to the dust account when closed early', async () => {
+            await ledger.submit(admin, 'SetDistributionDustAccount', carol.id);
+            const distribution = await ledger.submit(admin, 'CreateDistribution', '1');
+            await ledger.submit(alice, 'ClaimDistribution', distribution.id);
+            const closed = await ledger.submit(admin, 'CloseDistribution', distribution.id);
+            expect(closed).to.include({ status: 'closed', dust: '0.34' });
+            expect(await balanceOf(carol)).to.equal('0.34');
+            expect(await ledger.evaluate(admin, 'LockedBalanceOf', admin.id)).to.equal('0');
+        });
+
+        it('list the unclaimed distributions page by page', async () => {
+            await ledger.submit(admin, 'SetDistributionDustAccount', carol.id);
+            await ledger.submit(admin, 'Mint', '2');
+            const ids = [];
+            for (let i = 0; i < 3; i++) {
+                ids.push((await ledger.submit(admin, 'CreateDistribution', '1')).id);
+            }
+            await ledger.submit(alice, 'ClaimDistribution', ids[1]);
+
+            const first = await ledger.evaluate(alice, 'GetUnclaimedDistributions', alice.id, '2', '');
+            expect(first.fetchedRecordsCount).to.equal(2);
+            const next = await ledger.evaluate(alice, 'GetUnclaimedDistributions', alice.id, '2', first.bookmark);
+            expect(next.fetchedRecordsCount).to.equal(1);
+            expect([...first.distributions, ...next.distributions].map((distribution) => distribution.id)).to.have.members([ids[0], ids[2]]);
+            await expectError(ledger.evaluate(alice, 'GetUnclaimedDistributions', alice.id, '101', ''), 'page size must be an integer between 1 and 100');
+        });
+    });
+
+    describe('account recovery', () => {
+        it('moves the balance, the allowances and the roles to the new identity after the delay', async () => {
+            const alice2 = ledger.identity('alice2', 'Org2MSP');
+            await ledger.submit(alice, 'Approve', bob.id, '25');
+            await ledger.submit(admin, 'GrantRole', 'minter', 'id', alice.id);
+
+            const recovery = await ledger.submit(alice2, 'RequestRecovery', alice.id, '');
+            expect(recovery).to.include({ oldId: alice.id, newId: alice2.id, newMspId: 'Org2MSP' });
+            await expectError(ledger.submit(alice, 'ApproveRecovery', recovery.id), 'the account cannot approve its own recovery');
+
+            await ledger.submit(admin, 'ApproveRecovery', recovery.id);
+            await expectError(ledger.submit(bob, 'ExecuteRecovery', recovery.id), 'cannot run before');
+
+            ledger.advance(3 * 24 * 60 * 60);
+            const executed = await ledger.submit(bob, 'ExecuteRecovery', recovery.id);
+            expect(executed.status).to.equal('executed');
+
+            expect(await balanceOf(alice2)).to.equal('1000');
+            expect(await balanceOf(alice)).to.equal('0');
+            expect(await ledger.evaluate(bob, 'Allowance', alice2.id, bob.id)).to.equal('25');
+            expect(await ledger.evaluate(bob, 'HasRole', 'minter', 'id', alice2.id)).to.equal(true);
+            expect((await ledger.evaluate(bob, 'GetAccount', alice.id)).status).to.equal('retired');
+            await ledger.submit(alice2, 'Transfer', bob.id, '1');
+        });
+
+        it('moves the locks, the allowances given to the account and the private balance', async () => {
+            const alice2 = ledger.identity('alice2', 'Org2MSP');
+            await ledger.submit(admin, 'Mint', '150');
+            await ledger.submit(admin, 'Transfer', bob.id, '100');
+            await ledger.submit(alice, 'Approve', bob.id, '25');
+            await ledger.submit(bob, 'Approve', alice.id, '15');
+            await ledger.submit(alice, 'Approve', alice.id, '5');
+            const sent = await ledger.submit(alice, 'CreateEscrow', bob.id, '100', String(ledger.time), '', '');
+            const received = await ledger.submit(bob, 'CreateEscrow', alice.id, '50', String(ledger.time), '', '');
+            const schedule = await ledger.submit(admin, 'CreateVestingSchedule', alice.id, '50', String(ledger.time), '0', '100', 'false');
+            const redemption = await ledger.submit(alice, 'RequestRedemption', '10');
+            await ledger.invoke(alice, 'ReconcilePrivate', [], { transient: { reconcile: { direction: 'deposit', value: '40' } } });
+            await ledger.invoke(bob, 'ReconcilePrivate', [], { transient: { reconcile: { direction: 'deposit', value: '20' } } });
+            await ledger.invoke(bob, 'TransferPrivate', [], { transient: { transfer: { to: alice.id, value: '20', salt: 's' } } });
+
+            await ledger.submit(admin, 'SetRecoveryDelay', '0');
+            const recovery = await ledger.submit(alice2, 'RequestRecovery', alice.id, '');
+            expect((await ledger.invoke(admin, 'ApproveRecovery', [recovery.id], { peerMspId: 'Org2MSP' })).status).to.equal('executed');
+
+            expect(await ledger.evaluate(alice2, 'LockedBalanceOf', alice2.id)).to.equal('160');
+            expect(await ledger.evaluate(alice2, 'LockedBalanceOf', alice.id)).to.equal('0');
+            expect(await balanceOf(alice2)).to.equal('850');
+            expect(await ledger.evaluate(bob, 'Allowance', bob.id, alice2.id)).to.equal('15');
+            expect(await ledger.evaluate(bob, 'Allowance', bob.id, alice.id)).to.equal('0');
+            expect(await ledger.evaluate(bob, 'Allowance', alice2.id, bob.id)).to.equal('25');
+            expect(await ledger.evaluate(bob, 'Allowance', alice2.id, alice2.id)).to.equal('5');
+            expect(await ledger.evaluate(alice2, 'PrivateBalanceOf', '')).to.equal('60');
+            expect((await ledger.evaluate(alice2, 'GetAccount', alice2.id)).mspId).to.equal('Org2MSP');
+
+            await ledger.submit(bob, 'TransferFrom', alice2.id, carol.id, '25');
+            await ledger.submit(alice2, 'TransferFrom', bob.id, carol.id, '15');
+            expect((await ledger.submit(bob, 'ClaimEscrow', sent.id)).from).to.equal(alice2.id);
+            await ledger.submit(alice2, 'ClaimEscrow', received.id);
+            ledger.advance(100);
+            expect(await ledger.submit(alice2, 'ReleaseVested', schedule.id)).to.equal('50');
+            await ledger.submit(admin, 'ApproveRedemption', redemption.id);
+            expect(await ledger.evaluate(alice2, 'LockedBalanceOf', alice2.id)).to.equal('0');
+            expect(await balanceOf(alice2)).to.equal('925');
+            expect((await ledger.evaluate(alice2, 'GetEscrowsByParty', alice2.id, 'released')).map((escrow) => escrow.id)).to.have.members([sent.id, received.id]);
+
+            let page = { bookmark: '' };
+            do {
+                page = await ledger.evaluate(admin, 'AuditLedger', '100', page.bookmark);
+                expect(page.discrepancies).to.deep.equal([]);
+            } while (page.bookmark);
+            expect(page.supply).to.deep.equal({ totalSupply: '1140', privateSupply: '60', accounted: '1140', consistent: true });
+        });
+
+        it('moves the mint quota, the transfer limit and the multi-signature membership', async () => {
+            const carol2 = ledger.identity('carol2', 'Org3MSP');
+            await ledger.submit(admin, 'GrantRole', 'minter', 'id', carol.id);
+            await ledger.submit(admin, 'SetMintQuota', carol.id, '100', '3600');
+            await ledger.submit(carol, 'Mint', '10');
+            await ledger.submit(admin, 'SetTransferLimit', carol.id, '', '50', '3600');
+            await ledger.submit(carol, 'Transfer', bob.id, '10');
+            await ledger.submit(admin, 'SetRecoveryDelay', '0');
+            await ledger.submit(admin, 'SetMultiSigConfig', JSON.stringify([admin.id, carol.id]), '1', '');
+
+            const recovery = await ledger.submit(carol2, 'RequestRecovery', carol.id, '');
+            expect((await ledger.invoke(admin, 'ApproveRecovery', [recovery.id], { peerMspId: 'Org3MSP' })).status).to.equal('executed');
+
+            expect(await ledger.evaluate(admin, 'GetMintQuota', carol2.id)).to.include({ used: '10', remaining: '90' });
+            await expectError(ledger.evaluate(admin, 'GetMintQuota', carol.id), `minter ${carol.id} has no mint quota`);
+            expect(await ledger.evaluate(admin, 'GetTransferLimit', carol2.id)).to.include({ source: 'account', used: '10', remaining: '40' });
+            expect((await ledger.evaluate(admin, 'GetTransferLimit', carol.id)).source).to.equal('none');
+            expect((await ledger.evaluate(admin, 'GetMultiSigConfig')).signers).to.deep.equal([admin.id, carol2.id]);
+
+            // 餘額為0時不寫入交易紀錄
+            expect((await ledger.evaluate(carol2, 'getTransactionData', carol2.id, '', '', '', '', '')).records).to.deep.equal([]);
+            expect((await ledger.evaluate(carol, 'getTransactionData', carol.id, '', '', '', '', '')).records).to.have.lengthOf(2);
+        });
+
+        it('can be approved by the guardian threshold and canceled by the old identity', async () => {
+            const alice2 = ledger.identity('alice2', 'Org2MSP');
+            await ledger.submit(alice, 'SetRecoveryGuardians', JSON.stringify([bob.id, carol.id]), '2');
+            await ledger.submit(admin, 'SetRecoveryDelay', '0');
+
+            const canceled = await ledger.submit(alice2, 'RequestRecovery', alice.id, '');
+            await ledger.submit(alice, 'CancelRecovery', canceled.id);
+
+            const recovery = await ledger.submit(alice2, 'RequestRecovery', alice.id, '');
+            expect((await ledger.submit(bob, 'ApproveRecovery', recovery.id)).status).to.equal('pending');
+            // carol的peer在Org3, 讀不到alice的私密餘額, 復原留待Org2的peer執行
+            expect((await ledger.submit(carol, 'ApproveRecovery', recovery.id)).status).to.equal('pending');
+            await expectError(ledger.invoke(carol, 'ExecuteRecovery', [recovery.id], { peerMspId: 'Org3MSP' }), 'it has to be endorsed by a peer of Org2MSP');
+            expect((await ledger.invoke(carol, 'ExecuteRecovery', [recovery.id], { peerMspId: 'Org2MSP' })).status).to.equal('executed');
+            expect(await ledger.evaluate(alice2, 'GetRecoveryGuardians', alice2.id)).to.deep.equal({ guardians: [bob.id, carol.id], threshold: 2 });
+        });
+    });
+
+    describe('private transfers', () => {
+        // 私密轉帳的參數放在transient
+        async function privateCall(identity, name, field, value, options = {}) {
+            return ledger.invoke(identity, name, [], { transient: { [field]: value }, ...options });
+        }
+
+        it('move tokens between private balances and only publish a commitment', async () => {
+            await privateCall(alice, 'ReconcilePrivate', 'reconcile', { direction: 'deposit', value: '100' });
+            expect(await balanceOf(alice)).to.equal('900');
+            expect(await ledger.evaluate(alice, 'PrivateSupply')).to.equal('100');
+
+            const { id, commitment } = await privateCall(alice, 'TransferPrivate', 'transfer', { to: carol.id, value: '40', salt: 'pepper' });
+            expect(commitment).to.equal(crypto.createHash('sha256').update(JSON.stringify([alice.id, carol.id, '4000', 'pepper'])).digest('hex'));
+            expect(ledger.tokenEvent().events).to.deep.equal([{ type: 'PrivateTransfer', id, commitment }]);
+
+            expect(await ledger.evaluate(alice, 'PrivateBalanceOf', '')).to.equal('60');
+            expect(await ledger.evaluate(carol, 'PrivateBalanceOf', '')).to.equal('40');
+            await expectError(ledger.invoke(alice, 'PrivateBalanceOf', [carol.id], { commit: false }), 'client is not authorized to query this private balance');
+            expect(await ledger.evaluate(admin, 'VerifyPrivateTransfer', id, alice.id, carol.id, '40', 'pepper')).to.equal(true);
+            expect(await ledger.evaluate(admin, 'VerifyPrivateTransfer', id, alice.id, carol.id, '41', 'pepper')).to.equal(false);
+
+            const result = await privateCall(carol, 'ReconcilePrivate', 'reconcile', { direction: 'withdraw', value: '40' });
+            expect(result).to.deep.equal({ balance: '40', privateBalance: '0' });
+            expect(await ledger.evaluate(alice, 'PrivateSupply')).to.equal('60');
+        });
+
+        it('are endorsed by a peer of the sender org', async () => {
+            await privateCall(alice, 'ReconcilePrivate', 'reconcile', { direction: 'deposit', value: '100' });
+            await expectError(privateCall(alice, 'TransferPrivate', 'transfer', { to: carol.id, value: '1', salt: 's' }, { peerMspId: 'Org3MSP' }), 'is not a member of collection _implicit_org_Org2MSP');
+        });
+    });
+
+    describe('audit', () => {
+        // 逐頁稽核直到最後一頁
+        async function audit() {
+            const pages = [];
+            let bookmark = '';
+            do {
+                const page = await ledger.evaluate(admin, 'AuditLedger', '2', bookmark);
+                pages.push(page);
+                bookmark = page.bookmark;
+            } while (bookmark);
+            return pages;
+        }
+
+        it('finds the ledger consistent', async () => {
+            await ledger.submit(alice, 'CreateEscrow', bob.id, '100', String(ledger.time + 60), '', '');
+            const pages = await audit();
+            const last = pages[pages.length - 1];
+            expect(last.supply).to.deep.equal({ totalSupply: '1000', privateSupply: '0', accounted: '1000', consistent: true });
+            expect(pages.flatMap((page) => page.discrepancies)).to.deep.equal([]);
+        });
+
+        it('does not flag a fee treasury that never signed up', async () => {
+            const dave = ledger.identity('dave', 'Org2MSP');
+            await ledger.submit(admin, 'SetFeePolicy', JSON.stringify({ treasury: dave.id, flatFee: '1' }));
+            expect(await ledger.evaluate(admin, 'GetAccount', dave.id)).to.include({ kycStatus: 'pending', registeredBy: admin.id });
+            await ledger.submit(alice, 'Transfer', bob.id, '10');
+            await ledger.submit(admin, 'Mint', '5');
+            expect(await balanceOf(dave)).to.equal('1');
+            const pages = await audit();
+            expect(pages[pages.length - 1].supply.consistent).to.equal(true);
+            expect(pages.flatMap((page) => page.discrepancies)).to.deep.equal([]);
+        });
+
+        it('reports a repaired balance that breaks the supply', async () => {
+            await expectError(ledger.submit(alice, 'RepairBalance', bob.id, '5', 'fix'), 'client is not authorized to repair balances');
+            await ledger.submit(admin, 'RepairBalance', bob.id, '5', 'manual correction');
+            const pages = await audit();
+            expect(pages.flatMap((page) => page.discrepancies)).to.deep.equal([{ type: 'SUPPLY_MISMATCH', key: 'totalSupply', value: '+5' }]);
+
+            await expectError(ledger.submit(alice, 'RepairTotalSupply', '1005', 'fix'), 'client is not authorized to repair the total supply');
+            const repair = await ledger.submit(admin, 'RepairTotalSupply', '1005', 'include the repaired balance');
+            expect(repair).to.include({ previous: '100000', value: '1005', reason: 'include the repaired balance' });
+            expect(eventTypes()).to.deep.equal(['TotalSupplyRepaired']);
+            expect((await audit()).flatMap((page) => page.discrepancies)).to.deep.equal([]);
+            expect(await ledger.evaluate(admin, 'TotalSupply')).to.equal('1005');
+        });
+
+        it('rejects bookmarks it did not produce', async () => {
+            const forge = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64');
+            for (const cursor of [
+                { phase: 'account', bookmark: '', balances: '0', locked: '0' },
+                { phase: 'balance', bookmark: '', balances: '1.5', locked: '0' },
+                { phase: 'lockedBalance', bookmark: '', balances: '0' },
+                null,
+            ]) {
+                await expectError(ledger.evaluate(admin, 'AuditLedger', '2', forge(cursor)), 'invalid audit bookmark');
+            }
+        });
+    });
+
+    describe('metadata and state migration', () => {
+        it('reports the token info', async () => {
+            expect(await ledger.evaluate(alice, 'GetTokenInfo')).to.deep.equal({
+                stateVersion: 3,
+                name: 'Token',
+                symbol: 'TKN',
+                decimals: 2,
+                description: '',
+                issuer: '',
+                iconUri: '',
+                totalSupply: '1000',
+                maxSupply: '',
+                paused: false,
+            });
+        });
+
+        it('returns the updated metadata', async () => {
+            const metadata = { name: 'Renamed', description: 'A renamed token', iconUri: 'https://example.com/icon.png' };
+            const info = await ledger.submit(admin, 'UpdateMetadata', JSON.stringify(metadata));
+            expect(info).to.include({ ...metadata, symbol: 'TKN', totalSupply: '1000' });
+            expect(await ledger.evaluate(alice, 'GetTokenInfo')).to.deep.equal(info);
+        });
+
+        it('rejects unknown metadata fields', async () => {
+            await expectError(ledger.submit(admin, 'UpdateMetadata', JSON.stringify({ decimals: '3' })), 'metadata field decimals cannot be updated');
+            await expectError(ledger.submit(alice, 'UpdateMetadata', JSON.stringify({ name: 'Mine' })), 'client is not authorized to update the metadata');
+        });
+
+        it('upgrades a ledger of the original contract', async () => {
+            const legacy = new MemoryLedger(new TokenERC20Contract());
+            const stub = { createCompositeKey: (type, attributes) => `\x00${type}\x00${attributes.map((attribute) => `${attribute}\x00`).join('')}` };
+            legacy.state.set('name', Buffer.from('Old'));
+            legacy.state.set('symbol', Buffer.from('OLD'));
+            legacy.state.set('decimals', Buffer.from('2'));
+            // 最初的Mint寫入未await的Promise
+            legacy.state.set('totalSupply', Buffer.from('[object Promise]'));
+            legacy.state.set(stub.createCompositeKey('balance', [admin.id]), Buffer.from('[object Promise]'));
+            legacy.state.set(stub.createCompositeKey('balance', [alice.id]), Buffer.from('10'));
+            legacy.state.set(stub.createCompositeKey('balance', [bob.id]), Buffer.from('5'));
+            legacy.state.set(stub.createCompositeKey('transactionData', [alice.id]),
+                Buffer.from(JSON.stringify([{ from: alice.id, to: bob.id, value: 5, time: '1600000000' }])));
+
+            await expectError(legacy.evaluate(admin, 'TotalSupply'), 'an admin must call MigrateState()');
+            await expectError(legacy.submit(alice, 'MigrateState', '1'), 'client is not authorized to migrate the ledger state');
+
+            let result;
+            do {
+                result = await legacy.submit(admin, 'MigrateState', '1');
+            } while (!result.done);
+            expect(result).to.include({ fromVersion: 1, stateVersion: 3, balances: 3, history: 1 });
+            expect(result.skipped).to.deep.equal([{ key: 'balance', account: admin.id }]);
+            expect([...legacy.state.keys()].filter((key) => key.startsWith('\x00migrationStage\x00'))).to.be.empty;
+            expect(legacy.tokenEvent().events.find((event) => event.type === 'StateMigrated')).to.include({ totalSupply: '15' });
+
+            expect(await legacy.evaluate(admin, 'TotalSupply')).to.equal('15');
+            expect((await legacy.evaluate(admin, 'GetTokenInfo')).totalSupply).to.equal('15');
+            expect(await legacy.evaluate(admin, 'BalanceOf', alice.id)).to.equal('10');
+            expect((await legacy.evaluate(admin, 'GetAccount', bob.id)).kycStatus).to.equal('pending');
+            const history = await legacy.evaluate(admin, 'getTransactionData', alice.id, '', '', '', '', '');
+            expect(history.records).to.deep.equal([{ txId: '', from: alice.id, to: bob.id, value: '5', time: '1600000000', direction: 'out' }]);
+
+            // 修正Promise字串的餘額後可以再鑄造
+            await legacy.submit(admin, 'RepairBalance', admin.id, '0', 'original Mint stored a promise');
+            await legacy.submit(admin, 'Mint', '5');
+            expect(await legacy.evaluate(admin, 'TotalSupply')).to.equal('20');
+            expect(await legacy.evaluate(admin, 'BalanceOf', admin.id)).to.equal('5');
+        });
+    });
+});
@@ -6,44 +6,479 @@
 
 'use strict';
 
+const crypto = require('crypto');
 const { Contract } = require('fabric-contract-api');
 
 // Define objectType names for prefix
 const balancePrefix = 'balance';
-// const allowancePrefix = 'allowance';
+const allowancePrefix = 'allowance';
+const allowanceSpenderPrefix = 'allowanceSpender';
+const rolePrefix = 'role';
+const frozenPrefix = 'frozen';
+const accountPrefix = 'account';
+const mintQuotaPrefix = 'mintQuota';
+const redemptionPrefix = 'redemption';
+const lockedBalancePrefix = 'lockedBalance';
+const escrowPrefix = 'escrow';
+const escrowPartyPrefix = 'escrowParty';
+const lockPartyPrefix = 'lockParty';
+const vestingPrefix = 'vesting';
+const transferLimitPrefix = 'transferLimit';
+const transferUsagePrefix = 'transferUsage';
+const proposalPrefix = 'proposal';
+const proposalApprovalPrefix = 'proposalApproval';
+const snapshotBalancePrefix = 'snapshotBalance';
+const distributionPrefix = 'distribution';
+const distributionClaimPrefix = 'distributionClaim';
+const recoveryPrefix = 'recovery';
+const recoveryPendingPrefix = 'recoveryPending';
+const recoveryGuardiansPrefix = 'recoveryGuardians';
+const privateTransferPrefix = 'privateTransfer';
+const balanceRepairPrefix = 'balanceRepair';
+const supplyRepairPrefix = 'supplyRepair';
+const migrationStagePrefix = 'migrationStage';
+// Kept in the implicit collections of the orgs, never on public state
+const privateBalancePrefix = 'privateBalance';
+const privateCreditPrefix = 'privateCredit';
+const privateTransactionPrefix = 'privateTransaction';
 
 const transactionDataPrefix = 'transactionData'
 
+// Transaction history paging
+const defaultPageSize = 20;
+const maxPageSize = 100;
+// Times in history keys are zero padded so that records sort chronologically
+const timeKeyLength = 12;
+
 // Define key names for options
+// name, symbol and decimals were bare keys up to state version 2, they now live in the contract config record
+const contractConfigKey = 'contractConfig';
 const nameKey = 'name';
 const symbolKey = 'symbol';
 const decimalsKey = 'decimals';
+const migrationKey = 'migration';
 const totalSupplyKey = 'totalSupply';
+const maxSupplyKey = 'maxSupply';
+const pausedKey = 'paused';
+const feePolicyKey = 'feePolicy';
+const globalTransferLimitKey = 'globalTransferLimit';
+const multiSigConfigKey = 'multiSigConfig';
+const currentSnapshotKey = 'currentSnapshot';
+const snapshotTotalSupplyKey = 'snapshotTotalSupply';
+const totalLockedKey = 'totalLocked';
+const distributionDustAccountKey = 'distributionDustAccount';
+const recoveryDelayKey = 'recoveryDelay';
+const privateSupplyKey = 'privateSupply';
+
+// Define role names, a role can be granted to an MSP, a client identity or a certificate attribute
+const adminRole = 'admin';
+const minterRole = 'minter';
+const burnerRole = 'burner';
+const pauserRole = 'pauser';
+const roleNames = [adminRole, minterRole, burnerRole, pauserRole];
+const memberTypes = ['msp', 'id', 'attr'];
+// Only this MSP can initialize the contract, it is granted every role and administers the others from there.
+// Set TOKEN_BOOTSTRAP_MSP on the chaincode at deployment to choose another org
+const bootstrapMSPID = process.env.TOKEN_BOOTSTRAP_MSP || 'Org1MSP';
+
+// Define states of a redemption request
+const redemptionPending = 'pending';
+const redemptionApproved = 'approved';
+const redemptionRejected = 'rejected';
+
+// Define states of an escrow
+const escrowOpen = 'open';
+const escrowReleased = 'released';
+const escrowRefunded = 'refunded';
+
+// Define states of a distribution
+const distributionOpen = 'open';
+const distributionClosed = 'closed';
+
+// Define states of a multi-signature proposal, expired is derived from the expiry time
+const proposalPending = 'pending';
+const proposalExecuted = 'executed';
+const proposalCanceled = 'canceled';
+const proposalExpired = 'expired';
+// Proposals expire after 7 days unless configured otherwise
+const defaultProposalTtl = 7 * 24 * 60 * 60;
+
+// Define KYC and lifecycle states of an account, a retired account was moved to a new identity
+const kycStatuses = ['pending', 'verified', 'rejected'];
+const accountActive = 'active';
+const accountClosed = 'closed';
+const accountRetired = 'retired';
+
+// Define states of an account recovery
+const recoveryPending = 'pending';
+const recoveryExecuted = 'executed';
+const recoveryCanceled = 'canceled';
+// Approved recoveries wait 3 days unless configured otherwise
+const defaultRecoveryDelay = 3 * 24 * 60 * 60;
+
+// Every event of a transaction is collected into a single payload emitted under this name,
+// because Fabric only keeps the last setEvent call of a transaction
+const tokenEventName = 'TokenEvent';
+const eventSchemaVersion = 1;
+
+// Largest number of transfers accepted by BatchTransfer
+const maxBatchSize = 500;
+
+// Largest number of decimals a token can be initialized with
+const maxDecimals = 18;
+
+// Version of the ledger state layout, kept in the contract config record:
+// 1. the original contract, whole-token balances written with parseInt and one JSON array of history per account
+// 2. balances in base units, one history record per transfer, name, symbol and decimals in bare keys
+// 3. the contract config record
+// Transactions are refused until MigrateState has upgraded an older state
+const currentStateVersion = 3;
+const migrationPhases = { 1: ['bootstrap', 'stageBalances', 'balances', 'stageHistory', 'history', 'config'], 2: ['config'] };
+
+// Token metadata that UpdateMetadata can change, decimals are fixed at initialization
+const metadataFields = ['name', 'symbol', 'description', 'issuer', 'iconUri'];
+const maxMetadataLength = 1024;
+
+// ================== Amount Helpers ==========================
+// 帳本上的金額一律以最小單位的整數字串儲存, 運算時轉成BigInt
+
+/**
+ * Convert a human-readable token amount such as "1.25" to base units.
+ * Only plain decimal notation is accepted, so values like "1e3", "12abc",
+ * "-5" or a fraction finer than the token decimals are rejected.
+ *
+ * @param {String} value The amount given by the client
+ * @param {Number} decimals The decimals of the token
+ * @returns {BigInt} Returns the amount in base units
+ */
+function parseAmount(value, decimals) {
+    const amountStr = String(value);
+    if (amountStr.startsWith('-')) {
+        throw new Error(`amount ${value} cannot be negative`);
+    }
+    if (!/^\d+(\.\d+)?$/.test(amountStr)) {
+        throw new Error(`amount ${value} is not a valid decimal number`);
+    }
+
+    const [whole, fraction = ''] = amountStr.split('.');
+    if (fraction.length > decimals) {
+        throw new Error(`amount ${value} has more than ${decimals} decimal places`);
+    }
+    return BigInt(whole + fraction.padEnd(decimals, '0'));
+}
+
+/**
+ * Convert an amount in base units back to a human-readable decimal string.
+ *
+ * @param {BigInt} amount The amount in base units
+ * @param {Number} decimals The decimals of the token
+ * @returns {String} Returns the amount without trailing zeros, e.g. "1.25"
+ */
+function formatAmount(amount, decimals) {
+    const digits = amount.toString().padStart(decimals + 1, '0');
+    if (decimals === 0) {
+        return digits;
+    }
+    const whole = digits.slice(0, -decimals);
+    const fraction = digits.slice(-decimals).replace(/0+$/, '');
+    return fraction ? `${whole}.${fraction}` : whole;
+}
+
+// 解析帳本上儲存的最小單位金額, 格式不正確代表資料已損毀
+function readAmount(amountBytes) {
+    const amountStr = amountBytes.toString();
+    if (!/^\d+$/.test(amountStr)) {
+        throw new Error(`stored amount ${amountStr} is not a non-negative integer`);
+    }
+    return BigInt(amountStr);
+}
+
+// 最初的合約以parseInt記錄整數代幣, 換算成最小單位, 無法換算時回傳null
+function readLegacyAmount(amountStr, decimals) {
+    if (!/^\d+$/.test(amountStr)) {
+        return null;
+    }
+    return BigInt(amountStr) * 10n ** BigInt(decimals);
+}
+
+// 解析分頁大小, 空字串代表使用預設值
+function parsePageSize(pageSize) {
+    const pageSizeInt = pageSize ? parseInt(pageSize) : defaultPageSize;
+    if (!/^\d*$/.test(pageSize || '') || pageSizeInt <= 0 || pageSizeInt > maxPageSize) {
+        throw new Error(`page size must be an integer between 1 and ${maxPageSize}`);
+    }
+    return pageSizeInt;
+}
+
+// 取得交易時間 (unix秒數)
+function getTxTime(ctx) {
+    const timestamp = ctx.stub.getTxTimestamp();
+    // depending on the fabric-shim version the timestamp is a protobuf message or a plain object with a Long
+    const seconds = typeof timestamp.getSeconds === 'function' ? timestamp.getSeconds() : timestamp.seconds;
+    return parseInt(seconds.toString());
+}
+
+// 解析unix時間 (秒)
+function parseTimestamp(value, name) {
+    if (!/^\d+$/.test(String(value))) {
+        throw new Error(`${name} ${value} must be a unix timestamp in seconds`);
+    }
+    return parseInt(value);
+}
+
+// subtract two amounts checking for underflow below zero
+function sub(a, b) {
+    if (b > a) {
+        throw new Error(`Math: subtraction underflow occurred ${a} - ${b}`);
+    }
+    return a - b;
+}
 
 class TokenERC20Contract extends Contract {
 
+    /**
+     * Register an account. By default the calling client registers its own identity,
+     * an admin can pass another identity to register it on that client's behalf.
+     * New accounts start with KYC status 'pending' and can only transfer once verified.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} userAddress The identity to register, empty for the calling client
+     * @param {String} displayName The display name of the account
+     * @returns {Object} Returns the account record
+     */
     // 開戶
-    async signup(ctx, userAddress) {
-        
+    async signup(ctx, userAddress, displayName) {
+
         //check contract options are already set first to execute the function
         await this.CheckInitialized(ctx);
 
-        const userBalanceKey = ctx.stub.createCompositeKey(balancePrefix, [userAddress]);
-        const userCurrentBalanceBytes = await ctx.stub.getState(userBalanceKey);
+        const clientAccountID = ctx.clientIdentity.getID();
+        const account = userAddress || clientAccountID;
+
+        // 幫別人開戶需要admin角色
+        if (account !== clientAccountID) {
+            await this._checkRole(ctx, adminRole, 'client is not authorized to register other accounts');
+        }
 
-        let userCurrentBalance;
-        // If recipient current balance doesn't yet exist, we'll create it with a current balance of 0
-        if (!userCurrentBalanceBytes || userCurrentBalanceBytes.length === 0) {
-            userCurrentBalance = 0;
-        } else {
-            userCurrentBalance = parseInt(userCurrentBalanceBytes.toString());
+        await this._checkNotPaused(ctx);
+        await this._checkNotFrozen(ctx, account);
+
+        if (await this._getAccount(ctx, account) !== null) {
+            throw new Error(`the account ${account} is already registered`);
         }
 
-        await ctx.stub.putState(userBalanceKey, Buffer.from(userCurrentBalance.toString()));
+        const accountRecord = {
+            id: account,
+            owner: account,
+            // the MSP is only known when the client registers itself
+            mspId: account === clientAccountID ? ctx.clientIdentity.getMSPID() : '',
+            registeredBy: clientAccountID,
+            createdAt: getTxTime(ctx).toString(),
+            displayName: displayName || '',
+            kycStatus: 'pending',
+            status: accountActive,
+        };
+        await this._putAccount(ctx, accountRecord);
 
-        console.log(`${userAddress} 註冊成功`);
+        // If the account balance doesn't yet exist, we'll create it with a current balance of 0
+        const userCurrentBalance = await this._getBalance(ctx, account);
+        await this._setBalance(ctx, account, userCurrentBalance === null ? 0n : userCurrentBalance);
 
-        return true;
+        // Emit the AccountCreated event
+        this._emitEvent(ctx, 'AccountCreated', accountRecord);
+
+        console.log(`${account} 註冊成功`);
+
+        return accountRecord;
+    }
+
+    /**
+     * Return the record of a registered account.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} account The account to retrieve
+     * @returns {Object} Returns the account record
+     */
+    // 查詢帳戶資料
+    async GetAccount(ctx, account) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const accountRecord = await this._getAccount(ctx, account);
+        if (accountRecord === null) {
+            throw new Error(`client account ${account} no signup`);
+        }
+        return accountRecord;
+    }
+
+    /**
+     * Update the display name or the KYC status of an account.
+     * The owner or an admin can change the display name, only an admin can change the KYC status.
+     * Empty arguments leave the field unchanged, but at least one of them has to be given.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} account The account to update
+     * @param {String} displayName The new display name, may be empty
+     * @param {String} kycStatus One of pending, verified or rejected, may be empty
+     * @returns {Object} Returns the updated account record
+     */
+    // 更新帳戶資料
+    async UpdateAccount(ctx, account, displayName, kycStatus) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        if (!displayName && !kycStatus) {
+            throw new Error('nothing to update, give a display name or a KYC status');
+        }
+
+        const accountRecord = await this.GetAccount(ctx, account);
+        if (accountRecord.owner !== ctx.clientIdentity.getID()) {
+            await this._checkRole(ctx, adminRole, 'client is not authorized to update this account');
+        }
+        if (accountRecord.status !== accountActive) {
+            throw new Error(`the account ${account} is ${accountRecord.status}`);
+        }
+
+        if (kycStatus) {
+            await this._checkRole(ctx, adminRole, 'client is not authorized to change the KYC status');
+            if (!kycStatuses.includes(kycStatus)) {
+                throw new Error(`KYC status must be one of ${kycStatuses.join(', ')}`);
+            }
+            accountRecord.kycStatus = kycStatus;
+        }
+        if (displayName) {
+            accountRecord.displayName = displayName;
+        }
+
+        await this._putAccount(ctx, accountRecord);
+
+        // Emit the AccountUpdated event
+        this._emitEvent(ctx, 'AccountUpdated', accountRecord);
+
+        console.log(`account ${account} updated`);
+        return accountRecord;
+    }
+
+    /**
+     * Close an account. Closed accounts can no longer send or receive tokens,
+     * so the balance has to be moved out before closing.
+     * The owner or an admin can close an account.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} account The account to close
+     * @returns {Object} Returns the closed account record
+     */
+    // 關閉帳戶
+    async CloseAccount(ctx, account) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const accountRecord = await this.GetAccount(ctx, account);
+        if (accountRecord.owner !== ctx.clientIdentity.getID()) {
+            await this._checkRole(ctx, adminRole, 'client is not authorized to close this account');
+        }
+        if (accountRecord.status !== accountActive) {
+            throw new Error(`the account ${account} is already ${accountRecord.status}`);
+        }
+
+        const balance = await this._getBalance(ctx, account);
+        if (balance !== null && balance > 0n) {
+            throw new Error(`the account ${account} still has a balance`);
+        }
+
+        accountRecord.status = accountClosed;
+        accountRecord.closedAt = getTxTime(ctx).toString();
+        await this._putAccount(ctx, accountRecord);
+
+        // Emit the AccountClosed event
+        this._emitEvent(ctx, 'AccountClosed', accountRecord);
+
+        console.log(`account ${account} closed`);
+        return accountRecord;
+    }
+
+    /**
+     * List the registered accounts page by page.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} pageSize The number of accounts per page, default 20
+     * @param {String} bookmark The bookmark returned by the previous page, empty for the first page
+     * @returns {Object} Returns the accounts, the number of accounts fetched and the bookmark of the next page
+     */
+    // 分頁查詢所有帳戶
+    async ListAccounts(ctx, pageSize, bookmark) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const { iterator, metadata } = await ctx.stub.getStateByPartialCompositeKeyWithPagination(
+            accountPrefix, [], parsePageSize(pageSize), bookmark || '');
+
+        const accounts = [];
+        let result = await iterator.next();
+        while (!result.done) {
+            accounts.push(JSON.parse(result.value.value.toString()));
+            result = await iterator.next();
+        }
+        await iterator.close();
+
+        return {
+            accounts,
+            fetchedRecordsCount: metadata.fetchedRecordsCount,
+            bookmark: metadata.bookmark,
+        };
+    }
+
+    // 讀取帳戶資料, 沒有註冊時回傳null
+    async _getAccount(ctx, account) {
+        const accountKey = ctx.stub.createCompositeKey(accountPrefix, [account]);
+        const accountBytes = await ctx.stub.getState(accountKey);
+        if (!accountBytes || accountBytes.length === 0) {
+            return null;
+        }
+        return JSON.parse(accountBytes.toString());
+    }
+
+    // 寫入帳戶資料
+    async _putAccount(ctx, accountRecord) {
+        const accountKey = ctx.stub.createCompositeKey(accountPrefix, [accountRecord.id]);
+        await ctx.stub.putState(accountKey, Buffer.from(JSON.stringify(accountRecord)));
+    }
+
+    // 由呼叫者為account開一個待審核的帳戶, 與admin代為signup相同
+    async _registerPendingAccount(ctx, account) {
+        const accountRecord = {
+            id: account,
+            owner: account,
+            mspId: '',
+            registeredBy: ctx.clientIdentity.getID(),
+            createdAt: getTxTime(ctx).toString(),
+            displayName: '',
+            kycStatus: 'pending',
+            status: accountActive,
+        };
+        await this._putAccount(ctx, accountRecord);
+
+        // Emit the AccountCreated event
+        this._emitEvent(ctx, 'AccountCreated', accountRecord);
+        return accountRecord;
+    }
+
+    // 轉帳對象必須已註冊、通過KYC且未關閉或停用
+    async _checkActiveAccount(ctx, account) {
+        const accountRecord = await this._getAccount(ctx, account);
+        if (accountRecord === null) {
+            throw new Error(`client account ${account} no signup`);
+        }
+        if (accountRecord.status !== accountActive) {
+            throw new Error(`the account ${account} is ${accountRecord.status}`);
+        }
+        if (accountRecord.kycStatus !== 'verified') {
+            throw new Error(`the account ${account} is not verified`);
+        }
     }
 
     /**
@@ -61,9 +496,8 @@ class TokenERC20Contract extends Contract {
         //check contract options are already set first to execute the function
         await this.CheckInitialized(ctx);
 
-        const nameBytes = await ctx.stub.getState(nameKey);
-
-        return nameBytes.toString();
+        const config = await this._getConfig(ctx);
+        return config.name;
     }
 
     /**
@@ -78,470 +512,4861 @@ class TokenERC20Contract extends Contract {
         //check contract options are already set first to execute the function
         await this.CheckInitialized(ctx);
 
-        const symbolBytes = await ctx.stub.getState(symbolKey);
-        return symbolBytes.toString();
+        const config = await this._getConfig(ctx);
+        return config.symbol;
+    }
+
+    /**
+     * Return the number of decimals the token uses
+     * e.g. 8, means to divide the token amount by 100000000 to get its user representation.
+     * Every amount passed to or returned from this contract is in that user representation.
+     *
+     * @param {Context} ctx the transaction context
+     * @returns {Number} Returns the number of decimals
+    */
+    // 代幣的最小單位
+    async Decimals(ctx) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        return this._getDecimals(ctx);
+    }
+
+    /**
+     * Return the total token supply.
+     *
+     * @param {Context} ctx the transaction context
+     * @returns {String} Returns the total token supply
+    */
+    // 代幣的總量
+    async TotalSupply(ctx) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const totalSupply = await this._getTotalSupply(ctx);
+        return formatAmount(totalSupply, await this._getDecimals(ctx));
+    }
+
+    /**
+     * BalanceOf returns the balance of the given account.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} owner The owner from which the balance will be retrieved
+     * @returns {String} Returns the account balance
+     */
+    // 查詢某帳戶的代幣餘額
+    async BalanceOf(ctx, owner) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const balance = await this._getBalance(ctx, owner);
+        if (balance === null) {
+            throw new Error(`the account ${owner} does not exist`);
+        }
+
+        return formatAmount(balance, await this._getDecimals(ctx));
+    }
+
+    // 從合約轉代幣給B
+    async Transfer(ctx, to, value) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const clientAccountID = ctx.clientIdentity.getID();
+
+        await this._checkNotPaused(ctx);
+        await this._checkNotFrozen(ctx, clientAccountID);
+        await this._checkNotFrozen(ctx, to);
+        await this._checkActiveAccount(ctx, clientAccountID);
+        await this._checkActiveAccount(ctx, to);
+
+        // transfer of 0 is allowed in ERC20, parseAmount only rejects negative or malformed amounts
+        const decimals = await this._getDecimals(ctx);
+        const amount = parseAmount(value, decimals);
+
+        // Move the tokens from the sender to the recipient
+        await this._transfer(ctx, clientAccountID, [{ to, amount }], decimals);
+
+        return true;
+    }
+
+    /**
+     * Transfer `value` amount of tokens from `from` to `to`.
+     * The caller spends the allowance that `from` has granted to it through Approve.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} from The sender
+     * @param {String} to The recipient
+     * @param {String} value The amount of token to be transferred
+     * @returns {Boolean} Return whether the transfer was successful or not
+     */
+    // 從A轉代幣給B (呼叫者須有A的授權額度)
+    async TransferFrom(ctx, from, to, value) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        if (from === to) {
+            throw new Error('cannot transfer to and from same client account');
+        }
+
+        const spender = ctx.clientIdentity.getID();
+
+        await this._checkNotPaused(ctx);
+        for (const account of [spender, from, to]) {
+            await this._checkNotFrozen(ctx, account);
+        }
+        await this._checkActiveAccount(ctx, from);
+        await this._checkActiveAccount(ctx, to);
+
+        // transfer of 0 is allowed in ERC20, parseAmount only rejects negative or malformed amounts
+        const decimals = await this._getDecimals(ctx);
+        const amount = parseAmount(value, decimals);
+
+        // 扣除spender被from授權的額度
+        await this._spendAllowance(ctx, from, spender, amount, decimals);
+
+        // 扣除from的餘額並存入to
+        await this._transfer(ctx, from, [{ to, amount }], decimals);
+
+        return true;
+    }
+
+    /**
+     * Transfer tokens from the caller to many recipients in one atomic transaction, e.g. for payroll or airdrops.
+     * Every leg is validated and the sender's total debit is checked before any balance changes,
+     * and the whole batch fails if any leg fails.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} transfers JSON array of { "to": String, "value": String }
+     * @returns {Object} Returns the number of transfers and the total amount sent
+     */
+    // 批次轉帳給多個帳戶
+    async BatchTransfer(ctx, transfers) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const clientAccountID = ctx.clientIdentity.getID();
+
+        await this._checkNotPaused(ctx);
+        await this._checkNotFrozen(ctx, clientAccountID);
+        await this._checkActiveAccount(ctx, clientAccountID);
+
+        let legs;
+        try {
+            legs = JSON.parse(transfers);
+        } catch (err) {
+            throw new Error('transfers must be a JSON array of { to, value }');
+        }
+        if (!Array.isArray(legs) || legs.length === 0) {
+            throw new Error('transfers must be a non-empty JSON array of { to, value }');
+        }
+        if (legs.length > maxBatchSize) {
+            throw new Error(`a batch can hold at most ${maxBatchSize} transfers`);
+        }
+
+        // 先檢查每一筆轉帳並計算總金額
+        const decimals = await this._getDecimals(ctx);
+        let total = 0n;
+        const transferLegs = [];
+        for (const [index, leg] of legs.entries()) {
+            if (!leg || typeof leg.to !== 'string' || !leg.to) {
+                throw new Error(`transfer ${index} has no recipient`);
+            }
+            let amount;
+            try {
+                amount = parseAmount(leg.value, decimals);
+            } catch (err) {
+                throw new Error(`transfer ${index}: ${err.message}`);
+            }
+            await this._checkNotFrozen(ctx, leg.to);
+            await this._checkActiveAccount(ctx, leg.to);
+            transferLegs.push({ to: leg.to, amount });
+            total += amount;
+        }
+
+        // 所有轉帳一起處理, 同一帳戶的餘額只讀寫一次
+        await this._transfer(ctx, clientAccountID, transferLegs, decimals);
+
+        console.log(`client ${clientAccountID} sent ${total} to ${legs.length} recipients`);
+        return { count: legs.length, total: formatAmount(total, decimals) };
+    }
+
+    // 從from轉帳給每一筆legs的to, 寫入交易紀錄並發出Transfer事件
+    // Fabric在同一筆交易中讀不到剛寫入的值, 所以先在記憶體中加總每個帳戶的異動, 每個餘額只寫入一次
+    async _transfer(ctx, from, legs, decimals) {
+        let total = 0n;
+        for (const leg of legs) {
+            if (leg.to === from) {
+                throw new Error('cannot transfer to and from same client account');
+            }
+            total += leg.amount;
+        }
+
+        // 查詢from的餘額
+        const fromCurrentBalance = await this._getBalance(ctx, from);
+        if (fromCurrentBalance === null) {
+            throw new Error(`client account ${from} no balance`);
+        }
+
+        // 查看餘額是否有大於要轉出的錢
+        if (fromCurrentBalance < total) {
+            throw new Error(`client account ${from} insufficient funds`);
+        }
+
+        await this._checkTransferLimit(ctx, from, legs.map((leg) => leg.amount), decimals);
+
+        // 手續費從轉帳金額中扣除, 收款人收到扣除後的淨額
+        const feePolicy = await this._getFeePolicy(ctx);
+        const credits = new Map();
+        const transfers = [];
+        for (const { to, amount } of legs) {
+            if (!credits.has(to)) {
+                if (await this._getBalance(ctx, to) === null) {
+                    throw new Error(`client account ${to} no signup`);
+                }
+                credits.set(to, 0n);
+            }
+            const fee = this._calculateFee(feePolicy, from, to, amount);
+            const net = sub(amount, fee);
+            credits.set(to, credits.get(to) + net);
+            if (fee > 0n) {
+                credits.set(feePolicy.treasury, (credits.get(feePolicy.treasury) || 0n) + fee);
+            }
+            transfers.push({ to, amount, fee, net });
+        }
+
+        const fromUpdatedBalance = sub(fromCurrentBalance, total);
+        await this._setBalance(ctx, from, fromUpdatedBalance);
+        console.log(`client ${from} balance updated from ${fromCurrentBalance} to ${fromUpdatedBalance}`);
+
+        for (const [account, credit] of credits) {
+            // If treasury current balance doesn't yet exist, we'll create it with a current balance of 0
+            const currentBalance = await this._getBalance(ctx, account);
+            const updatedBalance = (currentBalance === null ? 0n : currentBalance) + credit;
+            await this._setBalance(ctx, account, updatedBalance);
+            console.log(`recipient ${account} balance updated from ${currentBalance} to ${updatedBalance}`);
+        }
+
+        for (const { to, amount, fee, net } of transfers) {
+            const formattedValue = formatAmount(amount, decimals);
+            const formattedFee = formatAmount(fee, decimals);
+            const formattedNet = formatAmount(net, decimals);
+            await this._addTransactionData(ctx, from, to, formattedValue, { fee: formattedFee, net: formattedNet });
+
+            // Emit the Transfer event, value is what the recipient received
+            const transferEvent = { from, to, value: formattedNet, gross: formattedValue, fee: formattedFee };
+            this._emitEvent(ctx, 'Transfer', transferEvent);
+
+            if (fee > 0n) {
+                await this._recordFee(ctx, from, feePolicy.treasury, formattedFee);
+            }
+        }
+    }
+
+    // 寫入treasury收到手續費的紀錄並發出手續費的Transfer事件, 餘額由呼叫者入帳
+    async _recordFee(ctx, from, treasury, formattedFee) {
+        const feeRecord = {
+            txId: ctx.stub.getTxID(),
+            from,
+            to: treasury,
+            value: formattedFee,
+            time: getTxTime(ctx).toString(),
+        };
+        await this._putTransactionRecord(ctx, treasury, 'in', feeRecord);
+
+        // Emit the Transfer event of the fee
+        const feeEvent = { from, to: treasury, value: formattedFee };
+        this._emitEvent(ctx, 'Transfer', feeEvent);
+    }
+
+    /**
+     * Preview what a transfer would cost under the current fee policy.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} from The sender
+     * @param {String} to The recipient
+     * @param {String} value The amount of tokens to be transferred
+     * @returns {Object} Returns the gross amount, the fee and the net amount the recipient would receive
+     */
+    // 試算轉帳手續費
+    async QuoteTransfer(ctx, from, to, value) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const decimals = await this._getDecimals(ctx);
+        const amount = parseAmount(value, decimals);
+        const fee = this._calculateFee(await this._getFeePolicy(ctx), from, to, amount);
+
+        return {
+            gross: formatAmount(amount, decimals),
+            fee: formatAmount(fee, decimals),
+            net: formatAmount(sub(amount, fee), decimals),
+        };
+    }
+
+    /**
+     * Set the fee charged on Transfer, TransferFrom, BatchTransfer, released escrows and TransferPrivate.
+     * The fee is a flat amount plus basis points of the transferred amount, bounded by minFee and maxFee,
+     * and is deducted from the transferred amount and credited to the treasury. A treasury without an account
+     * is registered with KYC status 'pending'. Transfers from or to an exempt account are free.
+     * Only clients with the admin role can set the fee policy, once multi-signature is configured
+     * it needs a 'SetFeePolicy' proposal.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} feePolicy JSON { treasury, flatFee, basisPoints, minFee, maxFee, exempt: [] }, empty to charge no fee
+     * @returns {Object} Returns the fee policy as GetFeePolicy does, null when it was removed
+     */
+    // 設定轉帳手續費
+    async SetFeePolicy(ctx, feePolicy) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        await this._checkPrivileged(ctx, adminRole, 'client is not authorized to set the fee policy');
+
+        return this._putFeePolicy(ctx, feePolicy, await this._getDecimals(ctx));
+    }
+
+    /**
+     * Return the current fee policy.
+     *
+     * @param {Context} ctx the transaction context
+     * @returns {Object} Returns the fee policy, null when no fee is charged
+     */
+    // 查詢轉帳手續費設定
+    async GetFeePolicy(ctx) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const feePolicy = await this._getFeePolicy(ctx);
+        if (feePolicy === null) {
+            return null;
+        }
+
+        const decimals = await this._getDecimals(ctx);
+        return {
+            ...feePolicy,
+            flatFee: formatAmount(BigInt(feePolicy.flatFee), decimals),
+            minFee: formatAmount(BigInt(feePolicy.minFee), decimals),
+            maxFee: feePolicy.maxFee === '' ? '' : formatAmount(BigInt(feePolicy.maxFee), decimals),
+        };
+    }
+
+    // 檢查並寫入手續費設定, 空字串代表不收手續費, 回傳寫入的設定
+    // decimals由呼叫者傳入, Initialize時合約設定在同一筆交易中還讀不到
+    async _putFeePolicy(ctx, feePolicy, decimals) {
+        if (!feePolicy) {
+            await ctx.stub.deleteState(feePolicyKey);
+
+            // Emit the FeePolicyRemoved event
+            const feePolicyEvent = { sender: ctx.clientIdentity.getID() };
+            this._emitEvent(ctx, 'FeePolicyRemoved', feePolicyEvent);
+            return null;
+        }
+
+        let policy;
+        try {
+            policy = JSON.parse(feePolicy);
+        } catch (err) {
+            throw new Error('fee policy must be a JSON object');
+        }
+        if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+            throw new Error('fee policy must be a JSON object');
+        }
+        if (typeof policy.treasury !== 'string' || !policy.treasury) {
+            throw new Error('fee policy must name a treasury account');
+        }
+
+        const basisPoints = policy.basisPoints === undefined ? 0 : policy.basisPoints;
+        if (!Number.isInteger(basisPoints) || basisPoints < 0 || basisPoints > 10000) {
+            throw new Error('fee basis points must be an integer between 0 and 10000');
+        }
+        const exempt = policy.exempt === undefined ? [] : policy.exempt;
+        if (!Array.isArray(exempt) || exempt.some((account) => typeof account !== 'string')) {
+            throw new Error('fee exempt accounts must be an array of account IDs');
+        }
+
+        const flatFee = parseAmount(policy.flatFee || '0', decimals);
+        const minFee = parseAmount(policy.minFee || '0', decimals);
+        const maxFee = policy.maxFee ? parseAmount(policy.maxFee, decimals) : null;
+        if (maxFee !== null && maxFee < minFee) {
+            throw new Error('max fee cannot be lower than min fee');
+        }
+
+        const storedPolicy = {
+            treasury: policy.treasury,
+            flatFee: flatFee.toString(),
+            basisPoints,
+            minFee: minFee.toString(),
+            maxFee: maxFee === null ? '' : maxFee.toString(),
+            exempt,
+        };
+        await ctx.stub.putState(feePolicyKey, Buffer.from(JSON.stringify(storedPolicy)));
+
+        // 手續費存入treasury的餘額, treasury沒有帳戶時代為開戶, 稽核時才不會被列為未註冊
+        if (await this._getAccount(ctx, storedPolicy.treasury) === null) {
+            await this._registerPendingAccount(ctx, storedPolicy.treasury);
+        }
+
+        // Emit the FeePolicySet event
+        const feePolicyEvent = {
+            ...storedPolicy,
+            flatFee: formatAmount(flatFee, decimals),
+            minFee: formatAmount(minFee, decimals),
+            maxFee: maxFee === null ? '' : formatAmount(maxFee, decimals),
+        };
+        this._emitEvent(ctx, 'FeePolicySet', feePolicyEvent);
+        return feePolicyEvent;
+    }
+
+    // 讀取手續費設定, 沒有設定時回傳null
+    async _getFeePolicy(ctx) {
+        const feePolicyBytes = await ctx.stub.getState(feePolicyKey);
+        if (!feePolicyBytes || feePolicyBytes.length === 0) {
+            return null;
+        }
+        return JSON.parse(feePolicyBytes.toString());
+    }
+
+    // 計算手續費 (最小單位), 手續費超過轉帳金額時拋出錯誤
+    _calculateFee(feePolicy, from, to, amount) {
+        if (feePolicy === null || amount === 0n) {
+            return 0n;
+        }
+        const exempt = [feePolicy.treasury, ...feePolicy.exempt];
+        if (exempt.includes(from) || exempt.includes(to)) {
+            return 0n;
+        }
+
+        let fee = BigInt(feePolicy.flatFee) + amount * BigInt(feePolicy.basisPoints) / 10000n;
+        if (fee < BigInt(feePolicy.minFee)) {
+            fee = BigInt(feePolicy.minFee);
+        }
+        if (feePolicy.maxFee !== '' && fee > BigInt(feePolicy.maxFee)) {
+            fee = BigInt(feePolicy.maxFee);
+        }
+
+        if (fee > amount) {
+            throw new Error('transfer amount does not cover the transfer fee');
+        }
+        return fee;
+    }
+
+    /**
+     * Limit how much can be sent per transfer and per time window. Limits set for an account
+     * replace the global limits for that account. The window is rolling: it always covers the last
+     * windowSeconds before the transaction timestamp, so an amount counts until windowSeconds after it was sent.
+     * Escrowed amounts count when the escrow is created. Only clients with the admin role can set transfer limits,
+     * once multi-signature is configured it needs a 'SetTransferLimit' proposal.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} account The account to limit, empty for the global limits
+     * @param {String} maxPerTransfer The largest amount of a single transfer, empty for no limit
+     * @param {String} windowLimit The largest total sent per window, empty for no limit
+     * @param {String} windowSeconds The length of the window in seconds, required with windowLimit
+     * @returns {Object} Returns the limits now in effect for the account
+     */
+    // 設定轉帳限額
+    async SetTransferLimit(ctx, account, maxPerTransfer, windowLimit, windowSeconds) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        await this._checkPrivileged(ctx, adminRole, 'client is not authorized to set transfer limits');
+
+        const decimals = await this._getDecimals(ctx);
+        const limit = {
+            maxPerTransfer: maxPerTransfer ? parseAmount(maxPerTransfer, decimals).toString() : '',
+            windowLimit: windowLimit ? parseAmount(windowLimit, decimals).toString() : '',
+            windowSeconds: 0,
+        };
+        if (windowLimit) {
+            if (!/^\d+$/.test(String(windowSeconds)) || parseInt(windowSeconds) <= 0) {
+                throw new Error('limit window must be a positive number of seconds');
+            }
+            limit.windowSeconds = parseInt(windowSeconds);
+        }
+
+        await ctx.stub.putState(this._transferLimitKey(ctx, account), Buffer.from(JSON.stringify(limit)));
+
+        // Emit the TransferLimitSet event
+        const limitEvent = {
+            account: account || '',
+            maxPerTransfer: maxPerTransfer ? formatAmount(BigInt(limit.maxPerTransfer), decimals) : '',
+            windowLimit: windowLimit ? formatAmount(BigInt(limit.windowLimit), decimals) : '',
+            windowSeconds: limit.windowSeconds,
+        };
+        this._emitEvent(ctx, 'TransferLimitSet', limitEvent);
+
+        // 剛寫入的限額在同一筆交易中還讀不到, 直接由寫入的內容組成回傳值
+        return this._formatTransferLimit(ctx, account, account ? 'account' : 'global', limit, decimals);
+    }
+
+    /**
+     * Remove the limits of an account, which then falls back to the global limits,
+     * or remove the global limits when account is empty.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} account The account, empty for the global limits
+     * @returns {Boolean} Return whether the limits were removed or not
+     */
+    // 移除轉帳限額
+    async RemoveTransferLimit(ctx, account) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        await this._checkRole(ctx, adminRole, 'client is not authorized to remove transfer limits');
+
+        const limitKey = this._transferLimitKey(ctx, account);
+        const limitBytes = await ctx.stub.getState(limitKey);
+        if (!limitBytes || limitBytes.length === 0) {
+            throw new Error(account ? `the account ${account} has no transfer limit` : 'no global transfer limit is set');
+        }
+        await ctx.stub.deleteState(limitKey);
+
+        // Emit the TransferLimitRemoved event
+        const limitEvent = { account: account || '' };
+        this._emitEvent(ctx, 'TransferLimitRemoved', limitEvent);
+
+        return true;
+    }
+
+    /**
+     * Return the limits in effect for an account and how much it can still send in the current window.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} account The account, empty for the global limits
+     * @returns {Object} Returns the limits, where they come from ('account', 'global' or 'none'), the usage and the remaining amount
+     */
+    // 查詢轉帳限額與本期剩餘額度
+    async GetTransferLimit(ctx, account) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const decimals = await this._getDecimals(ctx);
+        const { source, limit } = await this._getEffectiveTransferLimit(ctx, account);
+        return this._formatTransferLimit(ctx, account, source, limit, decimals);
+    }
+
+    // 組成帳戶適用的限額與本期剩餘額度
+    async _formatTransferLimit(ctx, account, source, limit, decimals) {
+        // 全域限額沒有使用量, 只有帳戶才計算本期剩餘額度
+        let windowStart = 0;
+        let used = 0n;
+        let remaining = '';
+        if (limit.windowLimit) {
+            if (account) {
+                ({ windowStart, used } = await this._getTransferUsage(ctx, account, limit));
+            }
+            const windowLimit = BigInt(limit.windowLimit);
+            remaining = formatAmount(used > windowLimit ? 0n : windowLimit - used, decimals);
+        }
+
+        return {
+            account: account || '',
+            source,
+            maxPerTransfer: limit.maxPerTransfer ? formatAmount(BigInt(limit.maxPerTransfer), decimals) : '',
+            windowLimit: limit.windowLimit ? formatAmount(BigInt(limit.windowLimit), decimals) : '',
+            windowSeconds: limit.windowSeconds,
+            windowStart,
+            used: formatAmount(used, decimals),
+            remaining,
+        };
+    }
+
+    // 檢查每一筆轉出金額是否超過限額, 並以累計的總額檢查與記錄本期已使用的額度
+    async _checkTransferLimit(ctx, from, amounts, decimals) {
+        const { limit } = await this._getEffectiveTransferLimit(ctx, from);
+
+        for (const amount of amounts) {
+            if (limit.maxPerTransfer && amount > BigInt(limit.maxPerTransfer)) {
+                throw new Error(`TRANSFER_LIMIT_EXCEEDED: transfer of ${formatAmount(amount, decimals)} from ${from} exceeds the per-transfer limit`);
+            }
+        }
+
+        if (limit.windowLimit) {
+            // 同一筆交易中讀不到剛寫入的使用量, 先前檢查累計的結果保留在ctx上
+            ctx.transferUsage = ctx.transferUsage || new Map();
+            const window = ctx.transferUsage.get(from) || await this._getTransferUsage(ctx, from, limit);
+            const total = amounts.reduce((sum, amount) => sum + amount, 0n);
+            if (window.used + total > BigInt(limit.windowLimit)) {
+                throw new Error(`WINDOW_LIMIT_EXCEEDED: account ${from} has reached its transfer limit for the current window`);
+            }
+
+            const entries = this._addWindowUsage(ctx, window, total);
+            ctx.transferUsage.set(from, { ...window, used: window.used + total, entries });
+
+            const usageKey = ctx.stub.createCompositeKey(transferUsagePrefix, [from]);
+            await ctx.stub.putState(usageKey, Buffer.from(JSON.stringify({ entries })));
+        }
+    }
+
+    // 帳戶限額與全域限額的key
+    _transferLimitKey(ctx, account) {
+        return account ? ctx.stub.createCompositeKey(transferLimitPrefix, [account]) : globalTransferLimitKey;
+    }
+
+    // 取得帳戶實際適用的限額, 帳戶沒有設定時使用全域限額
+    async _getEffectiveTransferLimit(ctx, account) {
+        const sources = [['global', globalTransferLimitKey]];
+        if (account) {
+            sources.unshift(['account', this._transferLimitKey(ctx, account)]);
+        }
+        for (const [source, limitKey] of sources) {
+            const limitBytes = await ctx.stub.getState(limitKey);
+            if (limitBytes && limitBytes.length > 0) {
+                return { source, limit: JSON.parse(limitBytes.toString()) };
+            }
+        }
+        return { source: 'none', limit: { maxPerTransfer: '', windowLimit: '', windowSeconds: 0 } };
+    }
+
+    // 讀取帳戶在目前滾動期間內已轉出的金額
+    async _getTransferUsage(ctx, account, limit) {
+        const usageKey = ctx.stub.createCompositeKey(transferUsagePrefix, [account]);
+        const usageBytes = await ctx.stub.getState(usageKey);
+        const usage = usageBytes && usageBytes.length > 0 ? JSON.parse(usageBytes.toString()) : { entries: [] };
+        return this._currentWindow(ctx, usage, limit.windowSeconds);
+    }
+
+    /**
+     * Allows `spender` to spend `value` amount of tokens from the owner.
+     * Calling Approve again overwrites the current allowance.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} spender The spender
+     * @param {String} value The amount of tokens to be approved for transfer
+     * @returns {Boolean} Return whether the approval was successful or not
+     */
+    // 授權spender可以從呼叫者帳戶轉出的額度
+    async Approve(ctx, spender, value) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const owner = ctx.clientIdentity.getID();
+
+        const decimals = await this._getDecimals(ctx);
+        const amount = parseAmount(value, decimals);
+
+        await this._setAllowance(ctx, owner, spender, amount, decimals);
+
+        console.log(`owner ${owner} approved ${spender} to spend ${amount}`);
+        return true;
+    }
+
+    /**
+     * Returns the amount of tokens which `spender` is allowed to withdraw from `owner`.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} owner The owner of tokens
+     * @param {String} spender The spender who are able to transfer the tokens
+     * @returns {String} Return the amount of remaining tokens allowed to spent
+     */
+    // 查詢owner授權給spender的額度
+    async Allowance(ctx, owner, spender) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const allowance = await this._getAllowance(ctx, owner, spender);
+        return formatAmount(allowance, await this._getDecimals(ctx));
+    }
+
+    /**
+     * Atomically increases the allowance granted to `spender` by the caller.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} spender The spender
+     * @param {String} addedValue The amount to add to the current allowance
+     * @returns {String} Returns the updated allowance
+     */
+    // 增加授權額度
+    async IncreaseAllowance(ctx, spender, addedValue) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const owner = ctx.clientIdentity.getID();
+
+        const decimals = await this._getDecimals(ctx);
+        const addedAmount = parseAmount(addedValue, decimals);
+
+        const currentAllowance = await this._getAllowance(ctx, owner, spender);
+        const updatedAllowance = currentAllowance + addedAmount;
+
+        await this._setAllowance(ctx, owner, spender, updatedAllowance, decimals);
+
+        console.log(`owner ${owner} allowance for ${spender} updated from ${currentAllowance} to ${updatedAllowance}`);
+        return formatAmount(updatedAllowance, decimals);
+    }
+
+    /**
+     * Atomically decreases the allowance granted to `spender` by the caller.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} spender The spender
+     * @param {String} subtractedValue The amount to remove from the current allowance
+     * @returns {String} Returns the updated allowance
+     */
+    // 減少授權額度
+    async DecreaseAllowance(ctx, spender, subtractedValue) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const owner = ctx.clientIdentity.getID();
+
+        const decimals = await this._getDecimals(ctx);
+        const subtractedAmount = parseAmount(subtractedValue, decimals);
+
+        const currentAllowance = await this._getAllowance(ctx, owner, spender);
+        if (currentAllowance < subtractedAmount) {
+            throw new Error(`decreased allowance below zero for spender ${spender}`);
+        }
+        const updatedAllowance = sub(currentAllowance, subtractedAmount);
+
+        await this._setAllowance(ctx, owner, spender, updatedAllowance, decimals);
+
+        console.log(`owner ${owner} allowance for ${spender} updated from ${currentAllowance} to ${updatedAllowance}`);
+        return formatAmount(updatedAllowance, decimals);
+    }
+
+    // 讀取授權額度 (最小單位), 沒有授權過則為0
+    async _getAllowance(ctx, owner, spender) {
+        const allowanceKey = ctx.stub.createCompositeKey(allowancePrefix, [owner, spender]);
+        const allowanceBytes = await ctx.stub.getState(allowanceKey);
+        if (!allowanceBytes || allowanceBytes.length === 0) {
+            return 0n;
+        }
+        return readAmount(allowanceBytes);
+    }
+
+    // 扣除spender被owner授權的額度, 額度不足時拋出錯誤
+    async _spendAllowance(ctx, owner, spender, amount, decimals) {
+        const allowanceKey = ctx.stub.createCompositeKey(allowancePrefix, [owner, spender]);
+        const currentAllowanceBytes = await ctx.stub.getState(allowanceKey);
+        if (!currentAllowanceBytes || currentAllowanceBytes.length === 0) {
+            throw new Error(`spender ${spender} has no allowance from ${owner}`);
+        }
+        const currentAllowance = readAmount(currentAllowanceBytes);
+
+        // 查看授權額度是否足夠
+        if (currentAllowance < amount) {
+            throw new Error(`spender ${spender} does not have enough allowance from ${owner}`);
+        }
+
+        // Emit the Approval event with the remaining allowance
+        const updatedAllowance = sub(currentAllowance, amount);
+        await this._setAllowance(ctx, owner, spender, updatedAllowance, decimals);
+
+        console.log(`spender ${spender} allowance from ${owner} updated from ${currentAllowance} to ${updatedAllowance}`);
+    }
+
+    // 寫入授權額度並發出Approval事件
+    async _setAllowance(ctx, owner, spender, amount, decimals) {
+        const allowanceKey = ctx.stub.createCompositeKey(allowancePrefix, [owner, spender]);
+        await ctx.stub.putState(allowanceKey, Buffer.from(amount.toString()));
+
+        // 依spender建立索引, 帳戶復原時不必掃描所有授權額度
+        const spenderKey = ctx.stub.createCompositeKey(allowanceSpenderPrefix, [spender, owner]);
+        if (amount > 0n) {
+            await ctx.stub.putState(spenderKey, Buffer.from('\u0000'));
+        } else {
+            await ctx.stub.deleteState(spenderKey);
+        }
+
+        // Emit the Approval event
+        const approvalEvent = { owner, spender, value: formatAmount(amount, decimals) };
+        this._emitEvent(ctx, 'Approval', approvalEvent);
+    }
+
+    // 新增一筆交易紀錄, from與to各自寫入一筆, 鑄造或銷毀時的0x0不寫入
+    // details是附加在紀錄上的欄位, 例如手續費
+    async _addTransactionData(ctx, from, to, value, details) {
+        const transactionData = { txId: ctx.stub.getTxID(), from, to, value, ...details, time: getTxTime(ctx).toString() };
+
+        for (const [account, direction] of [[from, 'out'], [to, 'in']]) {
+            if (account !== '0x0') {
+                await this._putTransactionRecord(ctx, account, direction, transactionData);
+            }
+        }
+    }
+
+    // 寫入某帳戶的一筆交易紀錄
+    async _putTransactionRecord(ctx, account, direction, transactionData) {
+        // 同一筆交易可能對同一帳戶產生多筆紀錄, 用序號區分
+        ctx.transactionDataIndex = (ctx.transactionDataIndex || 0) + 1;
+        const transactionDataKey = ctx.stub.createCompositeKey(transactionDataPrefix,
+            [account, transactionData.time.padStart(timeKeyLength, '0'), transactionData.txId, ctx.transactionDataIndex.toString()]);
+
+        const record = { ...transactionData, direction };
+        await ctx.stub.putState(transactionDataKey, Buffer.from(JSON.stringify(record)));
+    }
+
+    /**
+     * Query the transaction history of an account page by page, oldest first.
+     * Filters are applied to the records of each page, so a page may hold fewer than `pageSize` records
+     * while the returned bookmark is not empty yet.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} userAddress The account whose history will be retrieved
+     * @param {String} pageSize The number of records scanned per page, default 20
+     * @param {String} bookmark The bookmark returned by the previous page, empty for the first page
+     * @param {String} fromTime Only return records at or after this unix time in seconds, may be empty
+     * @param {String} toTime Only return records at or before this unix time in seconds, may be empty
+     * @param {String} direction Only return incoming ('in') or outgoing ('out') records, may be empty
+     * @returns {Object} Returns the records, the number of records fetched and the bookmark of the next page
+     */
+    // 分頁查詢某Address的交易資訊
+    async getTransactionData(ctx, userAddress, pageSize, bookmark, fromTime, toTime, direction) {
+
+        await this.CheckInitialized(ctx);
+
+        const pageSizeInt = parsePageSize(pageSize);
+        if (direction && direction !== 'in' && direction !== 'out') {
+            throw new Error('direction must be \'in\' or \'out\'');
+        }
+        for (const time of [fromTime, toTime]) {
+            if (time && !/^\d+$/.test(time)) {
+                throw new Error(`time ${time} must be a unix timestamp in seconds`);
+            }
+        }
+
+        const { iterator, metadata } = await ctx.stub.getStateByPartialCompositeKeyWithPagination(
+            transactionDataPrefix, [userAddress], pageSizeInt, bookmark || '');
+
+        const records = [];
+        let result = await iterator.next();
+        while (!result.done) {
+            const { attributes } = ctx.stub.splitCompositeKey(result.value.key);
+            // 舊版以單一JSON陣列儲存的紀錄只有address一個屬性, 不列入查詢
+            if (attributes.length === 4) {
+                const record = JSON.parse(result.value.value.toString());
+                const time = parseInt(record.time);
+                if ((!direction || record.direction === direction) &&
+                    (!fromTime || time >= parseInt(fromTime)) &&
+                    (!toTime || time <= parseInt(toTime))) {
+                    records.push(record);
+                }
+            }
+            result = await iterator.next();
+        }
+        await iterator.close();
+
+        return {
+            records,
+            fetchedRecordsCount: metadata.fetchedRecordsCount,
+            bookmark: metadata.bookmark,
+        };
+    }
+
+    // ================== Extended Functions ==========================
+
+    /**
+     * Set optional infomation for a token.
+     * Only clients of the bootstrap MSP (TOKEN_BOOTSTRAP_MSP, Org1MSP by default) can initialize, and that MSP is granted every role.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} name The name of the token
+     * @param {String} symbol The symbol of the token
+     * @param {String} decimals The decimals of the token
+     * @param {String} maxSupply The hard cap of the total supply, empty for an uncapped token
+     * @param {String} feePolicy The transfer fee policy as accepted by SetFeePolicy, empty to charge no fee
+     */
+    // 初始化函式 (用cmd org1底下的peer0執行)
+    async Initialize(ctx, name, symbol, decimals, maxSupply, feePolicy) {
+        // Check initializer authorization - only the bootstrap MSP chosen at deployment can set the options
+        const clientMSPID = ctx.clientIdentity.getMSPID();
+        if (clientMSPID !== bootstrapMSPID) {
+            throw new Error('client is not authorized to initialize contract');
+        }
+
+        //check contract options are not already set, client is not authorized to change them once intitialized
+        if (await this._getConfig(ctx) !== null) {
+            throw new Error('contract options are already set, client is not authorized to change them');
+        }
+
+        // decimals決定金額的換算方式, 初始化後無法修改
+        if (!/^\d+$/.test(String(decimals)) || parseInt(decimals) > maxDecimals) {
+            throw new Error(`decimals must be an integer between 0 and ${maxDecimals}`);
+        }
+
+        const config = {
+            stateVersion: currentStateVersion,
+            name,
+            symbol,
+            decimals: parseInt(decimals),
+            description: '',
+            issuer: '',
+            iconUri: '',
+        };
+        await this._putConfig(ctx, config);
+        await ctx.stub.putState(totalSupplyKey, Buffer.from('0'));
+
+        // 總量上限, 沒有設定代表不限制
+        let maxSupplyAmount = null;
+        if (maxSupply) {
+            maxSupplyAmount = parseAmount(maxSupply, parseInt(decimals));
+            if (maxSupplyAmount <= 0n) {
+                throw new Error('max supply must be a positive number');
+            }
+            await ctx.stub.putState(maxSupplyKey, Buffer.from(maxSupplyAmount.toString()));
+        }
+
+        // 初始化者的MSP取得所有角色, 之後再由admin透過GrantRole/RevokeRole調整
+        for (const role of roleNames) {
+            await this._putRoleMember(ctx, role, 'msp', clientMSPID);
+
+            // Emit the RoleGranted event
+            const roleEvent = { role, memberType: 'msp', member: clientMSPID, sender: ctx.clientIdentity.getID() };
+            this._emitEvent(ctx, 'RoleGranted', roleEvent);
+        }
+
+        if (feePolicy) {
+            await this._putFeePolicy(ctx, feePolicy, parseInt(decimals));
+        }
+
+        // Emit the Initialized event
+        const formattedMaxSupply = maxSupplyAmount === null ? '' : formatAmount(maxSupplyAmount, parseInt(decimals));
+        const initializeEvent = { name, symbol, decimals: parseInt(decimals), maxSupply: formattedMaxSupply };
+        this._emitEvent(ctx, 'Initialized', initializeEvent);
+
+        console.log(`name: ${name}, symbol: ${symbol}, decimals: ${decimals}`);
+        return true;
+    }
+
+    /**
+     * Mint creates new tokens and adds them to minter's account balance
+     * The minter must have signed up, so that every balance belongs to a registered account.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} amount amount of tokens to be minted
+     * @returns {Object} The balance
+     */
+    // 鑄造代幣 (User2憑證去執行)
+    async Mint(ctx, amount) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        // Get ID of submitting client identity
+        const minter = ctx.clientIdentity.getID();
+
+        await this._mint(ctx, minter, amount);
+        return true;
+    }
+
+    /**
+     * MintTo creates new tokens directly in a recipient's account,
+     * so issuance doesn't have to pass through the minter's own account.
+     * The recipient must be a verified, active account.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} recipient The account receiving the new tokens
+     * @param {String} amount amount of tokens to be minted
+     * @returns {Boolean} Return whether the mint was successful or not
+     */
+    // 鑄造代幣並直接存入指定帳戶
+    async MintTo(ctx, recipient, amount) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        await this._checkActiveAccount(ctx, recipient);
+
+        await this._mint(ctx, recipient, amount);
+        return true;
+    }
+
+    /**
+     * Return the hard cap of the total supply set at Initialize time.
+     *
+     * @param {Context} ctx the transaction context
+     * @returns {String} Returns the max supply, empty when the token is uncapped
+     */
+    // 代幣的總量上限
+    async MaxSupply(ctx) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const maxSupply = await this._getMaxSupply(ctx);
+        return maxSupply === null ? '' : formatAmount(maxSupply, await this._getDecimals(ctx));
+    }
+
+    /**
+     * Limit how much a minter can mint per period. The period is rolling: it always covers the last
+     * period seconds before the transaction timestamp, so a mint counts until period seconds after it.
+     * Changing the quota keeps what was minted in the current period. Minters without a quota are only bound by the max supply.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} minter The client identity of the minter
+     * @param {String} limit The amount the minter can mint per period
+     * @param {String} period The length of the period in seconds
+     * @returns {Object} Returns the quota as GetMintQuota does
+     */
+    // 設定minter每期可鑄造的額度
+    async SetMintQuota(ctx, minter, limit, period) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        await this._checkRole(ctx, adminRole, 'client is not authorized to set mint quotas');
+
+        const decimals = await this._getDecimals(ctx);
+        const limitAmount = parseAmount(limit, decimals);
+        if (!/^\d+$/.test(String(period)) || parseInt(period) <= 0) {
+            throw new Error('quota period must be a positive number of seconds');
+        }
+
+        // 保留目前這一期已使用的額度
+        const currentQuota = await this._getMintQuota(ctx, minter);
+        const window = this._currentWindow(ctx, currentQuota || { entries: [] }, parseInt(period));
+        const quota = {
+            minter,
+            limit: limitAmount.toString(),
+            period: parseInt(period),
+            entries: window.entries,
+        };
+        await this._putMintQuota(ctx, quota);
+
+        // Emit the MintQuotaSet event
+        const quotaEvent = { minter, limit: formatAmount(limitAmount, decimals), period: quota.period };
+        this._emitEvent(ctx, 'MintQuotaSet', quotaEvent);
+
+        // 剛寫入的額度在同一筆交易中還讀不到, 直接由寫入的內容組成回傳值
+        return {
+            minter,
+            limit: quotaEvent.limit,
+            period: quota.period,
+            windowStart: window.windowStart,
+            used: formatAmount(window.used, decimals),
+            remaining: formatAmount(window.used > limitAmount ? 0n : limitAmount - window.used, decimals),
+        };
+    }
+
+    /**
+     * Remove the quota of a minter.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} minter The client identity of the minter
+     * @returns {Boolean} Return whether the quota was removed or not
+     */
+    // 移除minter的鑄造額度限制
+    async RemoveMintQuota(ctx, minter) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        await this._checkRole(ctx, adminRole, 'client is not authorized to remove mint quotas');
+        if (await this._getMintQuota(ctx, minter) === null) {
+            throw new Error(`minter ${minter} has no mint quota`);
+        }
+
+        await ctx.stub.deleteState(ctx.stub.createCompositeKey(mintQuotaPrefix, [minter]));
+
+        // Emit the MintQuotaRemoved event
+        const quotaEvent = { minter };
+        this._emitEvent(ctx, 'MintQuotaRemoved', quotaEvent);
+
+        return true;
+    }
+
+    /**
+     * Return the quota of a minter and how much of it is left in the current period.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} minter The client identity of the minter
+     * @returns {Object} Returns the limit, period, start of the current period, used and remaining amounts
+     */
+    // 查詢minter的鑄造額度
+    async GetMintQuota(ctx, minter) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const quota = await this._getMintQuota(ctx, minter);
+        if (quota === null) {
+            throw new Error(`minter ${minter} has no mint quota`);
+        }
+
+        const decimals = await this._getDecimals(ctx);
+        const { windowStart, used } = this._currentWindow(ctx, quota, quota.period);
+        const limit = BigInt(quota.limit);
+        return {
+            minter,
+            limit: formatAmount(limit, decimals),
+            period: quota.period,
+            windowStart,
+            used: formatAmount(used, decimals),
+            remaining: formatAmount(used > limit ? 0n : limit - used, decimals),
+        };
+    }
+
+    // 鑄造代幣到指定帳戶, 檢查權限、總量上限與minter的額度
+    async _mint(ctx, recipient, amount) {
+
+        // Check minter authorization
+        await this._checkPrivileged(ctx, minterRole, 'client is not authorized to mint new tokens');
+
+        const minter = ctx.clientIdentity.getID();
+
+        await this._checkNotPaused(ctx);
+        await this._checkNotFrozen(ctx, minter);
+        await this._checkNotFrozen(ctx, recipient);
+
+        // 鑄造到自己帳戶的minter也必須已開戶
+        if (await this._getAccount(ctx, recipient) === null) {
+            throw new Error(`client account ${recipient} no signup`);
+        }
+
+        const decimals = await this._getDecimals(ctx);
+        const mintAmount = parseAmount(amount, decimals);
+        if (mintAmount <= 0n) {
+            throw new Error('mint amount must be a positive number');
+        }
+
+        // Check the max supply
+        const totalSupply = await this._getTotalSupply(ctx);
+        const maxSupply = await this._getMaxSupply(ctx);
+        if (maxSupply !== null && totalSupply + mintAmount > maxSupply) {
+            throw new Error(`mint amount exceeds the max supply of ${formatAmount(maxSupply, decimals)}`);
+        }
+
+        // Check and consume the minter's quota
+        const quota = await this._getMintQuota(ctx, minter);
+        if (quota !== null) {
+            const window = this._currentWindow(ctx, quota, quota.period);
+            if (window.used + mintAmount > BigInt(quota.limit)) {
+                throw new Error(`mint amount exceeds the quota of minter ${minter} for the current period`);
+            }
+            const updatedQuota = { minter, limit: quota.limit, period: quota.period, entries: this._addWindowUsage(ctx, window, mintAmount) };
+            await this._putMintQuota(ctx, updatedQuota);
+        }
+
+        // If recipient current balance doesn't yet exist, we'll create it with a current balance of 0
+        const storedBalance = await this._getBalance(ctx, recipient);
+        const currentBalance = storedBalance === null ? 0n : storedBalance;
+        const updatedBalance = currentBalance + mintAmount;
+
+        await this._setBalance(ctx, recipient, updatedBalance);
+
+        // Increase totalSupply
+        await this._setTotalSupply(ctx, totalSupply + mintAmount);
+
+        const formattedAmount = formatAmount(mintAmount, decimals);
+        await this._addTransactionData(ctx, '0x0', recipient, formattedAmount);
+
+        // Emit the Transfer event
+        const transferEvent = { from: '0x0', to: recipient, value: formattedAmount };
+        this._emitEvent(ctx, 'Transfer', transferEvent);
+
+        console.log(`account ${recipient} balance updated from ${currentBalance} to ${updatedBalance} by minter ${minter}`);
+    }
+
+    // 讀取總量上限 (最小單位), 沒有上限時回傳null
+    async _getMaxSupply(ctx) {
+        const maxSupplyBytes = await ctx.stub.getState(maxSupplyKey);
+        if (!maxSupplyBytes || maxSupplyBytes.length === 0) {
+            return null;
+        }
+        return readAmount(maxSupplyBytes);
+    }
+
+    // 讀取minter的鑄造額度, 沒有設定時回傳null
+    async _getMintQuota(ctx, minter) {
+        const quotaKey = ctx.stub.createCompositeKey(mintQuotaPrefix, [minter]);
+        const quotaBytes = await ctx.stub.getState(quotaKey);
+        if (!quotaBytes || quotaBytes.length === 0) {
+            return null;
+        }
+        return JSON.parse(quotaBytes.toString());
+    }
+
+    // 寫入minter的鑄造額度
+    async _putMintQuota(ctx, quota) {
+        const quotaKey = ctx.stub.createCompositeKey(mintQuotaPrefix, [quota.minter]);
+        await ctx.stub.putState(quotaKey, Buffer.from(JSON.stringify(quota)));
+    }
+
+    // 計算滾動期間(最近period秒)的起始時間與已使用額度, 只保留期間內的使用紀錄
+    _currentWindow(ctx, usage, period) {
+        const windowStart = getTxTime(ctx) - period;
+        // 舊版固定期間的紀錄 { windowStart, used } 視為期初的一筆使用
+        let entries = usage.entries;
+        if (!entries) {
+            entries = usage.used && BigInt(usage.used) > 0n ? [[usage.windowStart, usage.used]] : [];
+        }
+        const current = entries.filter(([time]) => time > windowStart);
+        const used = current.reduce((sum, [, amount]) => sum + BigInt(amount), 0n);
+        return { windowStart, used, entries: current };
+    }
+
+    // 把這次使用的額度加入期間內的紀錄, 同一秒的使用合併成一筆
+    _addWindowUsage(ctx, window, amount) {
+        const now = getTxTime(ctx);
+        const entries = window.entries.slice();
+        const last = entries[entries.length - 1];
+        if (last && last[0] === now) {
+            entries[entries.length - 1] = [now, (BigInt(last[1]) + amount).toString()];
+        } else {
+            entries.push([now, amount.toString()]);
+        }
+        return entries;
+    }
+
+    /**
+     * Burn redeem tokens from minter's account balance
+     * Once multi-signature is configured it can only run as a 'Burn' proposal, which burns the proposer's balance.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} amount amount of tokens to be burned
+     * @returns {Object} The balance
+     */
+    // 銷毀代幣
+    async Burn(ctx, amount) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        // Check burner authorization
+        await this._checkPrivileged(ctx, burnerRole, 'client is not authorized to burn tokens');
+
+        const minter = ctx.clientIdentity.getID();
+
+        await this._burn(ctx, minter, amount);
+        return true;
+    }
+
+    /**
+     * BurnFrom burns tokens from another account, spending the allowance the holder granted to the caller.
+     * Once multi-signature is configured it can only run as a 'BurnFrom' proposal, which spends the proposer's allowance.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} account The account whose tokens will be burned
+     * @param {String} amount amount of tokens to be burned
+     * @returns {Boolean} Return whether the burn was successful or not
+     */
+    // 銷毀其他帳戶授權的代幣
+    async BurnFrom(ctx, account, amount) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        // Check burner authorization
+        await this._checkPrivileged(ctx, burnerRole, 'client is not authorized to burn tokens');
+
+        await this._burnFrom(ctx, account, ctx.clientIdentity.getID(), amount);
+        return true;
+    }
+
+    // 扣除spender被account授權的額度並銷毀account的代幣
+    async _burnFrom(ctx, account, spender, amount) {
+        await this._checkNotFrozen(ctx, spender);
+
+        const decimals = await this._getDecimals(ctx);
+        await this._spendAllowance(ctx, account, spender, parseAmount(amount, decimals), decimals);
+
+        await this._burn(ctx, account, amount);
+    }
+
+    /**
+     * Lock tokens of the caller and ask a burner to redeem them, e.g. for a fiat payout.
+     * The tokens leave the caller's balance immediately and are counted in its locked balance
+     * until the request is approved (burned) or rejected (released).
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} amount amount of tokens to be redeemed
+     * @returns {Object} Returns the redemption request, whose id is the transaction ID
+     */
+    // 申請贖回代幣
+    async RequestRedemption(ctx, amount) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const holder = ctx.clientIdentity.getID();
+
+        await this._checkNotPaused(ctx);
+        await this._checkNotFrozen(ctx, holder);
+
+        const decimals = await this._getDecimals(ctx);
+        const redemptionAmount = parseAmount(amount, decimals);
+        if (redemptionAmount <= 0n) {
+            throw new Error('redemption amount must be a positive number');
+        }
+
+        const currentBalance = await this._getBalance(ctx, holder);
+        if (currentBalance === null) {
+            throw new Error(`the account ${holder} does not exist`);
+        }
+        if (currentBalance < redemptionAmount) {
+            throw new Error(`client account ${holder} insufficient funds`);
+        }
+
+        await this._setBalance(ctx, holder, sub(currentBalance, redemptionAmount));
+        await this._lock(ctx, holder, redemptionAmount);
+
+        const redemption = {
+            id: ctx.stub.getTxID(),
+            holder,
+            amount: redemptionAmount.toString(),
+            status: redemptionPending,
+            requestedAt: getTxTime(ctx).toString(),
+        };
+        await this._putRedemption(ctx, redemption);
+
+        // Emit the RedemptionRequested event
+        const redemptionEvent = { id: redemption.id, holder, value: formatAmount(redemptionAmount, decimals) };
+        this._emitEvent(ctx, 'RedemptionRequested', redemptionEvent);
+
+        console.log(`redemption ${redemption.id} of ${redemptionAmount} requested by ${holder}`);
+        return this._formatRedemption(redemption, decimals);
+    }
+
+    /**
+     * Approve a pending redemption request and burn its locked tokens.
+     * Once multi-signature is configured it can only run as an 'ApproveRedemption' proposal.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} id The redemption id
+     * @returns {Object} Returns the approved redemption request
+     */
+    // 核准贖回並銷毀代幣
+    async ApproveRedemption(ctx, id) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        await this._checkPrivileged(ctx, burnerRole, 'client is not authorized to approve redemptions');
+        await this._checkNotPaused(ctx);
+
+        const redemption = await this._getPendingRedemption(ctx, id);
+        const redemptionAmount = BigInt(redemption.amount);
+        const decimals = await this._getDecimals(ctx);
+
+        await this._unlock(ctx, redemption.holder, redemptionAmount);
+
+        // Decrease totalSupply
+        const totalSupply = await this._getTotalSupply(ctx);
+        await this._setTotalSupply(ctx, sub(totalSupply, redemptionAmount));
+
+        redemption.status = redemptionApproved;
+        redemption.resolvedBy = ctx.clientIdentity.getID();
+        redemption.resolvedAt = getTxTime(ctx).toString();
+        await this._putRedemption(ctx, redemption);
+
+        const formattedAmount = formatAmount(redemptionAmount, decimals);
+        await this._addTransactionData(ctx, redemption.holder, '0x0', formattedAmount);
+
+        // Emit the Transfer and RedemptionApproved events
+        const transferEvent = { from: redemption.holder, to: '0x0', value: formattedAmount };
+        this._emitEvent(ctx, 'Transfer', transferEvent);
+        const redemptionEvent = { id, holder: redemption.holder, value: formattedAmount, sender: redemption.resolvedBy };
+        this._emitEvent(ctx, 'RedemptionApproved', redemptionEvent);
+
+        console.log(`redemption ${id} approved, ${redemptionAmount} burned`);
+        return this._formatRedemption(redemption, decimals);
+    }
+
+    /**
+     * Reject a pending redemption request and release its locked tokens back to the holder.
+     * Once multi-signature is configured it can only run as a 'RejectRedemption' proposal.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} id The redemption id
+     * @param {String} reason Why the request is rejected
+     * @returns {Object} Returns the rejected redemption request
+     */
+    // 拒絕贖回並退回代幣
+    async RejectRedemption(ctx, id, reason) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        await this._checkPrivileged(ctx, burnerRole, 'client is not authorized to reject redemptions');
+        await this._checkNotPaused(ctx);
+
+        const redemption = await this._getPendingRedemption(ctx, id);
+        const redemptionAmount = BigInt(redemption.amount);
+        const decimals = await this._getDecimals(ctx);
+
+        await this._unlock(ctx, redemption.holder, redemptionAmount);
+        const currentBalance = await this._getBalance(ctx, redemption.holder);
+        await this._setBalance(ctx, redemption.holder, currentBalance + redemptionAmount);
+
+        redemption.status = redemptionRejected;
+        redemption.reason = reason || '';
+        redemption.resolvedBy = ctx.clientIdentity.getID();
+        redemption.resolvedAt = getTxTime(ctx).toString();
+        await this._putRedemption(ctx, redemption);
+
+        // Emit the RedemptionRejected event
+        const redemptionEvent = {
+            id,
+            holder: redemption.holder,
+            value: formatAmount(redemptionAmount, decimals),
+            reason: redemption.reason,
+            sender: redemption.resolvedBy,
+        };
+        this._emitEvent(ctx, 'RedemptionRejected', redemptionEvent);
+
+        console.log(`redemption ${id} rejected, ${redemptionAmount} released to ${redemption.holder}`);
+        return this._formatRedemption(redemption, decimals);
+    }
+
+    /**
+     * Return a redemption request.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} id The redemption id
+     * @returns {Object} Returns the redemption request with its status
+     */
+    // 查詢贖回申請
+    async GetRedemption(ctx, id) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const redemption = await this._getRedemption(ctx, id);
+        if (redemption === null) {
+            throw new Error(`redemption ${id} does not exist`);
+        }
+        return this._formatRedemption(redemption, await this._getDecimals(ctx));
+    }
+
+    /**
+     * List redemption requests page by page, optionally only those with a given status.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} pageSize The number of requests scanned per page, default 20
+     * @param {String} bookmark The bookmark returned by the previous page, empty for the first page
+     * @param {String} status Only return pending, approved or rejected requests, may be empty
+     * @returns {Object} Returns the requests, the number of requests fetched and the bookmark of the next page
+     */
+    // 分頁查詢贖回申請
+    async ListRedemptions(ctx, pageSize, bookmark, status) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const decimals = await this._getDecimals(ctx);
+        const { iterator, metadata } = await ctx.stub.getStateByPartialCompositeKeyWithPagination(
+            redemptionPrefix, [], parsePageSize(pageSize), bookmark || '');
+
+        const redemptions = [];
+        let result = await iterator.next();
+        while (!result.done) {
+            const redemption = JSON.parse(result.value.value.toString());
+            if (!status || redemption.status === status) {
+                redemptions.push(this._formatRedemption(redemption, decimals));
+            }
+            result = await iterator.next();
+        }
+        await iterator.close();
+
+        return {
+            redemptions,
+            fetchedRecordsCount: metadata.fetchedRecordsCount,
+            bookmark: metadata.bookmark,
+        };
+    }
+
+    // 從帳戶銷毀代幣並減少總量
+    async _burn(ctx, account, amount) {
+
+        await this._checkNotPaused(ctx);
+        await this._checkNotFrozen(ctx, account);
+
+        const decimals = await this._getDecimals(ctx);
+        const burnAmount = parseAmount(amount, decimals);
+        if (burnAmount <= 0n) {
+            throw new Error('burn amount must be a positive number');
+        }
+
+        const currentBalance = await this._getBalance(ctx, account);
+        if (currentBalance === null) {
+            throw new Error('The balance does not exist');
+        }
+        if (currentBalance < burnAmount) {
+            throw new Error(`account ${account} insufficient funds`);
+        }
+        const updatedBalance = sub(currentBalance, burnAmount);
+
+        await this._setBalance(ctx, account, updatedBalance);
+
+        // Decrease totalSupply
+        const totalSupply = await this._getTotalSupply(ctx);
+        await this._setTotalSupply(ctx, sub(totalSupply, burnAmount));
+
+        const formattedAmount = formatAmount(burnAmount, decimals);
+        await this._addTransactionData(ctx, account, '0x0', formattedAmount);
+
+        // Emit the Transfer event
+        const transferEvent = { from: account, to: '0x0', value: formattedAmount };
+        this._emitEvent(ctx, 'Transfer', transferEvent);
+
+        console.log(`account ${account} balance updated from ${currentBalance} to ${updatedBalance}`);
+    }
+
+    // 讀取贖回申請, 不存在時回傳null
+    async _getRedemption(ctx, id) {
+        const redemptionKey = ctx.stub.createCompositeKey(redemptionPrefix, [id]);
+        const redemptionBytes = await ctx.stub.getState(redemptionKey);
+        if (!redemptionBytes || redemptionBytes.length === 0) {
+            return null;
+        }
+        return JSON.parse(redemptionBytes.toString());
+    }
+
+    // 讀取尚未處理的贖回申請
+    async _getPendingRedemption(ctx, id) {
+        const redemption = await this._getRedemption(ctx, id);
+        if (redemption === null) {
+            throw new Error(`redemption ${id} does not exist`);
+        }
+        if (redemption.status !== redemptionPending) {
+            throw new Error(`redemption ${id} is already ${redemption.status}`);
+        }
+        return redemption;
+    }
+
+    // 寫入贖回申請
+    async _putRedemption(ctx, redemption) {
+        const redemptionKey = ctx.stub.createCompositeKey(redemptionPrefix, [redemption.id]);
+        await ctx.stub.putState(redemptionKey, Buffer.from(JSON.stringify(redemption)));
+        await this._putLockParties(ctx, redemptionPrefix, redemption.id, [redemption.holder], redemption.status === redemptionPending);
+    }
+
+    // 將贖回申請的金額轉為使用者表示法
+    _formatRedemption(redemption, decimals) {
+        return { ...redemption, amount: formatAmount(BigInt(redemption.amount), decimals) };
+    }
+
+    // ================== Access Control ==========================
+
+    /**
+     * Grant a role to an MSP, a client identity or a certificate attribute.
+     * Only clients with the admin role can grant roles.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} role One of admin, minter, burner or pauser
+     * @param {String} memberType 'msp' for an MSP ID, 'id' for a client identity or 'attr' for a certificate attribute
+     * @param {String} member The MSP ID, the client identity, or 'name=value' for a certificate attribute
+     * @returns {Boolean} Return whether the role was granted or not
+     */
+    // 授予角色
+    async GrantRole(ctx, role, memberType, member) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        await this._checkPrivileged(ctx, adminRole, 'client is not authorized to grant roles');
+        this._validateRoleMember(role, memberType, member);
+
+        await this._putRoleMember(ctx, role, memberType, member);
+
+        // Emit the RoleGranted event
+        const roleEvent = { role, memberType, member, sender: ctx.clientIdentity.getID() };
+        this._emitEvent(ctx, 'RoleGranted', roleEvent);
+
+        console.log(`${memberType} ${member} granted role ${role}`);
+        return true;
+    }
+
+    /**
+     * Revoke a role previously granted with GrantRole.
+     * The last admin grant cannot be revoked so that the contract always stays manageable.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} role One of admin, minter, burner or pauser
+     * @param {String} memberType 'msp', 'id' or 'attr'
+     * @param {String} member The member the role was granted to
+     * @returns {Boolean} Return whether the role was revoked or not
+     */
+    // 撤銷角色
+    async RevokeRole(ctx, role, memberType, member) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        await this._checkPrivileged(ctx, adminRole, 'client is not authorized to revoke roles');
+        this._validateRoleMember(role, memberType, member);
+
+        const roleKey = ctx.stub.createCompositeKey(rolePrefix, [role, memberType, member]);
+        const roleBytes = await ctx.stub.getState(roleKey);
+        if (!roleBytes || roleBytes.length === 0) {
+            throw new Error(`${memberType} ${member} does not have role ${role}`);
+        }
+
+        if (role === adminRole) {
+            const admins = await this._getRoleMembers(ctx, adminRole);
+            if (admins.length === 1) {
+                throw new Error('cannot revoke the last admin');
+            }
+        }
+
+        await ctx.stub.deleteState(roleKey);
+
+        // Emit the RoleRevoked event
+        const roleEvent = { role, memberType, member, sender: ctx.clientIdentity.getID() };
+        this._emitEvent(ctx, 'RoleRevoked', roleEvent);
+
+        console.log(`${memberType} ${member} revoked role ${role}`);
+        return true;
+    }
+
+    /**
+     * Check whether a member has a role.
+     * When memberType and member are empty the calling client is checked against every kind of grant.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} role One of admin, minter, burner or pauser
+     * @param {String} memberType 'msp', 'id', 'attr' or empty
+     * @param {String} member The member to check or empty
+     * @returns {Boolean} Returns whether the member has the role
+     */
+    // 查詢是否擁有角色
+    async HasRole(ctx, role, memberType, member) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        if (!memberType && !member) {
+            if (!roleNames.includes(role)) {
+                throw new Error(`role ${role} does not exist`);
+            }
+            return this._hasRole(ctx, role);
+        }
+
+        this._validateRoleMember(role, memberType, member);
+        const roleKey = ctx.stub.createCompositeKey(rolePrefix, [role, memberType, member]);
+        const roleBytes = await ctx.stub.getState(roleKey);
+        return !!roleBytes && roleBytes.length > 0;
+    }
+
+    /**
+     * Return every grant of a role.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} role One of admin, minter, burner or pauser
+     * @returns {Object[]} Returns the grants with their member type, member and grant time
+     */
+    // 查詢角色成員
+    async GetRoleMembers(ctx, role) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        if (!roleNames.includes(role)) {
+            throw new Error(`role ${role} does not exist`);
+        }
+        return this._getRoleMembers(ctx, role);
+    }
+
+    // 檢查角色與成員格式
+    _validateRoleMember(role, memberType, member) {
+        if (!roleNames.includes(role)) {
+            throw new Error(`role ${role} does not exist`);
+        }
+        if (!memberTypes.includes(memberType)) {
+            throw new Error(`member type must be one of ${memberTypes.join(', ')}`);
+        }
+        if (!member) {
+            throw new Error('member cannot be empty');
+        }
+        if (memberType === 'attr' && !/^[^=]+=.+$/.test(member)) {
+            throw new Error('attribute member must be in the form name=value');
+        }
+    }
+
+    // 寫入角色成員
+    async _putRoleMember(ctx, role, memberType, member) {
+        const roleKey = ctx.stub.createCompositeKey(rolePrefix, [role, memberType, member]);
+        const grant = { role, memberType, member, grantedBy: ctx.clientIdentity.getID(), time: getTxTime(ctx).toString() };
+        await ctx.stub.putState(roleKey, Buffer.from(JSON.stringify(grant)));
+    }
+
+    // 讀取某角色的所有成員
+    async _getRoleMembers(ctx, role) {
+        const members = [];
+        const iterator = await ctx.stub.getStateByPartialCompositeKey(rolePrefix, [role]);
+        let result = await iterator.next();
+        while (!result.done) {
+            members.push(JSON.parse(result.value.value.toString()));
+            result = await iterator.next();
+        }
+        await iterator.close();
+        return members;
+    }
+
+    // 檢查呼叫者是否擁有角色 (依序比對client identity、MSP與憑證屬性)
+    async _hasRole(ctx, role) {
+        const candidates = [['id', ctx.clientIdentity.getID()], ['msp', ctx.clientIdentity.getMSPID()]];
+        for (const [memberType, member] of candidates) {
+            const roleKey = ctx.stub.createCompositeKey(rolePrefix, [role, memberType, member]);
+            const roleBytes = await ctx.stub.getState(roleKey);
+            if (roleBytes && roleBytes.length > 0) {
+                return true;
+            }
+        }
+
+        const attributeGrants = await ctx.stub.getStateByPartialCompositeKey(rolePrefix, [role, 'attr']);
+        let result = await attributeGrants.next();
+        while (!result.done) {
+            const { member } = JSON.parse(result.value.value.toString());
+            const separator = member.indexOf('=');
+            if (ctx.clientIdentity.assertAttributeValue(member.slice(0, separator), member.slice(separator + 1))) {
+                await attributeGrants.close();
+                return true;
+            }
+            result = await attributeGrants.next();
+        }
+        await attributeGrants.close();
+        return false;
+    }
+
+    // 呼叫者沒有角色時拋出錯誤
+    async _checkRole(ctx, role, message) {
+        if (!await this._hasRole(ctx, role)) {
+            throw new Error(message);
+        }
+    }
+
+    // ================== Emergency Controls ==========================
+
+    /**
+     * Pause halts every operation that changes balances. Read-only queries keep working.
+     * Only clients with the pauser role can pause the contract.
+     *
+     * @param {Context} ctx the transaction context
+     * @returns {Boolean} Return whether the contract was paused or not
+     */
+    // 暫停所有代幣異動
+    async Pause(ctx) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        await this._checkRole(ctx, pauserRole, 'client is not authorized to pause the contract');
+        if (await this.Paused(ctx)) {
+            throw new Error('contract is already paused');
+        }
+
+        await ctx.stub.putState(pausedKey, Buffer.from('true'));
+
+        // Emit the Paused event
+        const pauseEvent = { sender: ctx.clientIdentity.getID() };
+        this._emitEvent(ctx, 'Paused', pauseEvent);
+
+        console.log('contract paused');
+        return true;
+    }
+
+    /**
+     * Unpause resumes token movement after Pause.
+     *
+     * @param {Context} ctx the transaction context
+     * @returns {Boolean} Return whether the contract was unpaused or not
+     */
+    // 恢復代幣異動
+    async Unpause(ctx) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        await this._checkRole(ctx, pauserRole, 'client is not authorized to unpause the contract');
+        if (!await this.Paused(ctx)) {
+            throw new Error('contract is not paused');
+        }
+
+        await ctx.stub.deleteState(pausedKey);
+
+        // Emit the Unpaused event
+        const pauseEvent = { sender: ctx.clientIdentity.getID() };
+        this._emitEvent(ctx, 'Unpaused', pauseEvent);
+
+        console.log('contract unpaused');
+        return true;
+    }
+
+    /**
+     * Return whether the contract is paused.
+     *
+     * @param {Context} ctx the transaction context
+     * @returns {Boolean} Returns whether the contract is paused
+     */
+    // 查詢合約是否暫停
+    async Paused(ctx) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const pausedBytes = await ctx.stub.getState(pausedKey);
+        return !!pausedBytes && pausedBytes.length > 0;
+    }
+
+    /**
+     * Freeze an account so that it can neither send nor receive tokens.
+     * Only clients with the pauser role can freeze accounts.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} account The account to be frozen
+     * @param {String} reason Why the account is frozen, kept on the ledger for auditing
+     * @returns {Boolean} Return whether the account was frozen or not
+     */
+    // 凍結帳戶
+    async FreezeAccount(ctx, account, reason) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        await this._checkRole(ctx, pauserRole, 'client is not authorized to freeze accounts');
+        if (await this.IsFrozen(ctx, account)) {
+            throw new Error(`the account ${account} is already frozen`);
+        }
+
+        const frozenKey = ctx.stub.createCompositeKey(frozenPrefix, [account]);
+        const frozen = { account, reason: reason || '', frozenBy: ctx.clientIdentity.getID(), time: getTxTime(ctx).toString() };
+        await ctx.stub.putState(frozenKey, Buffer.from(JSON.stringify(frozen)));
+
+        // Emit the AccountFrozen event
+        this._emitEvent(ctx, 'AccountFrozen', frozen);
+
+        console.log(`account ${account} frozen`);
+        return true;
+    }
+
+    /**
+     * Lift the freeze placed on an account by FreezeAccount.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} account The account to be unfrozen
+     * @returns {Boolean} Return whether the account was unfrozen or not
+     */
+    // 解除凍結帳戶
+    async UnfreezeAccount(ctx, account) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        await this._checkRole(ctx, pauserRole, 'client is not authorized to unfreeze accounts');
+        if (!await this.IsFrozen(ctx, account)) {
+            throw new Error(`the account ${account} is not frozen`);
+        }
+
+        const frozenKey = ctx.stub.createCompositeKey(frozenPrefix, [account]);
+        await ctx.stub.deleteState(frozenKey);
+
+        // Emit the AccountUnfrozen event
+        const unfreezeEvent = { account, sender: ctx.clientIdentity.getID() };
+        this._emitEvent(ctx, 'AccountUnfrozen', unfreezeEvent);
+
+        console.log(`account ${account} unfrozen`);
+        return true;
+    }
+
+    /**
+     * Return whether an account is frozen.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} account The account to check
+     * @returns {Boolean} Returns whether the account is frozen
+     */
+    // 查詢帳戶是否被凍結
+    async IsFrozen(ctx, account) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const frozenKey = ctx.stub.createCompositeKey(frozenPrefix, [account]);
+        const frozenBytes = await ctx.stub.getState(frozenKey);
+        return !!frozenBytes && frozenBytes.length > 0;
+    }
+
+    // 合約暫停時拋出錯誤
+    async _checkNotPaused(ctx) {
+        if (await this.Paused(ctx)) {
+            throw new Error('contract is paused');
+        }
+    }
+
+    // 帳戶被凍結時拋出錯誤
+    async _checkNotFrozen(ctx, account) {
+        if (await this.IsFrozen(ctx, account)) {
+            throw new Error(`the account ${account} is frozen`);
+        }
+    }
+
+    // ================== Multi-Signature ==========================
+
+    /**
+     * Require M-of-N approval for privileged operations: minting, Burn, BurnFrom, approving redemptions,
+     * role changes and balance repairs.
+     * Once configured these operations can only run through ProposeAction/ApproveAction,
+     * and the configuration itself can only be changed by a 'SetMultiSigConfig' proposal.
+     * Before that, only clients with the admin role can configure multi-signature.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} signers JSON array of the client identities allowed to propose and approve
+     * @param {String} threshold The number of approvals needed to run a proposal
+     * @param {String} ttl Seconds before a proposal expires, default 7 days
+     * @returns {Object} Returns the multi-signature configuration as written
+     */
+    // 設定多重簽章
+    async SetMultiSigConfig(ctx, signers, threshold, ttl) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        if (await this._getMultiSigConfig(ctx) !== null) {
+            throw new Error('multi-signature is already configured, propose a SetMultiSigConfig action to change it');
+        }
+        await this._checkRole(ctx, adminRole, 'client is not authorized to configure multi-signature');
+
+        let signerList;
+        try {
+            signerList = JSON.parse(signers);
+        } catch (err) {
+            throw new Error('signers must be a JSON array of client identities');
+        }
+
+        return this._putMultiSigConfig(ctx, { signers: signerList, threshold: parseInt(threshold), ttl: ttl ? parseInt(ttl) : defaultProposalTtl });
+    }
+
+    /**
+     * Return the multi-signature configuration.
+     *
+     * @param {Context} ctx the transaction context
+     * @returns {Object} Returns the signers, threshold and ttl, null when multi-signature is not configured
+     */
+    // 查詢多重簽章設定
+    async GetMultiSigConfig(ctx) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        return this._getMultiSigConfig(ctx);
+    }
+
+    /**
+     * Propose a privileged action. The proposer's approval is counted right away.
+     * Supported actions and their arguments:
+     * Mint { recipient, amount }, Burn { amount } (burns the proposer's balance), BurnFrom { account, amount } (spends the allowance
+     * the account granted to the proposer), ApproveRedemption { id }, RejectRedemption { id, reason },
+     * SetFeePolicy { policy } (the policy object, null to charge no fee), SetTransferLimit { account, maxPerTransfer,
+     * windowLimit, windowSeconds }, GrantRole and RevokeRole { role, memberType, member },
+     * RepairBalance { account, value, reason }, RepairTotalSupply { value, reason }, SetMultiSigConfig { signers, threshold, ttl }.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} actionType The action to run
+     * @param {String} args JSON object with the arguments of the action
+     * @returns {Object} Returns the proposal, whose id is the transaction ID
+     */
+    // 提出需要多重簽章的操作
+    async ProposeAction(ctx, actionType, args) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const config = await this._getMultiSigConfig(ctx);
+        if (config === null) {
+            throw new Error('multi-signature is not configured');
+        }
+        const proposer = ctx.clientIdentity.getID();
+        if (!config.signers.includes(proposer)) {
+            throw new Error(`client ${proposer} is not a multi-signature signer`);
+        }
+
+        let actionArgs;
+        try {
+            actionArgs = JSON.parse(args);
+        } catch (err) {
+            throw new Error('action arguments must be a JSON object');
+        }
+        this._validateAction(actionType, actionArgs);
+
+        const now = getTxTime(ctx);
+        const proposal = {
+            id: ctx.stub.getTxID(),
+            actionType,
+            args: actionArgs,
+            proposer,
+            approvals: [],
+            status: proposalPending,
+            createdAt: now,
+            expiresAt: now + config.ttl,
+        };
+
+        // Emit the ActionProposed event
+        const proposalEvent = { id: proposal.id, actionType, args: actionArgs, proposer, expiresAt: proposal.expiresAt };
+        this._emitEvent(ctx, 'ActionProposed', proposalEvent);
+
+        return this._approveProposal(ctx, proposal, config);
+    }
+
+    /**
+     * Approve a pending proposal. The action runs in this transaction once the threshold is reached.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} id The proposal id
+     * @returns {Object} Returns the proposal
+     */
+    // 核准多重簽章操作
+    async ApproveAction(ctx, id) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const config = await this._getMultiSigConfig(ctx);
+        if (config === null) {
+            throw new Error('multi-signature is not configured');
+        }
+        const signer = ctx.clientIdentity.getID();
+        if (!config.signers.includes(signer)) {
+            throw new Error(`client ${signer} is not a multi-signature signer`);
+        }
+
+        const proposal = await this._getPendingProposal(ctx, id);
+        if (proposal.approvals.includes(signer)) {
+            throw new Error(`client ${signer} already approved proposal ${id}`);
+        }
+
+        return this._approveProposal(ctx, proposal, config);
+    }
+
+    /**
+     * Cancel a pending proposal. Only the proposer or an admin can cancel it.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} id The proposal id
+     * @returns {Object} Returns the canceled proposal
+     */
+    // 取消多重簽章操作
+    async CancelAction(ctx, id) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const proposal = await this._getPendingProposal(ctx, id);
+        if (proposal.proposer !== ctx.clientIdentity.getID()) {
+            await this._checkRole(ctx, adminRole, 'client is not authorized to cancel this proposal');
+        }
+
+        proposal.status = proposalCanceled;
+        proposal.closedAt = getTxTime(ctx);
+        await this._putProposal(ctx, proposal);
+
+        // Emit the ActionCanceled event
+        const proposalEvent = { id, actionType: proposal.actionType, sender: ctx.clientIdentity.getID() };
+        this._emitEvent(ctx, 'ActionCanceled', proposalEvent);
+
+        return proposal;
+    }
+
+    /**
+     * Return a proposal with its status and the approvals recorded on the ledger.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} id The proposal id
+     * @returns {Object} Returns the proposal, status is expired once a pending proposal passed its expiry
+     */
+    // 查詢多重簽章操作
+    async GetProposal(ctx, id) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const proposal = await this._getProposal(ctx, id);
+        if (proposal === null) {
+            throw new Error(`proposal ${id} does not exist`);
+        }
+        if (proposal.status === proposalPending && getTxTime(ctx) >= proposal.expiresAt) {
+            proposal.status = proposalExpired;
+        }
+
+        proposal.approvalRecords = [];
+        const iterator = await ctx.stub.getStateByPartialCompositeKey(proposalApprovalPrefix, [id]);
+        let result = await iterator.next();
+        while (!result.done) {
+            proposal.approvalRecords.push(JSON.parse(result.value.value.toString()));
+            result = await iterator.next();
+        }
+        await iterator.close();
+
+        return proposal;
+    }
+
+    // 記錄核准, 達到門檻時執行操作
+    async _approveProposal(ctx, proposal, config) {
+        const signer = ctx.clientIdentity.getID();
+
+        // 每個核准都獨立寫入帳本以供稽核
+        const approval = { proposalId: proposal.id, signer, mspId: ctx.clientIdentity.getMSPID(), txId: ctx.stub.getTxID(), time: getTxTime(ctx) };
+        const approvalKey = ctx.stub.createCompositeKey(proposalApprovalPrefix, [proposal.id, signer]);
+        await ctx.stub.putState(approvalKey, Buffer.from(JSON.stringify(approval)));
+        proposal.approvals.push(signer);
+
+        // 只計算目前設定中的簽署人, 已移除的簽署人核准不再有效
+        const approvals = proposal.approvals.filter((approver) => config.signers.includes(approver)).length;
+
+        // Emit the ActionApproved event
+        const approvalEvent = { id: proposal.id, actionType: proposal.actionType, signer, approvals, threshold: config.threshold };
+        this._emitEvent(ctx, 'ActionApproved', approvalEvent);
+
+        if (approvals >= config.threshold) {
+            await this._executeAction(ctx, proposal.actionType, proposal.args, proposal.proposer);
+
+            proposal.status = proposalExecuted;
+            proposal.closedAt = getTxTime(ctx);
+
+            // Emit the ActionExecuted event
+            const executeEvent = { id: proposal.id, actionType: proposal.actionType };
+            this._emitEvent(ctx, 'ActionExecuted', executeEvent);
+        }
+
+        await this._putProposal(ctx, proposal);
+        return proposal;
+    }
+
+    // 檢查操作類型與參數
+    _validateAction(actionType, args) {
+        if (!args || typeof args !== 'object' || Array.isArray(args)) {
+            throw new Error('action arguments must be a JSON object');
+        }
+
+        const requiredArgs = {
+            Mint: ['recipient', 'amount'],
+            Burn: ['amount'],
+            BurnFrom: ['account', 'amount'],
+            ApproveRedemption: ['id'],
+            RejectRedemption: ['id'],
+            SetFeePolicy: ['policy'],
+            SetTransferLimit: [],
+            GrantRole: ['role', 'memberType', 'member'],
+            RevokeRole: ['role', 'memberType', 'member'],
+            RepairBalance: ['account', 'value', 'reason'],
+            RepairTotalSupply: ['value', 'reason'],
+            SetMultiSigConfig: ['signers', 'threshold'],
+        }[actionType];
+        if (!requiredArgs) {
+            throw new Error(`action ${actionType} is not supported`);
+        }
+        for (const name of requiredArgs) {
+            if (args[name] === undefined || args[name] === '') {
+                throw new Error(`action ${actionType} requires argument ${name}`);
+            }
+        }
+
+        if (actionType === 'GrantRole' || actionType === 'RevokeRole') {
+            this._validateRoleMember(args.role, args.memberType, args.member);
+        }
+        // policy是SetFeePolicy接受的JSON物件, null代表不收手續費
+        if (actionType === 'SetFeePolicy' && (typeof args.policy !== 'object' || Array.isArray(args.policy))) {
+            throw new Error('action SetFeePolicy requires a policy object or null');
+        }
+        // Burn只銷毀提案者自己的餘額, 其他帳戶的代幣要透過BurnFrom花用授權
+        if (actionType === 'Burn' && args.account !== undefined) {
+            throw new Error('action Burn burns the balance of the proposer, use BurnFrom to burn from another account');
+        }
+    }
+
+    // 執行已達門檻的操作, 執行期間略過單一身分的角色檢查
+    async _executeAction(ctx, actionType, args, proposer) {
+        ctx.multiSigApproved = true;
+        try {
+            switch (actionType) {
+            case 'Mint':
+                await this._checkActiveAccount(ctx, args.recipient);
+                await this._mint(ctx, args.recipient, String(args.amount));
+                break;
+            case 'Burn':
+                await this._burn(ctx, proposer, String(args.amount));
+                break;
+            case 'BurnFrom':
+                await this._burnFrom(ctx, args.account, proposer, String(args.amount));
+                break;
+            case 'ApproveRedemption':
+                await this.ApproveRedemption(ctx, args.id);
+                break;
+            case 'RejectRedemption':
+                await this.RejectRedemption(ctx, args.id, args.reason || '');
+                break;
+            case 'SetFeePolicy':
+                await this.SetFeePolicy(ctx, args.policy === null ? '' : JSON.stringify(args.policy));
+                break;
+            case 'SetTransferLimit':
+                await this.SetTransferLimit(ctx, args.account || '', String(args.maxPerTransfer || ''),
+                    String(args.windowLimit || ''), String(args.windowSeconds || ''));
+                break;
+            case 'GrantRole':
+                await this.GrantRole(ctx, args.role, args.memberType, args.member);
+                break;
+            case 'RevokeRole':
+                await this.RevokeRole(ctx, args.role, args.memberType, args.member);
+                break;
+            case 'RepairBalance':
+                await this.RepairBalance(ctx, args.account, String(args.value), args.reason);
+                break;
+            case 'RepairTotalSupply':
+                await this.RepairTotalSupply(ctx, String(args.value), args.reason);
+                break;
+            case 'SetMultiSigConfig':
+                await this._putMultiSigConfig(ctx, { signers: args.signers, threshold: parseInt(args.threshold), ttl: args.ttl ? parseInt(args.ttl) : defaultProposalTtl });
+                break;
+            }
+        } finally {
+            ctx.multiSigApproved = false;
+        }
+    }
+
+    // 特權操作的權限檢查, 設定多重簽章後只能透過提案執行
+    async _checkPrivileged(ctx, role, message) {
+        if (ctx.multiSigApproved) {
+            return;
+        }
+        if (await this._getMultiSigConfig(ctx) !== null) {
+            throw new Error('this operation requires multi-signature approval, use ProposeAction');
+        }
+        await this._checkRole(ctx, role, message);
+    }
+
+    // 檢查並寫入多重簽章設定, 回傳寫入的設定
+    async _putMultiSigConfig(ctx, config) {
+        const { signers, threshold, ttl } = config;
+        if (!Array.isArray(signers) || signers.length === 0 || signers.some((signer) => typeof signer !== 'string' || !signer)) {
+            throw new Error('signers must be a non-empty JSON array of client identities');
+        }
+        if (new Set(signers).size !== signers.length) {
+            throw new Error('signers must not contain duplicates');
+        }
+        if (!Number.isInteger(threshold) || threshold < 1 || threshold > signers.length) {
+            throw new Error(`threshold must be an integer between 1 and ${signers.length}`);
+        }
+        if (!Number.isInteger(ttl) || ttl <= 0) {
+            throw new Error('proposal ttl must be a positive number of seconds');
+        }
+
+        await ctx.stub.putState(multiSigConfigKey, Buffer.from(JSON.stringify({ signers, threshold, ttl })));
+
+        // Emit the MultiSigConfigSet event
+        const configEvent = { signers, threshold, ttl };
+        this._emitEvent(ctx, 'MultiSigConfigSet', configEvent);
+        return { signers, threshold, ttl };
+    }
+
+    // 讀取多重簽章設定, 沒有設定時回傳null
+    async _getMultiSigConfig(ctx) {
+        const configBytes = await ctx.stub.getState(multiSigConfigKey);
+        if (!configBytes || configBytes.length === 0) {
+            return null;
+        }
+        return JSON.parse(configBytes.toString());
+    }
+
+    // 讀取提案, 不存在時回傳null
+    async _getProposal(ctx, id) {
+        const proposalKey = ctx.stub.createCompositeKey(proposalPrefix, [id]);
+        const proposalBytes = await ctx.stub.getState(proposalKey);
+        if (!proposalBytes || proposalBytes.length === 0) {
+            return null;
+        }
+        return JSON.parse(proposalBytes.toString());
+    }
+
+    // 讀取尚未結束且未過期的提案
+    async _getPendingProposal(ctx, id) {
+        const proposal = await this._getProposal(ctx, id);
+        if (proposal === null) {
+            throw new Error(`proposal ${id} does not exist`);
+        }
+        if (proposal.status !== proposalPending) {
+            throw new Error(`proposal ${id} is already ${proposal.status}`);
+        }
+        if (getTxTime(ctx) >= proposal.expiresAt) {
+            throw new Error(`proposal ${id} has expired`);
+        }
+        return proposal;
+    }
+
+    // 寫入提案
+    async _putProposal(ctx, proposal) {
+        const proposalKey = ctx.stub.createCompositeKey(proposalPrefix, [proposal.id]);
+        await ctx.stub.putState(proposalKey, Buffer.from(JSON.stringify(proposal)));
+    }
+
+    // ================== Snapshots ==========================
+
+    /**
+     * Take a snapshot of all balances and the total supply. Balances are not copied, the value of an
+     * account is only recorded the first time it changes after a snapshot (copy-on-write).
+     *
+     * @param {Context} ctx the transaction context
+     * @returns {String} Returns the snapshot ID, snapshot IDs start at 1 and increase by one
+     */
+    // 建立餘額快照
+    async Snapshot(ctx) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        await this._checkRole(ctx, adminRole, 'client is not authorized to take snapshots');
+
+        return this._takeSnapshot(ctx);
+    }
+
+    /**
+     * Return the balance of an account at the time a snapshot was taken.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} owner The owner from which the balance will be retrieved
+     * @param {String} snapshotId The snapshot ID returned by Snapshot
+     * @returns {String} Returns the account balance, 0 when the account did not exist yet
+     */
+    // 查詢某帳戶在快照時的餘額
+    async BalanceOfAt(ctx, owner, snapshotId) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const id = await this._validateSnapshotId(ctx, snapshotId);
+        const balance = await this._balanceAt(ctx, owner, id);
+        return formatAmount(balance, await this._getDecimals(ctx));
+    }
+
+    /**
+     * Return the total supply at the time a snapshot was taken.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} snapshotId The snapshot ID returned by Snapshot
+     * @returns {String} Returns the total token supply
+     */
+    // 查詢快照時的代幣總量
+    async TotalSupplyAt(ctx, snapshotId) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const id = await this._validateSnapshotId(ctx, snapshotId);
+        let totalSupply = await this._valueAtSnapshot(ctx, snapshotTotalSupplyKey, id);
+        if (totalSupply === null) {
+            totalSupply = await this._getTotalSupply(ctx);
+        }
+
+        return formatAmount(totalSupply, await this._getDecimals(ctx));
+    }
+
+    // 建立新的快照並回傳編號
+    async _takeSnapshot(ctx) {
+        const snapshotId = await this._getCurrentSnapshotId(ctx) + 1;
+        await ctx.stub.putState(currentSnapshotKey, Buffer.from(snapshotId.toString()));
+
+        // Emit the Snapshot event
+        const snapshotEvent = { id: snapshotId.toString(), time: getTxTime(ctx), sender: ctx.clientIdentity.getID() };
+        this._emitEvent(ctx, 'Snapshot', snapshotEvent);
+
+        console.log(`snapshot ${snapshotId} taken`);
+        return snapshotId.toString();
+    }
+
+    // 讀取帳戶在快照時的餘額 (最小單位), 帳戶當時不存在時為0
+    async _balanceAt(ctx, owner, snapshotId) {
+        const snapshotKey = ctx.stub.createCompositeKey(snapshotBalancePrefix, [owner]);
+        const balance = await this._valueAtSnapshot(ctx, snapshotKey, parseInt(snapshotId));
+        if (balance !== null) {
+            return balance;
+        }
+        const currentBalance = await this._getBalance(ctx, owner);
+        return currentBalance === null ? 0n : currentBalance;
+    }
+
+    // 讀取最新的快照編號, 尚未建立快照時為0
+    async _getCurrentSnapshotId(ctx) {
+        const snapshotIdBytes = await ctx.stub.getState(currentSnapshotKey);
+        if (!snapshotIdBytes || snapshotIdBytes.length === 0) {
+            return 0;
+        }
+        return parseInt(snapshotIdBytes.toString());
+    }
+
+    // 檢查快照編號是否存在
+    async _validateSnapshotId(ctx, snapshotId) {
+        const id = /^\d+$/.test(String(snapshotId)) ? parseInt(snapshotId) : 0;
+        if (id < 1 || id > await this._getCurrentSnapshotId(ctx)) {
+            throw new Error(`snapshot ${snapshotId} does not exist`);
+        }
+        return id;
+    }
+
+    // 讀取快照時的值, 之後沒有變動過時回傳null (即目前的值)
+    // 每筆紀錄存的是該快照時的值, 所以取編號大於等於查詢快照的第一筆
+    async _valueAtSnapshot(ctx, snapshotKey, id) {
+        const snapshotBytes = await ctx.stub.getState(snapshotKey);
+        if (!snapshotBytes || snapshotBytes.length === 0) {
+            return null;
+        }
+        const snapshots = JSON.parse(snapshotBytes.toString());
+        const index = snapshots.ids.findIndex((recordedId) => recordedId >= id);
+        return index === -1 ? null : BigInt(snapshots.values[index]);
+    }
+
+    // 值第一次在最新快照之後變動前, 記錄它在快照時的值
+    async _updateSnapshot(ctx, snapshotKey, currentValue) {
+        const snapshotId = await this._getCurrentSnapshotId(ctx);
+        if (snapshotId === 0) {
+            return;
+        }
+
+        const snapshotBytes = await ctx.stub.getState(snapshotKey);
+        const snapshots = snapshotBytes && snapshotBytes.length > 0 ? JSON.parse(snapshotBytes.toString()) : { ids: [], values: [] };
+        if (snapshots.ids.length > 0 && snapshots.ids[snapshots.ids.length - 1] >= snapshotId) {
+            return;
+        }
+        snapshots.ids.push(snapshotId);
+        snapshots.values.push(currentValue.toString());
+        await ctx.stub.putState(snapshotKey, Buffer.from(JSON.stringify(snapshots)));
+    }
+
+    // ================== Distributions ==========================
+
+    /**
+     * Set the account that receives the rounding dust and the unclaimed rest of distributions.
+     * Only clients with the admin role can set it.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} account The dust account
+     * @returns {Boolean} Return whether the dust account was set successfully
+     */
+    // 設定分配餘數的收款帳戶
+    async SetDistributionDustAccount(ctx, account) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        await this._checkRole(ctx, adminRole, 'client is not authorized to configure distributions');
+        await this._checkActiveAccount(ctx, account);
+
+        await ctx.stub.putState(distributionDustAccountKey, Buffer.from(account));
+
+        // Emit the DistributionDustAccountSet event
+        const dustEvent = { account, sender: ctx.clientIdentity.getID() };
+        this._emitEvent(ctx, 'DistributionDustAccountSet', dustEvent);
+        return true;
+    }
+
+    /**
+     * Deposit a pool of tokens from the caller's balance to be shared pro rata between the holders.
+     * A snapshot is taken right after the deposit, and every holder can claim
+     * `amount * BalanceOfAt(holder) / eligibleSupply`, where eligibleSupply is the total of all public balances
+     * at the snapshot (locked and private tokens are not entitled). The funder keeps the pool in its locked balance
+     * until it is claimed. Only clients with the admin role can create distributions.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} amount The amount of tokens to distribute
+     * @returns {Object} Returns the distribution, whose id is the transaction ID
+     */
+    // 建立按持有比例的分配
+    async CreateDistribution(ctx, amount) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        await this._checkRole(ctx, adminRole, 'client is not authorized to create distributions');
+
+        const funder = ctx.clientIdentity.getID();
+        await this._checkNotPaused(ctx);
+        await this._checkNotFrozen(ctx, funder);
+
+        const dustAccountBytes = await ctx.stub.getState(distributionDustAccountKey);
+        if (!dustAccountBytes || dustAccountBytes.length === 0) {
+            throw new Error('distribution dust account is not set, call SetDistributionDustAccount first');
+        }
+
+        const decimals = await this._getDecimals(ctx);
+        const poolAmount = parseAmount(amount, decimals);
+        if (poolAmount <= 0n) {
+            throw new Error('distribution amount must be a positive number');
+        }
+
+        const funderBalance = await this._getBalance(ctx, funder);
+        if (funderBalance === null || funderBalance < poolAmount) {
+            throw new Error(`client account ${funder} insufficient funds`);
+        }
+
+        // 鎖定後在同一筆交易中讀不到新的totalLocked, 用鎖定前的值加上這次存入的金額計算
+        const totalLocked = await this._getTotalLocked(ctx) + poolAmount;
+        const eligibleSupply = sub(sub(await this._getTotalSupply(ctx), totalLocked), await this._getPrivateSupply(ctx));
+        if (eligibleSupply === 0n) {
+            throw new Error('there are no holders to distribute to');
+        }
+
+        await this._setBalance(ctx, funder, sub(funderBalance, poolAmount));
+        await this._lock(ctx, funder, poolAmount);
+
+        const distribution = {
+            id: ctx.stub.getTxID(),
+            funder,
+            snapshotId: await this._takeSnapshot(ctx),
+            amount: poolAmount.toString(),
+            eligibleSupply: eligibleSupply.toString(),
+            claimed: '0',
+            claimedSupply: '0',
+            dustAccount: dustAccountBytes.toString(),
+            status: distributionOpen,
+            createdAt: getTxTime(ctx).toString(),
+        };
+        await this._putDistribution(ctx, distribution);
+
+        // Emit the DistributionCreated event
+        const distributionEvent = {
+            id: distribution.id,
+            funder,
+            snapshotId: distribution.snapshotId,
+            value: formatAmount(poolAmount, decimals),
+            eligibleSupply: formatAmount(eligibleSupply, decimals),
+        };
+        this._emitEvent(ctx, 'DistributionCreated', distributionEvent);
+
+        console.log(`distribution ${distribution.id} of ${poolAmount} created by ${funder}`);
+        return this._formatDistribution(distribution, decimals);
+    }
+
+    /**
+     * Claim the caller's share of a distribution. Claiming again returns the first claim without
+     * paying twice. Once every holder has claimed, the rounding dust is paid to the dust account.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} id The distribution id
+     * @returns {Object} Returns the claim with the value paid to the caller
+     */
+    // 領取分配
+    async ClaimDistribution(ctx, id) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const holder = ctx.clientIdentity.getID();
+        const decimals = await this._getDecimals(ctx);
+
+        const claimKey = ctx.stub.createCompositeKey(distributionClaimPrefix, [id, holder]);
+        const claimBytes = await ctx.stub.getState(claimKey);
+        if (claimBytes && claimBytes.length > 0) {
+            return this._formatDistributionClaim(JSON.parse(claimBytes.toString()), decimals);
+        }
+
+        const distribution = await this._getDistribution(ctx, id);
+        if (distribution === null) {
+            throw new Error(`distribution ${id} does not exist`);
+        }
+        if (distribution.status !== distributionOpen) {
+            throw new Error(`distribution ${id} is already ${distribution.status}`);
+        }
+
+        await this._checkNotPaused(ctx);
+        await this._checkNotFrozen(ctx, holder);
+        await this._checkActiveAccount(ctx, holder);
+
+        const { weight, share } = await this._distributionShare(ctx, distribution, holder);
+        if (weight === 0n) {
+            throw new Error(`client account ${holder} held no tokens at snapshot ${distribution.snapshotId}`);
+        }
+
+        const claim = {
+            distributionId: id,
+            holder,
+            amount: share.toString(),
+            txId: ctx.stub.getTxID(),
+            time: getTxTime(ctx).toString(),
+        };
+        await ctx.stub.putState(claimKey, Buffer.from(JSON.stringify(claim)));
+
+        // Emit the DistributionClaimed event
+        const claimEvent = { id, holder, value: formatAmount(share, decimals) };
+        this._emitEvent(ctx, 'DistributionClaimed', claimEvent);
+
+        distribution.claimed = (BigInt(distribution.claimed) + share).toString();
+        distribution.claimedSupply = (BigInt(distribution.claimedSupply) + weight).toString();
+        const payouts = share > 0n ? [{ to: holder, amount: share }] : [];
+        if (distribution.claimedSupply === distribution.eligibleSupply) {
+            // 所有持有人都已領取, 剩下的只有捨去的餘數, 與這次領取的款項一起支付
+            await this._closeDistribution(ctx, distribution, payouts);
+        } else {
+            await this._payDistribution(ctx, distribution, payouts);
+        }
+        await this._putDistribution(ctx, distribution);
+
+        console.log(`distribution ${id} claimed ${share} by ${holder}`);
+        return this._formatDistributionClaim(claim, decimals);
+    }
+
+    /**
+     * Close a distribution before every holder has claimed. The rest of the pool, unclaimed
+     * shares and rounding dust, is paid to the dust account and no more claims are accepted.
+     * Only clients with the admin role can close distributions.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} id The distribution id
+     * @returns {Object} Returns the closed distribution
+     */
+    // 結束分配, 剩餘款項轉給餘數帳戶
+    async CloseDistribution(ctx, id) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        await this._checkRole(ctx, adminRole, 'client is not authorized to close distributions');
+        await this._checkNotPaused(ctx);
+
+        const distribution = await this._getDistribution(ctx, id);
+        if (distribution === null) {
+            throw new Error(`distribution ${id} does not exist`);
+        }
+        if (distribution.status !== distributionOpen) {
+            throw new Error(`distribution ${id} is already ${distribution.status}`);
+        }
+
+        await this._closeDistribution(ctx, distribution);
+        await this._putDistribution(ctx, distribution);
+        return this._formatDistribution(distribution, await this._getDecimals(ctx));
+    }
+
+    /**
+     * Return a distribution.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} id The distribution id
+     * @returns {Object} Returns the distribution
+     */
+    // 查詢分配
+    async GetDistribution(ctx, id) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const distribution = await this._getDistribution(ctx, id);
+        if (distribution === null) {
+            throw new Error(`distribution ${id} does not exist`);
+        }
+        return this._formatDistribution(distribution, await this._getDecimals(ctx));
+    }
+
+    /**
+     * Return the open distributions an account can still claim from, with the value it would receive, page by page.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} holder The account
+     * @param {String} pageSize The number of distributions scanned per page, default 20
+     * @param {String} bookmark The bookmark returned by the previous page, empty for the first page
+     * @returns {Object} Returns the distribution ids and unclaimed values, the number of distributions fetched and the bookmark of the next page
+     */
+    // 分頁查詢某帳戶尚未領取的分配
+    async GetUnclaimedDistributions(ctx, holder, pageSize, bookmark) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const decimals = await this._getDecimals(ctx);
+        const { iterator, metadata } = await ctx.stub.getStateByPartialCompositeKeyWithPagination(
+            distributionPrefix, [], parsePageSize(pageSize), bookmark || '');
+
+        const distributions = [];
+        let result = await iterator.next();
+        while (!result.done) {
+            const distribution = JSON.parse(result.value.value.toString());
+            if (distribution.status === distributionOpen) {
+                const claimKey = ctx.stub.createCompositeKey(distributionClaimPrefix, [distribution.id, holder]);
+                const claimBytes = await ctx.stub.getState(claimKey);
+                const { weight, share } = await this._distributionShare(ctx, distribution, holder);
+                if ((!claimBytes || claimBytes.length === 0) && weight > 0n) {
+                    distributions.push({ id: distribution.id, snapshotId: distribution.snapshotId, value: formatAmount(share, decimals) });
+                }
+            }
+            result = await iterator.next();
+        }
+        await iterator.close();
+
+        return {
+            distributions,
+            fetchedRecordsCount: metadata.fetchedRecordsCount,
+            bookmark: metadata.bookmark,
+        };
+    }
+
+    // 計算持有人在快照時的餘額與可領取的金額 (無條件捨去)
+    async _distributionShare(ctx, distribution, holder) {
+        const weight = await this._balanceAt(ctx, holder, distribution.snapshotId);
+        const share = BigInt(distribution.amount) * weight / BigInt(distribution.eligibleSupply);
+        return { weight, share };
+    }
+
+    // 從funder鎖定的分配款項支付給每一筆payouts的to
+    // Fabric在同一筆交易中讀不到剛寫入的值, 所以只解鎖一次, 每個帳戶的餘額也只寫入一次
+    async _payDistribution(ctx, distribution, payouts) {
+        if (payouts.length === 0) {
+            return;
+        }
+        const decimals = await this._getDecimals(ctx);
+
+        const credits = new Map();
+        let total = 0n;
+        for (const { to, amount } of payouts) {
+            credits.set(to, (credits.get(to) || 0n) + amount);
+            total += amount;
+        }
+        await this._unlock(ctx, distribution.funder, total);
+        for (const [account, credit] of credits) {
+            const currentBalance = await this._getBalance(ctx, account);
+            await this._setBalance(ctx, account, (currentBalance === null ? 0n : currentBalance) + credit);
+        }
+
+        for (const { to, amount } of payouts) {
+            const formattedAmount = formatAmount(amount, decimals);
+            await this._addTransactionData(ctx, distribution.funder, to, formattedAmount);
+
+            // Emit the Transfer event
+            const transferEvent = { from: distribution.funder, to, value: formattedAmount };
+            this._emitEvent(ctx, 'Transfer', transferEvent);
+        }
+    }
+
+    // 把剩下的分配款項轉給餘數帳戶並結束分配, payouts是同一筆交易中要一起支付的其他款項
+    async _closeDistribution(ctx, distribution, payouts = []) {
+        const rest = sub(BigInt(distribution.amount), BigInt(distribution.claimed));
+        const decimals = await this._getDecimals(ctx);
+        const formattedRest = formatAmount(rest, decimals);
+
+        const allPayouts = rest > 0n ? [...payouts, { to: distribution.dustAccount, amount: rest }] : payouts;
+        await this._payDistribution(ctx, distribution, allPayouts);
+
+        distribution.status = distributionClosed;
+        distribution.dust = rest.toString();
+        distribution.closedAt = getTxTime(ctx).toString();
+
+        // Emit the DistributionClosed event
+        const distributionEvent = { id: distribution.id, dustAccount: distribution.dustAccount, value: formattedRest };
+        this._emitEvent(ctx, 'DistributionClosed', distributionEvent);
+    }
+
+    // 讀取分配, 不存在時回傳null
+    async _getDistribution(ctx, id) {
+        const distributionKey = ctx.stub.createCompositeKey(distributionPrefix, [id]);
+        const distributionBytes = await ctx.stub.getState(distributionKey);
+        if (!distributionBytes || distributionBytes.length === 0) {
+            return null;
+        }
+        return JSON.parse(distributionBytes.toString());
+    }
+
+    // 寫入分配
+    async _putDistribution(ctx, distribution) {
+        const distributionKey = ctx.stub.createCompositeKey(distributionPrefix, [distribution.id]);
+        await ctx.stub.putState(distributionKey, Buffer.from(JSON.stringify(distribution)));
+        await this._putLockParties(ctx, distributionPrefix, distribution.id, [distribution.funder, distribution.dustAccount], distribution.status === distributionOpen);
+    }
+
+    // 將分配的金額轉為使用者表示法
+    _formatDistribution(distribution, decimals) {
+        const formatted = {
+            ...distribution,
+            amount: formatAmount(BigInt(distribution.amount), decimals),
+            eligibleSupply: formatAmount(BigInt(distribution.eligibleSupply), decimals),
+            claimed: formatAmount(BigInt(distribution.claimed), decimals),
+            claimedSupply: formatAmount(BigInt(distribution.claimedSupply), decimals),
+        };
+        if (distribution.dust !== undefined) {
+            formatted.dust = formatAmount(BigInt(distribution.dust), decimals);
+        }
+        return formatted;
+    }
+
+    // 將領取紀錄的金額轉為使用者表示法
+    _formatDistributionClaim(claim, decimals) {
+        return { ...claim, amount: formatAmount(BigInt(claim.amount), decimals) };
+    }
+
+    // ================== Account Recovery ==========================
+
+    /**
+     * Choose the guardians that can approve the recovery of the caller's account.
+     * An empty list removes the guardians, recoveries then need an admin's approval.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} guardians JSON array of client identities
+     * @param {String} threshold The number of guardian approvals needed for a recovery
+     * @returns {Object} Returns the guardians and threshold
+     */
+    // 設定帳戶復原的監護人
+    async SetRecoveryGuardians(ctx, guardians, threshold) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const account = ctx.clientIdentity.getID();
+        await this._checkActiveAccount(ctx, account);
+
+        let guardianList;
+        try {
+            guardianList = JSON.parse(guardians);
+        } catch (err) {
+            throw new Error('guardians must be a JSON array of client identities');
+        }
+        if (!Array.isArray(guardianList) || guardianList.some((guardian) => typeof guardian !== 'string' || !guardian)) {
+            throw new Error('guardians must be a JSON array of client identities');
+        }
+        if (new Set(guardianList).size !== guardianList.length || guardianList.includes(account)) {
+            throw new Error('guardians must be distinct and must not include the account itself');
+        }
+
+        const guardiansKey = ctx.stub.createCompositeKey(recoveryGuardiansPrefix, [account]);
+        const config = { guardians: guardianList, threshold: guardianList.length > 0 ? parseInt(threshold) : 0 };
+        if (guardianList.length === 0) {
+            await ctx.stub.deleteState(guardiansKey);
+        } else {
+            if (!Number.isInteger(config.threshold) || config.threshold < 1 || config.threshold > guardianList.length) {
+                throw new Error(`threshold must be an integer between 1 and ${guardianList.length}`);
+            }
+            await ctx.stub.putState(guardiansKey, Buffer.from(JSON.stringify(config)));
+        }
+
+        // Emit the RecoveryGuardiansSet event
+        const guardiansEvent = { account, ...config };
+        this._emitEvent(ctx, 'RecoveryGuardiansSet', guardiansEvent);
+        return config;
+    }
+
+    /**
+     * Return the recovery guardians of an account.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} account The account
+     * @returns {Object} Returns the guardians and threshold, an empty list when none are set
+     */
+    // 查詢帳戶復原的監護人
+    async GetRecoveryGuardians(ctx, account) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        return this._getRecoveryGuardians(ctx, account);
+    }
+
+    /**
+     * Set how long an approved recovery has to wait after it was requested before it can run,
+     * so that the owner of the old identity has time to cancel it.
+     * Only clients with the admin role can set the delay.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} delay The delay in seconds
+     * @returns {Boolean} Return whether the delay was set successfully
+     */
+    // 設定帳戶復原的等待時間
+    async SetRecoveryDelay(ctx, delay) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        await this._checkRole(ctx, adminRole, 'client is not authorized to set the recovery delay');
+        const delaySeconds = parseTimestamp(delay, 'recovery delay');
+
+        await ctx.stub.putState(recoveryDelayKey, Buffer.from(delaySeconds.toString()));
+
+        // Emit the RecoveryDelaySet event
+        const delayEvent = { delay: delaySeconds, sender: ctx.clientIdentity.getID() };
+        this._emitEvent(ctx, 'RecoveryDelaySet', delayEvent);
+        return true;
+    }
+
+    /**
+     * Request to move an account to a new identity, for example after its certificate was lost or reissued.
+     * Either the old identity (rotation) or the new identity (lost certificate) can request it.
+     * The new identity must not be registered yet.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} oldId The identity of the account to recover
+     * @param {String} newId The identity to move the account to, empty for the calling client
+     * @returns {Object} Returns the recovery request, whose id is the transaction ID
+     */
+    // 申請帳戶復原
+    async RequestRecovery(ctx, oldId, newId) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const requester = ctx.clientIdentity.getID();
+        const targetId = newId || requester;
+        if (requester !== oldId && requester !== targetId) {
+            throw new Error('only the old or the new identity can request a recovery');
+        }
+        if (targetId === oldId) {
+            throw new Error('the new identity must differ from the old one');
+        }
+
+        await this._checkNotPaused(ctx);
+        await this._checkNotFrozen(ctx, oldId);
+        const accountRecord = await this.GetAccount(ctx, oldId);
+        if (accountRecord.status !== accountActive) {
+            throw new Error(`the account ${oldId} is ${accountRecord.status}`);
+        }
+        await this._checkUnusedIdentity(ctx, targetId);
+
+        const pendingKey = ctx.stub.createCompositeKey(recoveryPendingPrefix, [oldId]);
+        const pendingBytes = await ctx.stub.getState(pendingKey);
+        if (pendingBytes && pendingBytes.length > 0) {
+            throw new Error(`the account ${oldId} already has a pending recovery ${pendingBytes.toString()}`);
+        }
+
+        const now = getTxTime(ctx);
+        const recovery = {
+            id: ctx.stub.getTxID(),
+            oldId,
+            newId: targetId,
+            // the MSP of the new identity is only known when it requests the recovery itself
+            newMspId: requester === targetId ? ctx.clientIdentity.getMSPID() : '',
+            requestedBy: requester,
+            requestedAt: now,
+            executableAt: now + await this._getRecoveryDelay(ctx),
+            approvals: [],
+            approvedByAdmin: '',
+            status: recoveryPending,
+        };
+        await this._putRecovery(ctx, recovery);
+        await ctx.stub.putState(pendingKey, Buffer.from(recovery.id));
+
+        // Emit the RecoveryRequested event
+        const recoveryEvent = { id: recovery.id, oldId, newId: targetId, requestedBy: requester, executableAt: recovery.executableAt };
+        this._emitEvent(ctx, 'RecoveryRequested', recoveryEvent);
+
+        console.log(`recovery ${recovery.id} of ${oldId} to ${targetId} requested`);
+        return recovery;
+    }
+
+    /**
+     * Approve a recovery as an admin or as one of the account's guardians.
+     * A recovery is approved by one admin or by the guardian threshold, and runs in this transaction
+     * when its delay has already passed and the endorsing peer can move the private balance (see ExecuteRecovery).
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} id The recovery id
+     * @returns {Object} Returns the recovery request
+     */
+    // 核准帳戶復原
+    async ApproveRecovery(ctx, id) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const recovery = await this._getPendingRecovery(ctx, id);
+        const approver = ctx.clientIdentity.getID();
+        if (approver === recovery.oldId || approver === recovery.newId) {
+            throw new Error('the account cannot approve its own recovery');
+        }
+
+        const { guardians } = await this._getRecoveryGuardians(ctx, recovery.oldId);
+        if (guardians.includes(approver)) {
+            if (recovery.approvals.includes(approver)) {
+                throw new Error(`guardian ${approver} already approved recovery ${id}`);
+            }
+            recovery.approvals.push(approver);
+        } else {
+            await this._checkRole(ctx, adminRole, 'client is not authorized to approve this recovery');
+            recovery.approvedByAdmin = approver;
+        }
+        await this._putRecovery(ctx, recovery);
+
+        // Emit the RecoveryApproved event
+        const recoveryEvent = { id, oldId: recovery.oldId, newId: recovery.newId, approver };
+        this._emitEvent(ctx, 'RecoveryApproved', recoveryEvent);
+
+        if (await this._isRecoveryApproved(ctx, recovery) && getTxTime(ctx) >= recovery.executableAt &&
+            await this._canMovePrivateBalance(ctx, recovery.oldId)) {
+            return this._executeRecovery(ctx, recovery);
+        }
+        return recovery;
+    }
+
+    /**
+     * Run an approved recovery once its delay has passed. Anyone can call it.
+     * The balance, the locked balance with the open escrows, vesting schedules, redemptions and distributions it
+     * backs, the allowances given by and to the account, the private balance and the roles granted to its identity
+     * move to the new identity. The account record moves with a link to the old identity, and the old identity is retired.
+     * The private balance can only be read on peers of the account's org, so when the account registered its org
+     * the recovery has to be endorsed by a peer of that org. A new identity that did not request the recovery itself
+     * is assumed to belong to the same org.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} id The recovery id
+     * @returns {Object} Returns the executed recovery
+     */
+    // 執行帳戶復原
+    async ExecuteRecovery(ctx, id) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const recovery = await this._getPendingRecovery(ctx, id);
+        if (!await this._isRecoveryApproved(ctx, recovery)) {
+            throw new Error(`recovery ${id} is not approved yet`);
+        }
+        if (getTxTime(ctx) < recovery.executableAt) {
+            throw new Error(`recovery ${id} cannot run before ${recovery.executableAt}`);
+        }
+
+        return this._executeRecovery(ctx, recovery);
+    }
+
+    /**
+     * Cancel a pending recovery. The old identity, the requester or an admin can cancel it.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} id The recovery id
+     * @returns {Object} Returns the canceled recovery
+     */
+    // 取消帳戶復原
+    async CancelRecovery(ctx, id) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const recovery = await this._getPendingRecovery(ctx, id);
+        const sender = ctx.clientIdentity.getID();
+        if (sender !== recovery.oldId && sender !== recovery.requestedBy) {
+            await this._checkRole(ctx, adminRole, 'client is not authorized to cancel this recovery');
+        }
+
+        recovery.status = recoveryCanceled;
+        recovery.closedAt = getTxTime(ctx);
+        await this._putRecovery(ctx, recovery);
+        await ctx.stub.deleteState(ctx.stub.createCompositeKey(recoveryPendingPrefix, [recovery.oldId]));
+
+        // Emit the RecoveryCanceled event
+        const recoveryEvent = { id, oldId: recovery.oldId, newId: recovery.newId, sender };
+        this._emitEvent(ctx, 'RecoveryCanceled', recoveryEvent);
+
+        console.log(`recovery ${id} canceled by ${sender}`);
+        return recovery;
+    }
+
+    /**
+     * Return a recovery request.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} id The recovery id
+     * @returns {Object} Returns the recovery request
+     */
+    // 查詢帳戶復原
+    async GetRecovery(ctx, id) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const recovery = await this._getRecovery(ctx, id);
+        if (recovery === null) {
+            throw new Error(`recovery ${id} does not exist`);
+        }
+        return recovery;
+    }
+
+    // 將帳戶搬到新的身分, 舊身分標記為retired
+    async _executeRecovery(ctx, recovery) {
+        const { oldId, newId } = recovery;
+
+        await this._checkNotPaused(ctx);
+        await this._checkNotFrozen(ctx, oldId);
+        await this._checkUnusedIdentity(ctx, newId);
+
+        const now = getTxTime(ctx);
+        const decimals = await this._getDecimals(ctx);
+
+        // 帳戶資料, 新身分沒有自己申請時視為與舊身分同一個組織
+        const accountRecord = await this._getAccount(ctx, oldId);
+        if (!await this._canMovePrivateBalance(ctx, oldId)) {
+            throw new Error(`recovery ${recovery.id} moves a private balance, it has to be endorsed by a peer of ${accountRecord.mspId}`);
+        }
+        const newMspId = recovery.newMspId || accountRecord.mspId;
+        await this._putAccount(ctx, {
+            ...accountRecord,
+            id: newId,
+            owner: newId,
+            mspId: newMspId,
+            migratedFrom: oldId,
+            migratedAt: now.toString(),
+        });
+        accountRecord.status = accountRetired;
+        accountRecord.retiredTo = newId;
+        accountRecord.retiredAt = now.toString();
+        await this._putAccount(ctx, accountRecord);
+
+        // 餘額, 交易紀錄以recoveryId連結新舊帳戶
+        const balance = await this._getBalance(ctx, oldId);
+        await this._setBalance(ctx, oldId, 0n);
+        await this._setBalance(ctx, newId, balance);
+        const formattedBalance = formatAmount(balance, decimals);
+        if (balance > 0n) {
+            await this._addTransactionData(ctx, oldId, newId, formattedBalance, { recoveryId: recovery.id });
+
+            // Emit the Transfer event
+            const transferEvent = { from: oldId, to: newId, value: formattedBalance };
+            this._emitEvent(ctx, 'Transfer', transferEvent);
+        }
+
+        // 鎖定的金額直接搬到新身分, 鎖定總量不變
+        const lockedBalance = await this._getLockedBalance(ctx, oldId);
+        if (lockedBalance > 0n) {
+            const newLockedBalance = await this._getLockedBalance(ctx, newId) + lockedBalance;
+            await ctx.stub.putState(ctx.stub.createCompositeKey(lockedBalancePrefix, [oldId]), Buffer.from('0'));
+            await ctx.stub.putState(ctx.stub.createCompositeKey(lockedBalancePrefix, [newId]), Buffer.from(newLockedBalance.toString()));
+
+            // Emit the LockedBalanceMoved event
+            const lockedEvent = { from: oldId, to: newId, value: formatAmount(lockedBalance, decimals) };
+            this._emitEvent(ctx, 'LockedBalanceMoved', lockedEvent);
+        }
+        await this._moveRecoveredLocks(ctx, oldId, newId);
+
+        // 舊帳戶給出與收到的授權額度, 新身分原有的授權額度會加總
+        const allowances = [];
+        for (const { attributes, value } of await this._scanState(ctx, allowancePrefix, [oldId])) {
+            const amount = readAmount(value);
+            if (amount > 0n) {
+                allowances.push({ owner: oldId, spender: attributes[1], amount });
+            }
+        }
+        for (const { attributes } of await this._scanState(ctx, allowanceSpenderPrefix, [oldId])) {
+            const owner = attributes[1];
+            if (owner !== oldId) {
+                allowances.push({ owner, spender: oldId, amount: await this._getAllowance(ctx, owner, oldId) });
+            }
+        }
+        const movedAllowances = new Map();
+        for (const { owner, spender, amount } of allowances) {
+            await this._setAllowance(ctx, owner, spender, 0n, decimals);
+            const moved = [owner === oldId ? newId : owner, spender === oldId ? newId : spender];
+            const movedKey = JSON.stringify(moved);
+            if (!movedAllowances.has(movedKey)) {
+                movedAllowances.set(movedKey, await this._getAllowance(ctx, ...moved));
+            }
+            movedAllowances.set(movedKey, movedAllowances.get(movedKey) + amount);
+        }
+        for (const [movedKey, amount] of movedAllowances) {
+            if (amount > 0n) {
+                const [owner, spender] = JSON.parse(movedKey);
+                await this._setAllowance(ctx, owner, spender, amount, decimals);
+            }
+        }
+
+        // 私密餘額在舊組織的collection, 併入後以入帳紀錄轉給新身分
+        if (accountRecord.mspId) {
+            const oldCollection = `_implicit_org_${accountRecord.mspId}`;
+            const privateBalance = await this._consolidatePrivateBalance(ctx, oldCollection, oldId);
+            if (privateBalance > 0n) {
+                await this._setPrivateBalance(ctx, oldCollection, oldId, 0n);
+                const note = { id: recovery.id, from: oldId, to: newId, value: privateBalance.toString(), time: now.toString() };
+                const noteKey = ctx.stub.createCompositeKey(privateCreditPrefix, [newId, recovery.id]);
+                await ctx.stub.putPrivateData(`_implicit_org_${newMspId}`, noteKey, Buffer.from(JSON.stringify(note)));
+            }
+        }
+
+        // 直接授予舊身分的角色
+        for (const role of roleNames) {
+            const roleKey = ctx.stub.createCompositeKey(rolePrefix, [role, 'id', oldId]);
+            const roleBytes = await ctx.stub.getState(roleKey);
+            if (roleBytes && roleBytes.length > 0) {
+                await ctx.stub.deleteState(roleKey);
+                await this._putRoleMember(ctx, role, 'id', newId);
+
+                // Emit the RoleRevoked and RoleGranted events
+                const sender = ctx.clientIdentity.getID();
+                this._emitEvent(ctx, 'RoleRevoked', { role, memberType: 'id', member: oldId, sender });
+                this._emitEvent(ctx, 'RoleGranted', { role, memberType: 'id', member: newId, sender });
+            }
+        }
+
+        // 監護人設定、轉帳限額與期間內的使用量跟著帳戶走
+        for (const prefix of [recoveryGuardiansPrefix, transferLimitPrefix, transferUsagePrefix]) {
+            const oldKey = ctx.stub.createCompositeKey(prefix, [oldId]);
+            const stateBytes = await ctx.stub.getState(oldKey);
+            if (stateBytes && stateBytes.length > 0) {
+                await ctx.stub.putState(ctx.stub.createCompositeKey(prefix, [newId]), stateBytes);
+                await ctx.stub.deleteState(oldKey);
+            }
+        }
+
+        // 鑄造額度隨minter角色一起搬移
+        const mintQuota = await this._getMintQuota(ctx, oldId);
+        if (mintQuota !== null) {
+            await this._putMintQuota(ctx, { ...mintQuota, minter: newId });
+            await ctx.stub.deleteState(ctx.stub.createCompositeKey(mintQuotaPrefix, [oldId]));
+        }
+
+        // 多重簽章的簽署人改為新身分, 門檻不變
+        const multiSigConfig = await this._getMultiSigConfig(ctx);
+        if (multiSigConfig !== null && multiSigConfig.signers.includes(oldId)) {
+            const signers = multiSigConfig.signers.map((signer) => (signer === oldId ? newId : signer));
+            await this._putMultiSigConfig(ctx, { ...multiSigConfig, signers });
+        }
+
+        recovery.status = recoveryExecuted;
+        recovery.closedAt = now;
+        await this._putRecovery(ctx, recovery);
+        await ctx.stub.deleteState(ctx.stub.createCompositeKey(recoveryPendingPrefix, [oldId]));
+
+        // Emit the AccountRecovered event
+        const recoveryEvent = { id: recovery.id, oldId, newId, value: formattedBalance, allowances: allowances.length };
+        this._emitEvent(ctx, 'AccountRecovered', recoveryEvent);
+
+        console.log(`account ${oldId} recovered to ${newId}`);
+        return recovery;
+    }
+
+    // 把舊身分鎖定金額所屬的託管、分期給付、贖回與分配改到新身分
+    async _moveRecoveredLocks(ctx, oldId, newId) {
+        const replace = (account) => (account === oldId ? newId : account);
+
+        for (const { attributes } of await this._scanState(ctx, escrowPartyPrefix, [oldId])) {
+            const escrowId = attributes[1];
+            const escrow = await this._getEscrow(ctx, escrowId);
+            if (escrow.status === escrowOpen) {
+                await this._putEscrow(ctx, { ...escrow, from: replace(escrow.from), to: replace(escrow.to), arbiter: replace(escrow.arbiter), treasury: replace(escrow.treasury || '') });
+                await ctx.stub.deleteState(ctx.stub.createCompositeKey(escrowPartyPrefix, [oldId, escrowId]));
+                await ctx.stub.putState(ctx.stub.createCompositeKey(escrowPartyPrefix, [newId, escrowId]), Buffer.from('\u0000'));
+            }
+        }
+
+        for (const { attributes } of await this._scanState(ctx, lockPartyPrefix, [oldId])) {
+            const [, objectType, id] = attributes;
+            await ctx.stub.deleteState(ctx.stub.createCompositeKey(lockPartyPrefix, [oldId, objectType, id]));
+            if (objectType === vestingPrefix) {
+                const schedule = await this._getVestingScheduleOrThrow(ctx, id);
+                await this._putVestingSchedule(ctx, { ...schedule, beneficiary: replace(schedule.beneficiary), funder: replace(schedule.funder) });
+            } else if (objectType === redemptionPrefix) {
+                const redemption = await this._getRedemption(ctx, id);
+                await this._putRedemption(ctx, { ...redemption, holder: newId });
+            } else if (objectType === distributionPrefix) {
+                const distribution = await this._getDistribution(ctx, id);
+                await this._putDistribution(ctx, { ...distribution, funder: replace(distribution.funder), dustAccount: replace(distribution.dustAccount) });
+            }
+        }
+    }
+
+    // 依帳戶索引未結束的分期給付、贖回與分配, 結束後移除索引
+    async _putLockParties(ctx, objectType, id, parties, open) {
+        for (const party of new Set(parties)) {
+            if (party) {
+                const partyKey = ctx.stub.createCompositeKey(lockPartyPrefix, [party, objectType, id]);
+                if (open) {
+                    await ctx.stub.putState(partyKey, Buffer.from('\u0000'));
+                } else {
+                    await ctx.stub.deleteState(partyKey);
+                }
+            }
+        }
+    }
+
+    // 讀取某個前綴下的所有key
+    async _scanState(ctx, prefix, attributes) {
+        const records = [];
+        const iterator = await ctx.stub.getStateByPartialCompositeKey(prefix, attributes);
+        let result = await iterator.next();
+        while (!result.done) {
+            records.push({ key: result.value.key, attributes: ctx.stub.splitCompositeKey(result.value.key).attributes, value: result.value.value });
+            result = await iterator.next();
+        }
+        await iterator.close();
+        return records;
+    }
+
+    // 私密餘額只能在帳戶所屬組織的peer讀取, 沒有登記組織的帳戶沒有私密餘額
+    async _canMovePrivateBalance(ctx, account) {
+        const accountRecord = await this._getAccount(ctx, account);
+        return !accountRecord.mspId || ctx.stub.getMspID() === accountRecord.mspId;
+    }
+
+    // 新身分不能已經註冊或持有代幣
+    async _checkUnusedIdentity(ctx, account) {
+        if (await this._getAccount(ctx, account) !== null) {
+            throw new Error(`the identity ${account} is already registered`);
+        }
+        const balance = await this._getBalance(ctx, account);
+        if (balance !== null && balance > 0n) {
+            throw new Error(`the identity ${account} already holds tokens`);
+        }
+    }
+
+    // 一位admin核准, 或監護人核准數達到門檻
+    async _isRecoveryApproved(ctx, recovery) {
+        if (recovery.approvedByAdmin) {
+            return true;
+        }
+        const { guardians, threshold } = await this._getRecoveryGuardians(ctx, recovery.oldId);
+        const approvals = recovery.approvals.filter((approver) => guardians.includes(approver)).length;
+        return guardians.length > 0 && approvals >= threshold;
+    }
+
+    // 讀取帳戶的監護人設定
+    async _getRecoveryGuardians(ctx, account) {
+        const guardiansKey = ctx.stub.createCompositeKey(recoveryGuardiansPrefix, [account]);
+        const guardiansBytes = await ctx.stub.getState(guardiansKey);
+        if (!guardiansBytes || guardiansBytes.length === 0) {
+            return { guardians: [], threshold: 0 };
+        }
+        return JSON.parse(guardiansBytes.toString());
+    }
+
+    // 讀取帳戶復原的等待時間 (秒)
+    async _getRecoveryDelay(ctx) {
+        const delayBytes = await ctx.stub.getState(recoveryDelayKey);
+        if (!delayBytes || delayBytes.length === 0) {
+            return defaultRecoveryDelay;
+        }
+        return parseInt(delayBytes.toString());
+    }
+
+    // 讀取帳戶復原, 不存在時回傳null
+    async _getRecovery(ctx, id) {
+        const recoveryKey = ctx.stub.createCompositeKey(recoveryPrefix, [id]);
+        const recoveryBytes = await ctx.stub.getState(recoveryKey);
+        if (!recoveryBytes || recoveryBytes.length === 0) {
+            return null;
+        }
+        return JSON.parse(recoveryBytes.toString());
+    }
+
+    // 讀取尚未結束的帳戶復原
+    async _getPendingRecovery(ctx, id) {
+        const recovery = await this._getRecovery(ctx, id);
+        if (recovery === null) {
+            throw new Error(`recovery ${id} does not exist`);
+        }
+        if (recovery.status !== recoveryPending) {
+            throw new Error(`recovery ${id} is already ${recovery.status}`);
+        }
+        return recovery;
+    }
+
+    // 寫入帳戶復原
+    async _putRecovery(ctx, recovery) {
+        const recoveryKey = ctx.stub.createCompositeKey(recoveryPrefix, [recovery.id]);
+        await ctx.stub.putState(recoveryKey, Buffer.from(JSON.stringify(recovery)));
+    }
+
+    // ================== Private Transfers ==========================
+
+    /**
+     * Transfer tokens between private balances without putting the amount or the parties on the channel ledger.
+     * The transfer is passed in the transient field 'transfer' as JSON { to, value, salt }.
+     * The sender's private balance lives in the implicit collection of its own org. The recipient is
+     * credited with a note in the implicit collection of its org, which this peer can write but not read.
+     * Public state only receives sha256(JSON [from, to, value, salt]) under the transaction ID.
+     * The transfer fee is deducted as on public transfers and credited to the treasury with a note in the
+     * implicit collection of its org, so the treasury has to have registered itself. Private transfers do
+     * not count towards transfer limits.
+     *
+     * @param {Context} ctx the transaction context
+     * @returns {Object} Returns the transfer id and the commitment
+     */
+    // 私密轉帳
+    async TransferPrivate(ctx) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const { to, value, salt } = this._getTransientInput(ctx, 'transfer');
+        if (!to || !value || !salt) {
+            throw new Error('transient field transfer must contain to, value and salt');
+        }
+
+        const from = ctx.clientIdentity.getID();
+        if (from === to) {
+            throw new Error('cannot transfer to and from same client account');
+        }
+
+        await this._checkNotPaused(ctx);
+        await this._checkNotFrozen(ctx, from);
+        await this._checkNotFrozen(ctx, to);
+        await this._checkActiveAccount(ctx, from);
+        await this._checkActiveAccount(ctx, to);
+
+        const decimals = await this._getDecimals(ctx);
+        const amount = parseAmount(value, decimals);
+        if (amount <= 0n) {
+            throw new Error('transfer amount must be a positive number');
+        }
+
+        const fromCollection = await this._getPrivateCollection(ctx, from);
+        const toCollection = await this._getPrivateCollection(ctx, to);
+
+        // 手續費以入帳紀錄付給treasury, 金額同樣不公開
+        const feePolicy = await this._getFeePolicy(ctx);
+        const fee = this._calculateFee(feePolicy, from, to, amount);
+        const net = sub(amount, fee);
+        const treasuryCollection = fee > 0n ? await this._getPrivateCollection(ctx, feePolicy.treasury) : null;
+
+        const fromBalance = await this._consolidatePrivateBalance(ctx, fromCollection, from);
+        if (fromBalance < amount) {
+            throw new Error(`client account ${from} has insufficient private funds`);
+        }
+        await this._setPrivateBalance(ctx, fromCollection, from, sub(fromBalance, amount));
+
+        const id = ctx.stub.getTxID();
+        const time = getTxTime(ctx).toString();
+        const credits = [[to, toCollection, net]];
+        if (fee > 0n) {
+            credits.push([feePolicy.treasury, treasuryCollection, fee]);
+        }
+        for (const [account, collection, value] of credits) {
+            const note = { id, from, to: account, value: value.toString(), time };
+            const noteKey = ctx.stub.createCompositeKey(privateCreditPrefix, [account, id]);
+            await ctx.stub.putPrivateData(collection, noteKey, Buffer.from(JSON.stringify(note)));
+        }
+
+        // 私密轉帳紀錄, 各方各自從自己組織的collection查詢
+        const transfer = { id, from, to, value: formatAmount(amount, decimals), fee: formatAmount(fee, decimals), net: formatAmount(net, decimals), time, salt };
+        const records = [[from, fromCollection, { ...transfer, direction: 'out' }], [to, toCollection, { ...transfer, direction: 'in' }]];
+        if (fee > 0n) {
+            // treasury只知道手續費, 不取得salt
+            records.push([feePolicy.treasury, treasuryCollection, { id, from, to: feePolicy.treasury, value: transfer.fee, time, direction: 'in' }]);
+        }
+        for (const [account, collection, record] of records) {
+            const recordKey = ctx.stub.createCompositeKey(privateTransactionPrefix, [account, time.padStart(timeKeyLength, '0'), id]);
+            await ctx.stub.putPrivateData(collection, recordKey, Buffer.from(JSON.stringify(record)));
+        }
+
+        const commitment = this._privateCommitment(from, to, amount, salt);
+        const commitmentKey = ctx.stub.createCompositeKey(privateTransferPrefix, [id]);
+        await ctx.stub.putState(commitmentKey, Buffer.from(JSON.stringify({ id, commitment, time })));
+
+        // Emit the PrivateTransfer event
+        const transferEvent = { id, commitment };
+        this._emitEvent(ctx, 'PrivateTransfer', transferEvent);
+
+        return { id, commitment };
+    }
+
+    /**
+     * Return the private balance of an account, including the credit notes it received.
+     * It has to be evaluated on a peer of the account's org. Only the owner or an admin can query it.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} owner The owner of the private balance, empty for the calling client
+     * @returns {String} Returns the private balance
+     */
+    // 查詢私密餘額
+    async PrivateBalanceOf(ctx, owner) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const account = owner || ctx.clientIdentity.getID();
+        if (account !== ctx.clientIdentity.getID()) {
+            await this._checkRole(ctx, adminRole, 'client is not authorized to query this private balance');
+        }
+
+        const collection = await this._getPrivateCollection(ctx, account);
+        let balance = await this._getPrivateBalance(ctx, collection, account);
+        for (const note of await this._getPrivateCredits(ctx, collection, account)) {
+            balance += BigInt(note.value);
+        }
+        return formatAmount(balance, await this._getDecimals(ctx));
+    }
+
+    /**
+     * Check a private transfer against its public commitment, for example when an auditor is given
+     * the transfer details by one of the parties.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} id The private transfer id
+     * @param {String} from The sender
+     * @param {String} to The recipient
+     * @param {String} value The amount of tokens
+     * @param {String} salt The salt used for the transfer
+     * @returns {Boolean} Returns whether the details match the commitment
+     */
+    // 驗證私密轉帳的承諾值
+    async VerifyPrivateTransfer(ctx, id, from, to, value, salt) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const commitmentKey = ctx.stub.createCompositeKey(privateTransferPrefix, [id]);
+        const commitmentBytes = await ctx.stub.getState(commitmentKey);
+        if (!commitmentBytes || commitmentBytes.length === 0) {
+            throw new Error(`private transfer ${id} does not exist`);
+        }
+
+        const { commitment } = JSON.parse(commitmentBytes.toString());
+        const amount = parseAmount(value, await this._getDecimals(ctx));
+        return commitment === this._privateCommitment(from, to, amount, salt);
+    }
+
+    /**
+     * Move tokens of the calling client between its public and its private balance.
+     * The move is passed in the transient field 'reconcile' as JSON { direction, value }, where direction is
+     * 'deposit' (public to private) or 'withdraw' (private to public). The amount shows on public state
+     * because the public balance changes. The total supply does not change, the public `PrivateSupply`
+     * tracks how much of it is held privately.
+     *
+     * @param {Context} ctx the transaction context
+     * @returns {Object} Returns the public and private balance after the move
+     */
+    // 在公開與私密餘額之間搬移代幣
+    async ReconcilePrivate(ctx) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const { direction, value } = this._getTransientInput(ctx, 'reconcile');
+        if (direction !== 'deposit' && direction !== 'withdraw') {
+            throw new Error('reconcile direction must be \'deposit\' or \'withdraw\'');
+        }
+
+        const account = ctx.clientIdentity.getID();
+        await this._checkNotPaused(ctx);
+        await this._checkNotFrozen(ctx, account);
+        await this._checkActiveAccount(ctx, account);
+
+        const decimals = await this._getDecimals(ctx);
+        const amount = parseAmount(value, decimals);
+        if (amount <= 0n) {
+            throw new Error('reconcile amount must be a positive number');
+        }
+
+        const collection = await this._getPrivateCollection(ctx, account);
+        const publicBalance = await this._getBalance(ctx, account);
+        const privateBalance = await this._consolidatePrivateBalance(ctx, collection, account);
+        const privateSupply = await this._getPrivateSupply(ctx);
+        const formattedAmount = formatAmount(amount, decimals);
+
+        let updatedPublic;
+        let updatedPrivate;
+        if (direction === 'deposit') {
+            if (publicBalance < amount) {
+                throw new Error(`client account ${account} insufficient funds`);
+            }
+            updatedPublic = sub(publicBalance, amount);
+            updatedPrivate = privateBalance + amount;
+            await ctx.stub.putState(privateSupplyKey, Buffer.from((privateSupply + amount).toString()));
+        } else {
+            if (privateBalance < amount) {
+                throw new Error(`client account ${account} has insufficient private funds`);
+            }
+            updatedPublic = publicBalance + amount;
+            updatedPrivate = sub(privateBalance, amount);
+            await ctx.stub.putState(privateSupplyKey, Buffer.from(sub(privateSupply, amount).toString()));
+        }
+        await this._setBalance(ctx, account, updatedPublic);
+        await this._setPrivateBalance(ctx, collection, account, updatedPrivate);
+
+        const transactionData = { txId: ctx.stub.getTxID(), from: account, to: account, value: formattedAmount, private: direction, time: getTxTime(ctx).toString() };
+        await this._putTransactionRecord(ctx, account, direction === 'deposit' ? 'out' : 'in', transactionData);
+
+        // Emit the PrivateDeposit or PrivateWithdrawal event
+        const reconcileEvent = { account, value: formattedAmount };
+        this._emitEvent(ctx, direction === 'deposit' ? 'PrivateDeposit' : 'PrivateWithdrawal', reconcileEvent);
+
+        console.log(`account ${account} moved ${amount} with ${direction}`);
+        return { balance: formatAmount(updatedPublic, decimals), privateBalance: formatAmount(updatedPrivate, decimals) };
+    }
+
+    /**
+     * Return the part of the total supply that is held in private balances.
+     *
+     * @param {Context} ctx the transaction context
+     * @returns {String} Returns the private supply
+     */
+    // 查詢私密餘額的總量
+    async PrivateSupply(ctx) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        return formatAmount(await this._getPrivateSupply(ctx), await this._getDecimals(ctx));
+    }
+
+    // 讀取transient中的JSON欄位
+    _getTransientInput(ctx, field) {
+        const transient = ctx.stub.getTransient();
+        if (!transient.has(field)) {
+            throw new Error(`transient field ${field} is required`);
+        }
+        try {
+            return JSON.parse(transient.get(field).toString());
+        } catch (err) {
+            throw new Error(`transient field ${field} must be JSON`);
+        }
+    }
+
+    // 帳戶所屬組織的implicit collection
+    async _getPrivateCollection(ctx, account) {
+        const accountRecord = await this._getAccount(ctx, account);
+        if (accountRecord === null || !accountRecord.mspId) {
+            throw new Error(`the org of account ${account} is unknown, it has to register itself to use private balances`);
+        }
+        return `_implicit_org_${accountRecord.mspId}`;
+    }
+
+    // 私密轉帳的承諾值
+    _privateCommitment(from, to, amount, salt) {
+        return crypto.createHash('sha256').update(JSON.stringify([from, to, amount.toString(), salt])).digest('hex');
+    }
+
+    // 讀取私密餘額 (不含尚未併入的入帳紀錄)
+    async _getPrivateBalance(ctx, collection, account) {
+        const balanceKey = ctx.stub.createCompositeKey(privateBalancePrefix, [account]);
+        const balanceBytes = await ctx.stub.getPrivateData(collection, balanceKey);
+        if (!balanceBytes || balanceBytes.length === 0) {
+            return 0n;
+        }
+        return readAmount(balanceBytes);
+    }
+
+    // 寫入私密餘額
+    async _setPrivateBalance(ctx, collection, account, balance) {
+        const balanceKey = ctx.stub.createCompositeKey(privateBalancePrefix, [account]);
+        await ctx.stub.putPrivateData(collection, balanceKey, Buffer.from(balance.toString()));
+    }
+
+    // 讀取帳戶收到的入帳紀錄
+    async _getPrivateCredits(ctx, collection, account) {
+        const notes = [];
+        const iterator = await ctx.stub.getPrivateDataByPartialCompositeKey(collection, privateCreditPrefix, [account]);
+        let result = await iterator.next();
+        while (!result.done) {
+            notes.push({ key: result.value.key, ...JSON.parse(result.value.value.toString()) });
+            result = await iterator.next();
+        }
+        await iterator.close();
+        return notes;
+    }
+
+    // 把入帳紀錄併入私密餘額, 回傳併入後的餘額
+    async _consolidatePrivateBalance(ctx, collection, account) {
+        let balance = await this._getPrivateBalance(ctx, collection, account);
+        for (const note of await this._getPrivateCredits(ctx, collection, account)) {
+            balance += BigInt(note.value);
+            await ctx.stub.deletePrivateData(collection, note.key);
+        }
+        return balance;
+    }
+
+    // 讀取私密餘額的總量 (最小單位)
+    async _getPrivateSupply(ctx) {
+        const privateSupplyBytes = await ctx.stub.getState(privateSupplyKey);
+        if (!privateSupplyBytes || privateSupplyBytes.length === 0) {
+            return 0n;
+        }
+        return readAmount(privateSupplyBytes);
+    }
+
+    // ================== Audit ==========================
+
+    /**
+     * Check the ledger invariants page by page. Every `balance` key is scanned first, then every
+     * `lockedBalance` key. Each value must be a non-negative integer, and every balance must belong to
+     * a registered account. The page after the last one also checks that the balances, the locked balances
+     * and the private supply add up to the total supply.
+     * Pass the returned bookmark back until it is empty; it carries the running sums between pages.
+     * Only clients with the admin role can audit the ledger.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} pageSize The number of keys scanned per page, default 20
+     * @param {String} bookmark The bookmark returned by the previous page, empty for the first page
+     * @returns {Object} Returns the discrepancies found on this page, the running sums, the supply check on the last page and the bookmark of the next page
+     */
+    // 稽核帳本, 檢查餘額總和是否等於代幣總量
+    async AuditLedger(ctx, pageSize, bookmark) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        await this._checkRole(ctx, adminRole, 'client is not authorized to audit the ledger');
+
+        let cursor = { phase: balancePrefix, bookmark: '', balances: '0', locked: '0' };
+        if (bookmark) {
+            try {
+                cursor = JSON.parse(Buffer.from(bookmark, 'base64').toString());
+            } catch (err) {
+                throw new Error('invalid audit bookmark');
+            }
+            // phase會成為查詢的key前綴, 總和會轉為BigInt, 都必須是稽核自己產生的值
+            if (!cursor || typeof cursor !== 'object' || ![balancePrefix, lockedBalancePrefix].includes(cursor.phase) ||
+                typeof cursor.bookmark !== 'string' || !/^\d+$/.test(cursor.balances) || !/^\d+$/.test(cursor.locked)) {
+                throw new Error('invalid audit bookmark');
+            }
+        }
+
+        const { iterator, metadata } = await ctx.stub.getStateByPartialCompositeKeyWithPagination(
+            cursor.phase, [], parsePageSize(pageSize), cursor.bookmark);
+
+        const decimals = await this._getDecimals(ctx);
+        const discrepancies = [];
+        let scanned = 0;
+        let sum = 0n;
+        let result = await iterator.next();
+        while (!result.done) {
+            const { attributes } = ctx.stub.splitCompositeKey(result.value.key);
+            const account = attributes[0];
+            const value = result.value.value.toString();
+            scanned++;
+
+            if (/^\d+$/.test(value)) {
+                sum += BigInt(value);
+            } else {
+                discrepancies.push({ type: /^-\d+$/.test(value) ? 'NEGATIVE_AMOUNT' : 'INVALID_AMOUNT', key: cursor.phase, account, value });
+            }
+            if (cursor.phase === balancePrefix && await this._getAccount(ctx, account) === null) {
+                discrepancies.push({ type: 'UNREGISTERED_ACCOUNT', key: cursor.phase, account, value });
+            }
+            result = await iterator.next();
+        }
+        await iterator.close();
+
+        if (cursor.phase === balancePrefix) {
+            cursor.balances = (BigInt(cursor.balances) + sum).toString();
+        } else {
+            cursor.locked = (BigInt(cursor.locked) + sum).toString();
+        }
+
+        const report = {
+            phase: cursor.phase,
+            scanned,
+            discrepancies,
+            balances: formatAmount(BigInt(cursor.balances), decimals),
+            locked: formatAmount(BigInt(cursor.locked), decimals),
+        };
+
+        if (metadata.bookmark) {
+            report.bookmark = Buffer.from(JSON.stringify({ ...cursor, bookmark: metadata.bookmark })).toString('base64');
+        } else if (cursor.phase === balancePrefix) {
+            report.bookmark = Buffer.from(JSON.stringify({ ...cursor, phase: lockedBalancePrefix, bookmark: '' })).toString('base64');
+        } else {
+            report.bookmark = '';
+
+            const totalSupply = await this._getTotalSupply(ctx);
+            const totalLocked = await this._getTotalLocked(ctx);
+            const privateSupply = await this._getPrivateSupply(ctx);
+            const accounted = BigInt(cursor.balances) + BigInt(cursor.locked) + privateSupply;
+            report.supply = {
+                totalSupply: formatAmount(totalSupply, decimals),
+                privateSupply: formatAmount(privateSupply, decimals),
+                accounted: formatAmount(accounted, decimals),
+                consistent: accounted === totalSupply,
+            };
+            if (accounted !== totalSupply) {
+                const difference = accounted > totalSupply ? accounted - totalSupply : totalSupply - accounted;
+                discrepancies.push({
+                    type: 'SUPPLY_MISMATCH',
+                    key: totalSupplyKey,
+                    value: `${accounted > totalSupply ? '+' : '-'}${formatAmount(difference, decimals)}`,
+                });
+            }
+            if (BigInt(cursor.locked) !== totalLocked) {
+                discrepancies.push({ type: 'LOCKED_TOTAL_MISMATCH', key: totalLockedKey, value: formatAmount(totalLocked, decimals) });
+            }
+        }
+
+        return report;
+    }
+
+    /**
+     * Overwrite a corrupted or wrong balance. The correction is kept on the ledger with its reason.
+     * The total supply is not changed, correct it with RepairTotalSupply if needed and run AuditLedger
+     * afterwards to confirm the ledger is consistent.
+     * Only clients with the admin role can repair balances, once multi-signature is configured
+     * it needs a 'RepairBalance' proposal.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} account The account to repair
+     * @param {String} value The correct balance
+     * @param {String} reason Why the balance is corrected
+     * @returns {Object} Returns the correction record
+     */
+    // 修正帳戶餘額
+    async RepairBalance(ctx, account, value, reason) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        await this._checkPrivileged(ctx, adminRole, 'client is not authorized to repair balances');
+        if (!reason) {
+            throw new Error('a reason is required to repair a balance');
+        }
+        if (await this._getAccount(ctx, account) === null) {
+            throw new Error(`client account ${account} no signup`);
+        }
+
+        const decimals = await this._getDecimals(ctx);
+        const balance = parseAmount(value, decimals);
+
+        const balanceKey = ctx.stub.createCompositeKey(balancePrefix, [account]);
+        const previous = (await ctx.stub.getState(balanceKey) || '').toString();
+        if (/^\d+$/.test(previous)) {
+            await this._setBalance(ctx, account, balance);
+        } else {
+            // 損毀的值無法作為快照時的餘額, 以0記錄
+            const snapshotKey = ctx.stub.createCompositeKey(snapshotBalancePrefix, [account]);
+            await this._updateSnapshot(ctx, snapshotKey, 0n);
+            await ctx.stub.putState(balanceKey, Buffer.from(balance.toString()));
+        }
+
+        const repair = {
+            id: ctx.stub.getTxID(),
+            account,
+            previous,
+            value: formatAmount(balance, decimals),
+            reason,
+            sender: ctx.clientIdentity.getID(),
+            time: getTxTime(ctx).toString(),
+        };
+        const repairKey = ctx.stub.createCompositeKey(balanceRepairPrefix, [account, repair.id]);
+        await ctx.stub.putState(repairKey, Buffer.from(JSON.stringify(repair)));
+
+        // Emit the BalanceRepaired event
+        const repairEvent = { account, previous, value: repair.value, reason, sender: repair.sender };
+        this._emitEvent(ctx, 'BalanceRepaired', repairEvent);
+
+        console.log(`balance of ${account} repaired from ${previous} to ${balance}: ${reason}`);
+        return repair;
+    }
+
+    /**
+     * Overwrite a corrupted or wrong total supply, e.g. to resolve a SUPPLY_MISMATCH reported by AuditLedger.
+     * The correction is kept on the ledger with its reason. The max supply is not checked, the value is
+     * meant to match the balances that exist.
+     * Only clients with the admin role can repair the total supply, once multi-signature is configured
+     * it needs a 'RepairTotalSupply' proposal.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} value The correct total supply
+     * @param {String} reason Why the total supply is corrected
+     * @returns {Object} Returns the correction record
+     */
+    // 修正代幣總量
+    async RepairTotalSupply(ctx, value, reason) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        await this._checkPrivileged(ctx, adminRole, 'client is not authorized to repair the total supply');
+        if (!reason) {
+            throw new Error('a reason is required to repair the total supply');
+        }
+
+        const decimals = await this._getDecimals(ctx);
+        const totalSupply = parseAmount(value, decimals);
+
+        const previous = (await ctx.stub.getState(totalSupplyKey) || '').toString();
+        if (/^\d+$/.test(previous)) {
+            await this._setTotalSupply(ctx, totalSupply);
+        } else {
+            // 損毀的值無法作為快照時的總量, 以0記錄
+            await this._updateSnapshot(ctx, snapshotTotalSupplyKey, 0n);
+            await ctx.stub.putState(totalSupplyKey, Buffer.from(totalSupply.toString()));
+        }
+
+        const repair = {
+            id: ctx.stub.getTxID(),
+            previous,
+            value: formatAmount(totalSupply, decimals),
+            reason,
+            sender: ctx.clientIdentity.getID(),
+            time: getTxTime(ctx).toString(),
+        };
+        const repairKey = ctx.stub.createCompositeKey(supplyRepairPrefix, [repair.id]);
+        await ctx.stub.putState(repairKey, Buffer.from(JSON.stringify(repair)));
+
+        // Emit the TotalSupplyRepaired event
+        const repairEvent = { previous, value: repair.value, reason, sender: repair.sender };
+        this._emitEvent(ctx, 'TotalSupplyRepaired', repairEvent);
+
+        console.log(`total supply repaired from ${previous} to ${totalSupply}: ${reason}`);
+        return repair;
+    }
+
+    // ================== Escrow ==========================
+
+    /**
+     * Lock tokens of the caller for a recipient until a condition is met.
+     * The recipient can claim them once `releaseAfter` has passed, the arbiter can release or
+     * refund them at any time, and the caller can reclaim them once `expiresAt` has passed.
+     * While escrowed the tokens are not part of the caller's balance but of its locked balance.
+     * The transfer fee is calculated when the escrow is created and paid to the treasury on release, a refund is free.
+     * The escrowed amount counts towards the caller's transfer limits when the escrow is created.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} to The recipient
+     * @param {String} value The amount of tokens to be escrowed
+     * @param {String} releaseAfter Unix time in seconds after which the recipient can claim
+     * @param {String} arbiter The identity that can release or refund the escrow, may be empty
+     * @param {String} expiresAt Unix time in seconds after which the caller can reclaim, empty to never expire
+     * @returns {Object} Returns the escrow, whose id is the transaction ID
+     */
+    // 建立託管付款
+    async CreateEscrow(ctx, to, value, releaseAfter, arbiter, expiresAt) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const clientAccountID = ctx.clientIdentity.getID();
+        if (clientAccountID === to) {
+            throw new Error('cannot transfer to and from same client account');
+        }
+
+        await this._checkNotPaused(ctx);
+        await this._checkNotFrozen(ctx, clientAccountID);
+        await this._checkNotFrozen(ctx, to);
+        if (arbiter) {
+            await this._checkNotFrozen(ctx, arbiter);
+        }
+        await this._checkActiveAccount(ctx, clientAccountID);
+        await this._checkActiveAccount(ctx, to);
+
+        const decimals = await this._getDecimals(ctx);
+        const amount = parseAmount(value, decimals);
+        if (amount <= 0n) {
+            throw new Error('escrow amount must be a positive number');
+        }
+
+        const releaseAfterTime = parseTimestamp(releaseAfter, 'release time');
+        const expiresAtTime = expiresAt ? parseTimestamp(expiresAt, 'expiry time') : 0;
+        if (expiresAtTime && expiresAtTime <= releaseAfterTime) {
+            throw new Error('expiry time must be after the release time');
+        }
+
+        const currentBalance = await this._getBalance(ctx, clientAccountID);
+        if (currentBalance < amount) {
+            throw new Error(`client account ${clientAccountID} insufficient funds`);
+        }
+
+        // 託管在建立時計入轉帳限額
+        await this._checkTransferLimit(ctx, clientAccountID, [amount], decimals);
+
+        // 手續費在建立時計算, 放款時才付給treasury
+        const feePolicy = await this._getFeePolicy(ctx);
+        const fee = this._calculateFee(feePolicy, clientAccountID, to, amount);
+
+        await this._setBalance(ctx, clientAccountID, sub(currentBalance, amount));
+        await this._lock(ctx, clientAccountID, amount);
+
+        const escrow = {
+            id: ctx.stub.getTxID(),
+            from: clientAccountID,
+            to,
+            arbiter: arbiter || '',
+            amount: amount.toString(),
+            fee: fee.toString(),
+            treasury: fee > 0n ? feePolicy.treasury : '',
+            releaseAfter: releaseAfterTime,
+            expiresAt: expiresAtTime,
+            status: escrowOpen,
+            createdAt: getTxTime(ctx).toString(),
+        };
+        await this._putEscrow(ctx, escrow);
+
+        // 建立索引, 讓每個相關帳戶都能查到這筆託管
+        for (const party of new Set([escrow.from, escrow.to, escrow.arbiter])) {
+            if (party) {
+                const partyKey = ctx.stub.createCompositeKey(escrowPartyPrefix, [party, escrow.id]);
+                await ctx.stub.putState(partyKey, Buffer.from('\u0000'));
+            }
+        }
+
+        // Emit the EscrowCreated event
+        const escrowEvent = {
+            id: escrow.id,
+            from: escrow.from,
+            to,
+            arbiter: escrow.arbiter,
+            value: formatAmount(amount, decimals),
+            fee: formatAmount(fee, decimals),
+            releaseAfter: releaseAfterTime,
+            expiresAt: expiresAtTime,
+        };
+        this._emitEvent(ctx, 'EscrowCreated', escrowEvent);
+
+        console.log(`escrow ${escrow.id} of ${amount} created from ${clientAccountID} to ${to}`);
+        return this._formatEscrow(escrow, decimals);
+    }
+
+    /**
+     * The recipient claims an escrow once its release time has passed.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} id The escrow id
+     * @returns {Object} Returns the released escrow
+     */
+    // 收款人領取託管款項
+    async ClaimEscrow(ctx, id) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const escrow = await this._getOpenEscrow(ctx, id);
+        if (escrow.to !== ctx.clientIdentity.getID()) {
+            throw new Error(`only the recipient can claim escrow ${id}`);
+        }
+        if (getTxTime(ctx) < escrow.releaseAfter) {
+            throw new Error(`escrow ${id} cannot be claimed before ${escrow.releaseAfter}`);
+        }
+
+        return this._closeEscrow(ctx, escrow, escrowReleased);
+    }
+
+    /**
+     * The arbiter releases an escrow to the recipient, regardless of the release time.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} id The escrow id
+     * @returns {Object} Returns the released escrow
+     */
+    // 仲裁者放款給收款人
+    async ReleaseEscrow(ctx, id) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const escrow = await this._getOpenEscrow(ctx, id);
+        if (!escrow.arbiter || escrow.arbiter !== ctx.clientIdentity.getID()) {
+            throw new Error(`only the arbiter can release escrow ${id}`);
+        }
+
+        return this._closeEscrow(ctx, escrow, escrowReleased);
+    }
+
+    /**
+     * The arbiter refunds an escrow to the sender.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} id The escrow id
+     * @returns {Object} Returns the refunded escrow
+     */
+    // 仲裁者退款給付款人
+    async RefundEscrow(ctx, id) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const escrow = await this._getOpenEscrow(ctx, id);
+        if (!escrow.arbiter || escrow.arbiter !== ctx.clientIdentity.getID()) {
+            throw new Error(`only the arbiter can refund escrow ${id}`);
+        }
+
+        return this._closeEscrow(ctx, escrow, escrowRefunded);
+    }
+
+    /**
+     * The sender takes back an escrow once its expiry time has passed.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} id The escrow id
+     * @returns {Object} Returns the refunded escrow
+     */
+    // 付款人在到期後取回託管款項
+    async ReclaimEscrow(ctx, id) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const escrow = await this._getOpenEscrow(ctx, id);
+        if (escrow.from !== ctx.clientIdentity.getID()) {
+            throw new Error(`only the sender can reclaim escrow ${id}`);
+        }
+        if (!escrow.expiresAt || getTxTime(ctx) < escrow.expiresAt) {
+            throw new Error(`escrow ${id} has not expired`);
+        }
+
+        return this._closeEscrow(ctx, escrow, escrowRefunded);
     }
 
     /**
-     * Return the number of decimals the token uses
-     * e.g. 8, means to divide the token amount by 100000000 to get its user representation.
+     * Return an escrow.
      *
      * @param {Context} ctx the transaction context
-     * @returns {Number} Returns the number of decimals
-    */
-    // 代幣的最小單位
-    async Decimals(ctx) {
+     * @param {String} id The escrow id
+     * @returns {Object} Returns the escrow with its status
+     */
+    // 查詢託管
+    async GetEscrow(ctx, id) {
 
         //check contract options are already set first to execute the function
         await this.CheckInitialized(ctx);
 
-        const decimalsBytes = await ctx.stub.getState(decimalsKey);
-        const decimals = parseInt(decimalsBytes.toString());
-        return decimals;
+        const escrow = await this._getEscrow(ctx, id);
+        if (escrow === null) {
+            throw new Error(`escrow ${id} does not exist`);
+        }
+        return this._formatEscrow(escrow, await this._getDecimals(ctx));
     }
 
     /**
-     * Return the total token supply.
+     * Return the escrows an account takes part in as sender, recipient or arbiter.
      *
      * @param {Context} ctx the transaction context
-     * @returns {Number} Returns the total token supply
-    */
-    // 代幣的總量
-    async TotalSupply(ctx) {
+     * @param {String} party The account
+     * @param {String} status Only return open, released or refunded escrows, empty for open ones
+     * @returns {Object[]} Returns the escrows
+     */
+    // 查詢某帳戶相關的託管
+    async GetEscrowsByParty(ctx, party, status) {
 
         //check contract options are already set first to execute the function
         await this.CheckInitialized(ctx);
 
-        const totalSupplyBytes = await ctx.stub.getState(totalSupplyKey);
-        const totalSupply = parseInt(totalSupplyBytes.toString());
-        return totalSupply;
+        const wantedStatus = status || escrowOpen;
+        const decimals = await this._getDecimals(ctx);
+
+        const escrows = [];
+        const iterator = await ctx.stub.getStateByPartialCompositeKey(escrowPartyPrefix, [party]);
+        let result = await iterator.next();
+        while (!result.done) {
+            const { attributes } = ctx.stub.splitCompositeKey(result.value.key);
+            const escrow = await this._getEscrow(ctx, attributes[1]);
+            if (escrow.status === wantedStatus) {
+                escrows.push(this._formatEscrow(escrow, decimals));
+            }
+            result = await iterator.next();
+        }
+        await iterator.close();
+        return escrows;
     }
 
     /**
-     * BalanceOf returns the balance of the given account.
+     * LockedBalanceOf returns the tokens of an account that are held in escrow, pending redemption,
+     * granted through a vesting schedule and not released yet, or deposited for a distribution and not claimed yet.
+     * They are not part of BalanceOf but still count towards the total supply.
      *
      * @param {Context} ctx the transaction context
-     * @param {String} owner The owner from which the balance will be retrieved
-     * @returns {Number} Returns the account balance
+     * @param {String} owner The owner of the locked tokens
+     * @returns {String} Returns the locked balance
      */
-    // 查詢某帳戶的代幣餘額
-    async BalanceOf(ctx, owner) {
+    // 查詢某帳戶被鎖定的代幣
+    async LockedBalanceOf(ctx, owner) {
 
         //check contract options are already set first to execute the function
         await this.CheckInitialized(ctx);
 
-        const balanceKey = ctx.stub.createCompositeKey(balancePrefix, [owner]);
+        const lockedBalance = await this._getLockedBalance(ctx, owner);
+        return formatAmount(lockedBalance, await this._getDecimals(ctx));
+    }
 
-        const balanceBytes = await ctx.stub.getState(balanceKey);
-        if (!balanceBytes || balanceBytes.length === 0) {
-            throw new Error(`the account ${owner} does not exist`);
-        }
-        const balance = parseInt(balanceBytes.toString());
+    // 結束託管, 放款給收款人或退款給付款人
+    async _closeEscrow(ctx, escrow, status) {
 
-        return balance;
-    }
+        await this._checkNotPaused(ctx);
 
-    // 從合約轉代幣給B
-    async Transfer(ctx, to, value) {
+        const amount = BigInt(escrow.amount);
+        const decimals = await this._getDecimals(ctx);
+        const formattedAmount = formatAmount(amount, decimals);
+        const sender = ctx.clientIdentity.getID();
 
-        //check contract options are already set first to execute the function
-        await this.CheckInitialized(ctx);
+        await this._unlock(ctx, escrow.from, amount);
 
-        const clientAccountID = ctx.clientIdentity.getID();
+        if (status === escrowReleased) {
+            await this._checkNotFrozen(ctx, escrow.to);
+            await this._checkActiveAccount(ctx, escrow.to);
 
-        // Convert value from string to int
-        const valueInt = parseInt(value);
+            // 建立時計算的手續費付給treasury, 收款人收到淨額, 早於手續費的託管沒有fee欄位
+            const fee = BigInt(escrow.fee || '0');
+            const net = sub(amount, fee);
+            const formattedFee = formatAmount(fee, decimals);
+            const formattedNet = formatAmount(net, decimals);
 
-        if (valueInt < 0) { // transfer of 0 is allowed in ERC20, so just validate against negative amounts
-            throw new Error('transfer amount cannot be negative');
-        }
+            const toCurrentBalance = await this._getBalance(ctx, escrow.to);
+            await this._setBalance(ctx, escrow.to, toCurrentBalance + net);
+            await this._addTransactionData(ctx, escrow.from, escrow.to, formattedAmount, { fee: formattedFee, net: formattedNet });
 
-        // Retrieve the current balance of the sender
-        const fromBalanceKey = ctx.stub.createCompositeKey(balancePrefix, [clientAccountID]);
-        const fromCurrentBalanceBytes = await ctx.stub.getState(fromBalanceKey);
+            // Emit the Transfer event, value is what the recipient received
+            const transferEvent = { from: escrow.from, to: escrow.to, value: formattedNet, gross: formattedAmount, fee: formattedFee };
+            this._emitEvent(ctx, 'Transfer', transferEvent);
 
-        console.log(fromCurrentBalanceBytes);
+            if (fee > 0n) {
+                // If treasury current balance doesn't yet exist, we'll create it with a current balance of 0
+                const treasuryBalance = await this._getBalance(ctx, escrow.treasury);
+                await this._setBalance(ctx, escrow.treasury, (treasuryBalance === null ? 0n : treasuryBalance) + fee);
+                await this._recordFee(ctx, escrow.from, escrow.treasury, formattedFee);
+            }
 
-        let fromCurrentBalance;
-        if (!fromCurrentBalanceBytes || fromCurrentBalanceBytes.length === 0) {
-            throw new Error(`the account ${clientAccountID} no balance`);
+            // Emit the EscrowReleased event
+            const escrowEvent = { id: escrow.id, from: escrow.from, to: escrow.to, value: formattedAmount, fee: formattedFee, sender };
+            this._emitEvent(ctx, 'EscrowReleased', escrowEvent);
         } else {
-            fromCurrentBalance = parseInt(fromCurrentBalanceBytes.toString());
-        }
+            await this._checkNotFrozen(ctx, escrow.from);
 
-        // Check if the sender has enough tokens to spend.
-        if (fromCurrentBalance < valueInt) {
-            throw new Error(`client account ${clientAccountID} insufficient funds`);
+            const fromCurrentBalance = await this._getBalance(ctx, escrow.from);
+            await this._setBalance(ctx, escrow.from, fromCurrentBalance + amount);
+
+            // Emit the EscrowRefunded event
+            const escrowEvent = { id: escrow.id, from: escrow.from, to: escrow.to, value: formattedAmount, sender };
+            this._emitEvent(ctx, 'EscrowRefunded', escrowEvent);
         }
 
-        // Retrieve the current balance of the recepient
-        const toBalanceKey = ctx.stub.createCompositeKey(balancePrefix, [to]);
-        const toCurrentBalanceBytes = await ctx.stub.getState(toBalanceKey);
+        escrow.status = status;
+        escrow.closedBy = sender;
+        escrow.closedAt = getTxTime(ctx).toString();
+        await this._putEscrow(ctx, escrow);
 
-        let toCurrentBalance;
-        // If recipient current balance doesn't yet exist, we'll create it with a current balance of 0
-        if (!toCurrentBalanceBytes || toCurrentBalanceBytes.length === 0) {
-            throw new Error(`client account ${to} no signup`);
-        } else {
-            toCurrentBalance = parseInt(toCurrentBalanceBytes.toString());
+        console.log(`escrow ${escrow.id} ${status} by ${sender}`);
+        return this._formatEscrow(escrow, decimals);
+    }
+
+    // 讀取託管, 不存在時回傳null
+    async _getEscrow(ctx, id) {
+        const escrowKey = ctx.stub.createCompositeKey(escrowPrefix, [id]);
+        const escrowBytes = await ctx.stub.getState(escrowKey);
+        if (!escrowBytes || escrowBytes.length === 0) {
+            return null;
         }
+        return JSON.parse(escrowBytes.toString());
+    }
 
-        // Update the balance
-        const fromUpdatedBalance = await this.sub(fromCurrentBalance, valueInt);
-        const toUpdatedBalance = await this.add(toCurrentBalance, valueInt);
+    // 讀取尚未結束的託管
+    async _getOpenEscrow(ctx, id) {
+        const escrow = await this._getEscrow(ctx, id);
+        if (escrow === null) {
+            throw new Error(`escrow ${id} does not exist`);
+        }
+        if (escrow.status !== escrowOpen) {
+            throw new Error(`escrow ${id} is already ${escrow.status}`);
+        }
+        return escrow;
+    }
 
-        await ctx.stub.putState(fromBalanceKey, Buffer.from(fromUpdatedBalance.toString()));
-        await ctx.stub.putState(toBalanceKey, Buffer.from(toUpdatedBalance.toString()));
+    // 寫入託管
+    async _putEscrow(ctx, escrow) {
+        const escrowKey = ctx.stub.createCompositeKey(escrowPrefix, [escrow.id]);
+        await ctx.stub.putState(escrowKey, Buffer.from(JSON.stringify(escrow)));
+    }
 
-        await this.setAdminTransactionData(ctx, clientAccountID, to, value);
+    // 將託管的金額轉為使用者表示法
+    _formatEscrow(escrow, decimals) {
+        return {
+            ...escrow,
+            amount: formatAmount(BigInt(escrow.amount), decimals),
+            fee: formatAmount(BigInt(escrow.fee || '0'), decimals),
+            treasury: escrow.treasury || '',
+        };
+    }
 
-        console.log(`client ${clientAccountID} balance updated from ${fromCurrentBalance} to ${fromUpdatedBalance}`);
-        console.log(`recipient ${to} balance updated from ${toCurrentBalance} to ${toUpdatedBalance}`);
+    // ================== Vesting ==========================
 
-        return true;
-    }
+    /**
+     * Grant tokens that vest linearly over time, funded from the caller's own balance (normally the minter's).
+     * Nothing vests before `start + cliff`, everything has vested at `start + duration`.
+     * Until released the granted tokens are part of the beneficiary's locked balance.
+     * Only clients with the admin role can create vesting schedules.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} beneficiary The account receiving the vested tokens
+     * @param {String} total The amount of tokens granted
+     * @param {String} start Unix time in seconds when vesting starts
+     * @param {String} cliff Seconds after start before anything vests
+     * @param {String} duration Seconds after start when everything has vested
+     * @param {String} revocable 'true' if an admin can revoke the unvested part
+     * @returns {Object} Returns the vesting schedule, whose id is the transaction ID
+     */
+    // 建立代幣分期給付
+    async CreateVestingSchedule(ctx, beneficiary, total, start, cliff, duration, revocable) {
 
-    
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
 
-    // 從A轉代幣給B
-    async TransferFrom(ctx, from, to, value) {
+        await this._checkRole(ctx, adminRole, 'client is not authorized to create vesting schedules');
 
-        if (from === to) {
-            throw new Error('cannot transfer to and from same client account');
-        }
+        const funder = ctx.clientIdentity.getID();
 
-        // Convert value from string to int
-        const valueInt = parseInt(value);
+        await this._checkNotPaused(ctx);
+        await this._checkNotFrozen(ctx, funder);
+        await this._checkActiveAccount(ctx, beneficiary);
 
-        if (valueInt < 0) { // transfer of 0 is allowed in ERC20, so just validate against negative amounts
-            throw new Error('transfer amount cannot be negative');
+        const decimals = await this._getDecimals(ctx);
+        const totalAmount = parseAmount(total, decimals);
+        if (totalAmount <= 0n) {
+            throw new Error('vesting amount must be a positive number');
         }
 
-        // 查詢from的餘額
-        const fromBalanceKey = ctx.stub.createCompositeKey(balancePrefix, [from]);
-        const fromCurrentBalanceBytes = await ctx.stub.getState(fromBalanceKey);
+        const startTime = parseTimestamp(start, 'start time');
+        const cliffSeconds = parseTimestamp(cliff, 'cliff');
+        const durationSeconds = parseTimestamp(duration, 'duration');
+        if (durationSeconds <= 0 || cliffSeconds > durationSeconds) {
+            throw new Error('duration must be positive and not shorter than the cliff');
+        }
+        if (revocable && revocable !== 'true' && revocable !== 'false') {
+            throw new Error('revocable must be \'true\' or \'false\'');
+        }
 
-        let fromCurrentBalance;
-        if (!fromCurrentBalanceBytes || fromCurrentBalanceBytes.length === 0) {
-            throw new Error(`client account ${from} no balance`);
-        } else {
-            fromCurrentBalance = parseInt(fromCurrentBalanceBytes.toString());
+        const funderBalance = await this._getBalance(ctx, funder);
+        if (funderBalance === null || funderBalance < totalAmount) {
+            throw new Error(`client account ${funder} insufficient funds`);
         }
+        await this._setBalance(ctx, funder, sub(funderBalance, totalAmount));
+        await this._lock(ctx, beneficiary, totalAmount);
 
-        // 查看餘額是否有大於要轉出的錢
-        if (fromCurrentBalance < valueInt) {
-            throw new Error(`client account ${from} insufficient funds`);
+        const schedule = {
+            id: ctx.stub.getTxID(),
+            funder,
+            beneficiary,
+            total: totalAmount.toString(),
+            released: '0',
+            start: startTime,
+            cliff: cliffSeconds,
+            duration: durationSeconds,
+            revocable: revocable === 'true',
+            revokedAt: 0,
+            createdAt: getTxTime(ctx).toString(),
+        };
+        await this._putVestingSchedule(ctx, schedule);
+
+        // Emit the VestingCreated event
+        const vestingEvent = {
+            id: schedule.id,
+            funder,
+            beneficiary,
+            value: formatAmount(totalAmount, decimals),
+            start: startTime,
+            cliff: cliffSeconds,
+            duration: durationSeconds,
+            revocable: schedule.revocable,
+        };
+        this._emitEvent(ctx, 'VestingCreated', vestingEvent);
+
+        console.log(`vesting schedule ${schedule.id} of ${totalAmount} created for ${beneficiary}`);
+        return this._formatVestingSchedule(ctx, schedule, decimals);
+    }
+
+    /**
+     * The beneficiary claims every token that has vested at the transaction time and was not released yet.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} id The vesting schedule id
+     * @returns {String} Returns the amount released
+     */
+    // 領取已到期的分期代幣
+    async ReleaseVested(ctx, id) {
+
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
+
+        const schedule = await this._getVestingScheduleOrThrow(ctx, id);
+        if (schedule.beneficiary !== ctx.clientIdentity.getID()) {
+            throw new Error(`only the beneficiary can release vesting schedule ${id}`);
         }
 
-        // 查詢to的餘額
-        const toBalanceKey = ctx.stub.createCompositeKey(balancePrefix, [to]);
-        const toCurrentBalanceBytes = await ctx.stub.getState(toBalanceKey);
+        await this._checkNotPaused(ctx);
+        await this._checkNotFrozen(ctx, schedule.beneficiary);
+        await this._checkActiveAccount(ctx, schedule.beneficiary);
 
-        let toCurrentBalance;
-        // 如果沒有查到代表沒有註冊
-        if (!toCurrentBalanceBytes || toCurrentBalanceBytes.length === 0) {
-            throw new Error(`client account ${to} no signup`);
-        } else {
-            toCurrentBalance = parseInt(toCurrentBalanceBytes.toString());
+        const releasable = sub(this._vestedAmount(ctx, schedule), BigInt(schedule.released));
+        if (releasable === 0n) {
+            throw new Error(`vesting schedule ${id} has nothing to release`);
         }
 
-        // 更新from跟to的餘額
-        const fromUpdatedBalance = await this.sub(fromCurrentBalance, valueInt);
-        const toUpdatedBalance = await this.add(toCurrentBalance, valueInt);
+        await this._unlock(ctx, schedule.beneficiary, releasable);
+        const currentBalance = await this._getBalance(ctx, schedule.beneficiary);
+        await this._setBalance(ctx, schedule.beneficiary, currentBalance + releasable);
 
-        await ctx.stub.putState(fromBalanceKey, Buffer.from(fromUpdatedBalance.toString()));
-        await ctx.stub.putState(toBalanceKey, Buffer.from(toUpdatedBalance.toString()));
+        schedule.released = (BigInt(schedule.released) + releasable).toString();
+        await this._putVestingSchedule(ctx, schedule);
 
-        await this.setFromTransactionData(ctx, from, to, value);
-        await this.setToTransactionData(ctx, from, to, value);
+        const decimals = await this._getDecimals(ctx);
+        const formattedAmount = formatAmount(releasable, decimals);
+        await this._addTransactionData(ctx, schedule.funder, schedule.beneficiary, formattedAmount);
 
-        console.log(`client ${from} balance updated from ${fromCurrentBalance} to ${fromUpdatedBalance}`);
-        console.log(`recipient ${to} balance updated from ${toCurrentBalance} to ${toUpdatedBalance}`);
+        // Emit the Transfer and VestingReleased events
+        const transferEvent = { from: schedule.funder, to: schedule.beneficiary, value: formattedAmount };
+        this._emitEvent(ctx, 'Transfer', transferEvent);
+        const vestingEvent = { id, beneficiary: schedule.beneficiary, funder: schedule.funder, value: formattedAmount };
+        this._emitEvent(ctx, 'VestingReleased', vestingEvent);
 
-        return true;
+        console.log(`vesting schedule ${id} released ${releasable} to ${schedule.beneficiary}`);
+        return formattedAmount;
     }
 
-    // 設定A的交易資訊
-    async setFromTransactionData(ctx, from, to, value) {
+    /**
+     * Stop a revocable vesting schedule. What has vested so far stays claimable by the beneficiary,
+     * the unvested rest goes back to the funder.
+     * Only clients with the admin role can revoke vesting schedules.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} id The vesting schedule id
+     * @returns {String} Returns the unvested amount returned to the funder
+     */
+    // 撤銷分期給付中尚未到期的部分
+    async RevokeVesting(ctx, id) {
 
+        //check contract options are already set first to execute the function
         await this.CheckInitialized(ctx);
 
-        // 設定前綴+address
-        const transactionDataKey = ctx.stub.createCompositeKey(transactionDataPrefix, [from]);
-        const transactionDataBytes = await ctx.stub.getState(transactionDataKey);
+        await this._checkRole(ctx, adminRole, 'client is not authorized to revoke vesting schedules');
+        await this._checkNotPaused(ctx);
 
-        if (!transactionDataBytes || transactionDataBytes.length === 0) {
-            const transactionData = [{
-                from: from,
-                to: to,
-                value: value,
-                time: ctx.stub.getTxTimestamp().array[0].toString()
-            }]
-            await ctx.stub.putState(transactionDataKey, Buffer.from(JSON.stringify(transactionData)));
+        const schedule = await this._getVestingScheduleOrThrow(ctx, id);
+        if (!schedule.revocable) {
+            throw new Error(`vesting schedule ${id} is not revocable`);
         }
-        else{
-            const transactionData = JSON.parse(transactionDataBytes);
-        
-            // 設定交易紀錄
-            const newTransactionData = {
-                from: from,
-                to: to,
-                value: value,
-                time: ctx.stub.getTxTimestamp().array[0].toString()
-            }
-    
-            transactionData.push(newTransactionData);
-    
-            // 新增資料
-            await ctx.stub.putState(transactionDataKey, Buffer.from(JSON.stringify(transactionData)));
+        if (schedule.revokedAt) {
+            throw new Error(`vesting schedule ${id} is already revoked`);
         }
-        
-        // return JSON.stringify(transactionData);
-        return true;
-    }
 
-    // 設定B的交易資訊
-    async setToTransactionData(ctx, from, to, value) {
+        const unvested = sub(BigInt(schedule.total), this._vestedAmount(ctx, schedule));
+        schedule.revokedAt = getTxTime(ctx);
+        await this._putVestingSchedule(ctx, schedule);
 
-        await this.CheckInitialized(ctx);
-
-        const transactionDataKey = ctx.stub.createCompositeKey(transactionDataPrefix, [to]);
-        const transactionDataBytes = await ctx.stub.getState(transactionDataKey);
+        await this._unlock(ctx, schedule.beneficiary, unvested);
+        const funderBalance = await this._getBalance(ctx, schedule.funder);
+        await this._setBalance(ctx, schedule.funder, funderBalance + unvested);
 
-        if (!transactionDataBytes || transactionDataBytes.length === 0) {
-            const transactionData = [{
-                from: from,
-                to: to,
-                value: value,
-                time: ctx.stub.getTxTimestamp().array[0].toString()
-            }]
-            await ctx.stub.putState(transactionDataKey, Buffer.from(JSON.stringify(transactionData)));
-        }
-        else{
-            const transactionData = JSON.parse(transactionDataBytes);
-            
-            const newTransactionData = {
-                from: from,
-                to: to,
-                value: value,
-                time: ctx.stub.getTxTimestamp().array[0].toString()
-            }
-            
-            transactionData.push(newTransactionData);
-     
-            // 新增資料
-            await ctx.stub.putState(transactionDataKey, Buffer.from(JSON.stringify(transactionData)));
-        }
+        // Emit the VestingRevoked event
+        const decimals = await this._getDecimals(ctx);
+        const vestingEvent = {
+            id,
+            beneficiary: schedule.beneficiary,
+            funder: schedule.funder,
+            value: formatAmount(unvested, decimals),
+        };
+        this._emitEvent(ctx, 'VestingRevoked', vestingEvent);
 
-        // return JSON.stringify(transactionData);
-        return true;
+        console.log(`vesting schedule ${id} revoked, ${unvested} returned to ${schedule.funder}`);
+        return formatAmount(unvested, decimals);
     }
 
-    // 設定A的交易資訊
-    async setAdminTransactionData(ctx, to, value) {
+    /**
+     * Return a vesting schedule with its vested, released, releasable and remaining amounts
+     * at the transaction time.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} id The vesting schedule id
+     * @returns {Object} Returns the vesting schedule
+     */
+    // 查詢分期給付
+    async GetVestingSchedule(ctx, id) {
 
+        //check contract options are already set first to execute the function
         await this.CheckInitialized(ctx);
 
-        // 設定前綴+address
-        const transactionDataKey = ctx.stub.createCompositeKey(transactionDataPrefix, [to]);
-        const transactionDataBytes = await ctx.stub.getState(transactionDataKey);
+        const schedule = await this._getVestingScheduleOrThrow(ctx, id);
+        return this._formatVestingSchedule(ctx, schedule, await this._getDecimals(ctx));
+    }
+
+    // 計算交易時間為止已到期的數量 (最小單位), 撤銷後停止計算
+    _vestedAmount(ctx, schedule) {
+        const total = BigInt(schedule.total);
+        const now = schedule.revokedAt ? Math.min(getTxTime(ctx), schedule.revokedAt) : getTxTime(ctx);
+        const elapsed = now - schedule.start;
 
-        if (!transactionDataBytes || transactionDataBytes.length === 0) {
-            const transactionData = [{
-                from: 'admin',
-                to: to,
-                value: value,
-                time: ctx.stub.getTxTimestamp().array[0].toString()
-            }]
-            await ctx.stub.putState(transactionDataKey, Buffer.from(JSON.stringify(transactionData)));
+        if (elapsed < schedule.cliff) {
+            return 0n;
         }
-        else{
-            const transactionData = JSON.parse(transactionDataBytes);
-        
-            // 設定交易紀錄
-            const newTransactionData = {
-                from: 'admin',
-                to: to,
-                value: value,
-                time: ctx.stub.getTxTimestamp().array[0].toString()
-            }
-    
-            transactionData.push(newTransactionData);
-    
-            // 新增資料
-            await ctx.stub.putState(transactionDataKey, Buffer.from(JSON.stringify(transactionData)));
+        if (elapsed >= schedule.duration) {
+            return total;
         }
-        
-        // return JSON.stringify(transactionData);
-        return true;
+        return total * BigInt(elapsed) / BigInt(schedule.duration);
     }
 
-    // 取得某Address的所有交易資訊
-    async getTransactionData(ctx, userAddress) {
-
-        await this.CheckInitialized(ctx);
-
-        const transactionDataKey = ctx.stub.createCompositeKey(transactionDataPrefix, [userAddress]);
-        const transactionDataBytes = await ctx.stub.getState(transactionDataKey);
-
-        if (!transactionDataBytes || transactionDataBytes.length === 0) {
-            throw new Error(`client account ${userAddress} 沒有交易紀錄`);
+    // 讀取分期給付, 不存在時拋出錯誤
+    async _getVestingScheduleOrThrow(ctx, id) {
+        const vestingKey = ctx.stub.createCompositeKey(vestingPrefix, [id]);
+        const vestingBytes = await ctx.stub.getState(vestingKey);
+        if (!vestingBytes || vestingBytes.length === 0) {
+            throw new Error(`vesting schedule ${id} does not exist`);
         }
+        return JSON.parse(vestingBytes.toString());
+    }
 
-        const transactionData = JSON.parse(transactionDataBytes);
-        return transactionData;
-        
+    // 寫入分期給付
+    async _putVestingSchedule(ctx, schedule) {
+        const vestingKey = ctx.stub.createCompositeKey(vestingPrefix, [schedule.id]);
+        await ctx.stub.putState(vestingKey, Buffer.from(JSON.stringify(schedule)));
+        await this._putLockParties(ctx, vestingPrefix, schedule.id, [schedule.funder, schedule.beneficiary], schedule.released !== schedule.total);
     }
 
-    // ================== Extended Functions ==========================
+    // 將分期給付轉為使用者表示法並附上目前的數量
+    _formatVestingSchedule(ctx, schedule, decimals) {
+        const total = BigInt(schedule.total);
+        const released = BigInt(schedule.released);
+        const vested = this._vestedAmount(ctx, schedule);
+        // 撤銷後未到期的部分已退回, 不再計入剩餘數量
+        const granted = schedule.revokedAt ? vested : total;
+        return {
+            ...schedule,
+            total: formatAmount(total, decimals),
+            vested: formatAmount(vested, decimals),
+            released: formatAmount(released, decimals),
+            releasable: formatAmount(vested - released, decimals),
+            remaining: formatAmount(granted - released, decimals),
+        };
+    }
+
+    // ================== Metadata and State Migration ==========================
 
     /**
-     * Set optional infomation for a token.
+     * Return the token's metadata, supply and state version in one call.
      *
      * @param {Context} ctx the transaction context
-     * @param {String} name The name of the token
-     * @param {String} symbol The symbol of the token
-     * @param {String} decimals The decimals of the token
-     * @param {String} totalSupply The totalSupply of the token
+     * @returns {Object} Returns { stateVersion, name, symbol, decimals, description, issuer, iconUri, totalSupply, maxSupply, paused }
      */
-    // 初始化函式 (用cmd org1底下的peer0執行)
-    async Initialize(ctx, name, symbol, decimals) {
-        // Check minter authorization - this sample assumes Org1 is the central banker with privilege to set Options for these tokens
-        const clientMSPID = ctx.clientIdentity.getMSPID();
-        if (clientMSPID !== 'Org1MSP') {
-            throw new Error('client is not authorized to initialize contract');
-        }
+    // 查詢代幣的所有資訊
+    async GetTokenInfo(ctx) {
 
-        //check contract options are not already set, client is not authorized to change them once intitialized
-        const nameBytes = await ctx.stub.getState(nameKey);
-        if (nameBytes && nameBytes.length > 0) {
-            throw new Error('contract options are already set, client is not authorized to change them');
-        }
+        //check contract options are already set first to execute the function
+        await this.CheckInitialized(ctx);
 
-        await ctx.stub.putState(nameKey, Buffer.from(name));
-        await ctx.stub.putState(symbolKey, Buffer.from(symbol));
-        await ctx.stub.putState(decimalsKey, Buffer.from(decimals));
+        return this._tokenInfo(ctx, await this._getConfig(ctx));
+    }
 
-        console.log(`name: ${name}, symbol: ${symbol}, decimals: ${decimals}`);
-        return true;
+    // 代幣資訊加上目前的供給量與暫停狀態
+    async _tokenInfo(ctx, config) {
+        return {
+            ...config,
+            totalSupply: await this.TotalSupply(ctx),
+            maxSupply: await this.MaxSupply(ctx),
+            paused: await this.Paused(ctx),
+        };
     }
 
     /**
-     * Mint creates new tokens and adds them to minter's account balance
+     * Update the token metadata. Fields left out of the JSON object keep their value, decimals cannot be changed.
+     * Only clients with the admin role can update the metadata.
      *
      * @param {Context} ctx the transaction context
-     * @param {Integer} amount amount of tokens to be minted
-     * @returns {Object} The balance
+     * @param {String} metadata JSON { name, symbol, description, issuer, iconUri }
+     * @returns {Object} Returns the token info
      */
-    // 鑄造代幣 (User2憑證去執行)
-    async Mint(ctx, amount) {
+    // 更新代幣資訊
+    async UpdateMetadata(ctx, metadata) {
 
         //check contract options are already set first to execute the function
         await this.CheckInitialized(ctx);
 
-        // Check minter authorization - this sample assumes Org1 is the central banker with privilege to mint new tokens
-        const clientMSPID = ctx.clientIdentity.getMSPID();
-        if (clientMSPID !== 'Org1MSP') {
-            throw new Error('client is not authorized to mint new tokens');
+        await this._checkRole(ctx, adminRole, 'client is not authorized to update the metadata');
+
+        let fields;
+        try {
+            fields = JSON.parse(metadata);
+        } catch (err) {
+            throw new Error('metadata must be a JSON object');
+        }
+        if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+            throw new Error('metadata must be a JSON object');
+        }
+        for (const [field, value] of Object.entries(fields)) {
+            if (!metadataFields.includes(field)) {
+                throw new Error(`metadata field ${field} cannot be updated`);
+            }
+            if (typeof value !== 'string' || value.length > maxMetadataLength) {
+                throw new Error(`metadata field ${field} must be a string of at most ${maxMetadataLength} characters`);
+            }
+        }
+        if (fields.name === '' || fields.symbol === '') {
+            throw new Error('name and symbol cannot be empty');
+        }
+        if (fields.iconUri) {
+            try {
+                new URL(fields.iconUri);
+            } catch (err) {
+                throw new Error(`icon URI ${fields.iconUri} is not an absolute URI`);
+            }
         }
 
-        // Get ID of submitting client identity
-        const minter = ctx.clientIdentity.getID();
+        const config = { ...await this._getConfig(ctx), ...fields };
+        await this._putConfig(ctx, config);
+
+        // Emit the MetadataUpdated event
+        const metadataEvent = {
+            name: config.name,
+            symbol: config.symbol,
+            description: config.description,
+            issuer: config.issuer,
+            iconUri: config.iconUri,
+            sender: ctx.clientIdentity.getID(),
+        };
+        this._emitEvent(ctx, 'MetadataUpdated', metadataEvent);
 
-        const amountInt = parseInt(amount);
-        if (amountInt <= 0) {
-            throw new Error('mint amount must be a positive integer');
+        // 同一個交易讀不到剛寫入的設定, 以寫入的設定回傳
+        return this._tokenInfo(ctx, config);
+    }
+
+    /**
+     * Upgrade a ledger state written by an older version of this contract, batchSize keys per call.
+     * Every other transaction is refused until the state is current, so call it until `done` is true.
+     * The progress is kept on the ledger, a failed call can simply be repeated.
+     * Version 1 balances are whole tokens and are scaled to base units. Balances that are not integers are
+     * left as they are and listed in `skipped`, to be fixed with RepairBalance afterwards. The original Mint and
+     * Burn wrote an unawaited promise to the total supply, so it is rebuilt from the migrated balances. Holders without an
+     * account record get one with KYC status 'pending'. Version 1 history arrays are split into one record per
+     * transfer. The last step moves name, symbol and decimals into the contract config record.
+     * Only clients with the admin role can migrate. A version 1 ledger has no roles yet, there the bootstrap MSP
+     * migrates, as it is the only MSP allowed to initialize the contract, and it is granted every role.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} batchSize The number of keys migrated per call, default 20
+     * @returns {Object} Returns { fromVersion, stateVersion, phase, balances, history, skipped, done }
+     */
+    // 升級舊版合約留下的帳本資料
+    async MigrateState(ctx, batchSize) {
+        const config = await this._getConfig(ctx);
+        if (config === null) {
+            throw new Error('contract options need to be set before calling any function, call Initialize() to initialize contract');
+        }
+        const batchSizeInt = parsePageSize(batchSize);
+        if (config.stateVersion === currentStateVersion) {
+            return { fromVersion: currentStateVersion, stateVersion: currentStateVersion, phase: 'done', balances: 0, history: 0, skipped: [], done: true };
+        }
+        if (config.stateVersion > currentStateVersion) {
+            throw new Error(`the ledger state is version ${config.stateVersion}, this contract only supports up to version ${currentStateVersion}`);
         }
 
-        const balanceKey = ctx.stub.createCompositeKey(balancePrefix, [minter]);
+        // 最初的合約沒有角色
+        if (await this._hasRoleMembers(ctx)) {
+            await this._checkRole(ctx, adminRole, 'client is not authorized to migrate the ledger state');
+        } else if (ctx.clientIdentity.getMSPID() !== bootstrapMSPID) {
+            throw new Error('client is not authorized to migrate the ledger state');
+        }
+        if (!Number.isInteger(config.decimals) || config.decimals < 0 || config.decimals > maxDecimals) {
+            throw new Error(`the stored decimals cannot be migrated, they must be an integer between 0 and ${maxDecimals}`);
+        }
 
-        const currentBalanceBytes = await ctx.stub.getState(balanceKey);
-        // If minter current balance doesn't yet exist, we'll create it with a current balance of 0
-        let currentBalance;
-        if (!currentBalanceBytes || currentBalanceBytes.length === 0) {
-            currentBalance = 0;
-        } else {
-            currentBalance = parseInt(currentBalanceBytes.toString());
+        let migration = await this._getMigration(ctx);
+        if (migration === null) {
+            migration = { fromVersion: config.stateVersion, phase: migrationPhases[config.stateVersion][0], balances: 0, history: 0, supply: '0', skipped: [] };
         }
-        const updatedBalance = this.add(currentBalance, amountInt);
 
-        await ctx.stub.putState(balanceKey, Buffer.from(updatedBalance.toString()));
+        // 每次呼叫只執行目前階段的一批
+        const phaseDone = await this._migratePhase(ctx, migration, batchSizeInt, config);
+        if (phaseDone) {
+            const phases = migrationPhases[migration.fromVersion];
+            migration.phase = phases[phases.indexOf(migration.phase) + 1] || 'done';
+        }
 
-        // Increase totalSupply
-        const totalSupplyBytes = await ctx.stub.getState(totalSupplyKey);
-        let totalSupply;
-        if (!totalSupplyBytes || totalSupplyBytes.length === 0) {
-            console.log('Initialize the tokenSupply');
-            totalSupply = 0;
+        const done = migration.phase === 'done';
+        if (done) {
+            await ctx.stub.deleteState(migrationKey);
+
+            // Emit the StateMigrated event
+            const migratedEvent = {
+                fromVersion: migration.fromVersion,
+                toVersion: currentStateVersion,
+                balances: migration.balances,
+                history: migration.history,
+                totalSupply: formatAmount(BigInt(migration.supply), config.decimals),
+                skipped: migration.skipped,
+                sender: ctx.clientIdentity.getID(),
+            };
+            this._emitEvent(ctx, 'StateMigrated', migratedEvent);
         } else {
-            totalSupply = parseInt(totalSupplyBytes.toString());
+            await ctx.stub.putState(migrationKey, Buffer.from(JSON.stringify(migration)));
         }
-        totalSupply = this.add(totalSupply, amountInt);
-        await ctx.stub.putState(totalSupplyKey, Buffer.from(totalSupply.toString()));
-
-        // Emit the Transfer event
-        const transferEvent = { from: '0x0', to: minter, value: amountInt };
-        ctx.stub.setEvent('Transfer', Buffer.from(JSON.stringify(transferEvent)));
 
-        console.log(`minter account ${minter} balance updated from ${currentBalance} to ${updatedBalance}`);
-        return true;
+        return {
+            fromVersion: migration.fromVersion,
+            stateVersion: done ? currentStateVersion : migration.fromVersion,
+            phase: migration.phase,
+            balances: migration.balances,
+            history: migration.history,
+            skipped: migration.skipped,
+            done,
+        };
     }
 
-    /**
-     * Burn redeem tokens from minter's account balance
-     *
-     * @param {Context} ctx the transaction context
-     * @param {Integer} amount amount of tokens to be burned
-     * @returns {Object} The balance
-     */
-    // 銷毀代幣
-    async Burn(ctx, amount) {
+    // 執行遷移目前階段的一批, 回傳該階段是否已完成
+    async _migratePhase(ctx, migration, batchSize, config) {
+        if (migration.phase === 'bootstrap') {
+            // 遷移者的MSP取得所有角色, 與Initialize相同
+            if (!await this._hasRoleMembers(ctx)) {
+                const clientMSPID = ctx.clientIdentity.getMSPID();
+                for (const role of roleNames) {
+                    await this._putRoleMember(ctx, role, 'msp', clientMSPID);
 
-        //check contract options are already set first to execute the function
-        await this.CheckInitialized(ctx);
+                    // Emit the RoleGranted event
+                    const roleEvent = { role, memberType: 'msp', member: clientMSPID, sender: ctx.clientIdentity.getID() };
+                    this._emitEvent(ctx, 'RoleGranted', roleEvent);
+                }
+            }
 
-        // Check minter authorization - this sample assumes Org1 is the central banker with privilege to burn tokens
-        const clientMSPID = ctx.clientIdentity.getMSPID();
-        if (clientMSPID !== 'Org1MSP') {
-            throw new Error('client is not authorized to mint new tokens');
+            return true;
         }
 
-        const minter = ctx.clientIdentity.getID();
+        if (migration.phase === 'stageBalances') {
+            return this._stageKeys(ctx, batchSize, balancePrefix);
+        }
 
-        const amountInt = parseInt(amount);
+        if (migration.phase === 'balances') {
+            const phaseDone = await this._migrateKeys(ctx, batchSize, balancePrefix, async (key, value, [account]) => {
+                const balance = readLegacyAmount(value, config.decimals);
+                if (balance === null) {
+                    migration.skipped.push({ key: balancePrefix, account });
+                    await ctx.stub.putState(key, Buffer.from(value));
+                } else {
+                    await ctx.stub.putState(key, Buffer.from(balance.toString()));
+                    migration.supply = (BigInt(migration.supply) + balance).toString();
+                }
 
-        const balanceKey = ctx.stub.createCompositeKey(balancePrefix, [minter]);
+                // 最初的合約沒有帳戶資料, 補上待審核的帳戶
+                if (await this._getAccount(ctx, account) === null) {
+                    await this._registerPendingAccount(ctx, account);
+                }
+                migration.balances++;
+            });
 
-        const currentBalanceBytes = await ctx.stub.getState(balanceKey);
-        if (!currentBalanceBytes || currentBalanceBytes.length === 0) {
-            throw new Error('The balance does not exist');
+            // 最初的Mint和Burn寫入未await的Promise, 代幣總量改以遷移後的餘額總和重建
+            if (phaseDone) {
+                await ctx.stub.putState(totalSupplyKey, Buffer.from(migration.supply));
+            }
+            return phaseDone;
         }
-        const currentBalance = parseInt(currentBalanceBytes.toString());
-        const updatedBalance = this.sub(currentBalance, amountInt);
 
-        await ctx.stub.putState(balanceKey, Buffer.from(updatedBalance.toString()));
+        if (migration.phase === 'stageHistory') {
+            return this._stageKeys(ctx, batchSize, transactionDataPrefix);
+        }
 
-        // Decrease totalSupply
-        const totalSupplyBytes = await ctx.stub.getState(totalSupplyKey);
-        if (!totalSupplyBytes || totalSupplyBytes.length === 0) {
-            throw new Error('totalSupply does not exist.');
+        if (migration.phase === 'history') {
+            return this._migrateKeys(ctx, batchSize, transactionDataPrefix, async (key, value, attributes) => {
+                // 新格式的紀錄有4個屬性, 原樣放回, 只轉換以address為key的JSON陣列
+                if (attributes.length !== 1) {
+                    await ctx.stub.putState(key, Buffer.from(value));
+                    return;
+                }
+                const [account] = attributes;
+                let entries;
+                try {
+                    entries = JSON.parse(value);
+                } catch (err) {
+                    entries = null;
+                }
+                if (!Array.isArray(entries)) {
+                    migration.skipped.push({ key: transactionDataPrefix, account });
+                    await ctx.stub.putState(key, Buffer.from(value));
+                    return;
+                }
+                for (let i = 0; i < entries.length; i++) {
+                    const { from, to, value: legacyValue, time } = entries[i];
+                    // parseInt後的整數才是實際轉帳的代幣數
+                    const amount = parseInt(legacyValue);
+                    const record = {
+                        txId: '',
+                        from: String(from),
+                        to: String(to),
+                        value: Number.isNaN(amount) ? String(legacyValue) : amount.toString(),
+                        time: /^\d+$/.test(String(time)) ? String(time) : '0',
+                        direction: from === account ? 'out' : 'in',
+                    };
+                    const recordKey = ctx.stub.createCompositeKey(transactionDataPrefix,
+                        [account, record.time.padStart(timeKeyLength, '0'), 'legacy', (i + 1).toString()]);
+                    await ctx.stub.putState(recordKey, Buffer.from(JSON.stringify(record)));
+                }
+                migration.history += entries.length;
+            });
         }
-        const totalSupply = this.sub(parseInt(totalSupplyBytes.toString()), amountInt);
-        await ctx.stub.putState(totalSupplyKey, Buffer.from(totalSupply.toString()));
 
-        // Emit the Transfer event
-        const transferEvent = { from: minter, to: '0x0', value: amountInt };
-        ctx.stub.setEvent('Transfer', Buffer.from(JSON.stringify(transferEvent)));
+        // config: 舊版的各別key移入合約設定
+        await this._putConfig(ctx, { ...config, stateVersion: currentStateVersion });
+        for (const key of [nameKey, symbolKey, decimalsKey]) {
+            await ctx.stub.deleteState(key);
+        }
+        return true;
+    }
+
+    // 將prefix下的batchSize個key移到暫存區, 回傳是否已全部移出
+    // 更新交易不能使用分頁查詢, range query也不能從composite key中間開始, 所以每次從頭讀取,
+    // 移出的key不會再被讀到, 整個遷移只讀取每個key兩次
+    async _stageKeys(ctx, batchSize, prefix) {
+        return this._takeKeys(ctx, batchSize, prefix, [], async (attributes, value) => {
+            await ctx.stub.putState(ctx.stub.createCompositeKey(migrationStagePrefix, [prefix, ...attributes]), Buffer.from(value));
+        });
+    }
 
-        console.log(`minter account ${minter} balance updated from ${currentBalance} to ${updatedBalance}`);
+    // 遷移暫存區中prefix的batchSize個key, migrate負責寫回原本的key, 回傳是否已處理到最後
+    async _migrateKeys(ctx, batchSize, prefix, migrate) {
+        return this._takeKeys(ctx, batchSize, migrationStagePrefix, [prefix], async ([, ...attributes], value) => {
+            await migrate(ctx.stub.createCompositeKey(prefix, attributes), value, attributes);
+        });
+    }
+
+    // 依key的順序處理並刪除partial key下的batchSize個key, 回傳是否已處理到最後
+    async _takeKeys(ctx, batchSize, objectType, partialAttributes, take) {
+        const iterator = await ctx.stub.getStateByPartialCompositeKey(objectType, partialAttributes);
+        let processed = 0;
+        let result = await iterator.next();
+        while (!result.done) {
+            if (processed === batchSize) {
+                await iterator.close();
+                return false;
+            }
+            const { key, value } = result.value;
+            await take(ctx.stub.splitCompositeKey(key).attributes, value.toString());
+            await ctx.stub.deleteState(key);
+            processed++;
+            result = await iterator.next();
+        }
+        await iterator.close();
         return true;
     }
 
+    // 是否已登記任何角色, 最初的合約沒有角色
+    async _hasRoleMembers(ctx) {
+        const iterator = await ctx.stub.getStateByPartialCompositeKey(rolePrefix, []);
+        const result = await iterator.next();
+        await iterator.close();
+        return !result.done;
+    }
+
+    // 讀取合約設定, 沒有初始化時回傳null
+    // 舊版帳本的設定由各別的key組成, stateVersion是遷移開始時的版本, 或依是否有角色判斷為版本1或2
+    async _getConfig(ctx) {
+        const configBytes = await ctx.stub.getState(contractConfigKey);
+        if (configBytes && configBytes.length > 0) {
+            return JSON.parse(configBytes.toString());
+        }
+
+        const nameBytes = await ctx.stub.getState(nameKey);
+        if (!nameBytes || nameBytes.length === 0) {
+            return null;
+        }
+        const migration = await this._getMigration(ctx);
+        let stateVersion;
+        if (migration !== null) {
+            stateVersion = migration.fromVersion;
+        } else {
+            stateVersion = await this._hasRoleMembers(ctx) ? 2 : 1;
+        }
+        return {
+            stateVersion,
+            name: nameBytes.toString(),
+            symbol: (await ctx.stub.getState(symbolKey)).toString(),
+            decimals: parseInt((await ctx.stub.getState(decimalsKey)).toString()),
+            description: '',
+            issuer: '',
+            iconUri: '',
+        };
+    }
+
+    // 寫入合約設定
+    async _putConfig(ctx, config) {
+        await ctx.stub.putState(contractConfigKey, Buffer.from(JSON.stringify(config)));
+    }
+
+    // 讀取進行中的遷移, 沒有時回傳null
+    async _getMigration(ctx) {
+        const migrationBytes = await ctx.stub.getState(migrationKey);
+        if (!migrationBytes || migrationBytes.length === 0) {
+            return null;
+        }
+        return JSON.parse(migrationBytes.toString());
+    }
+
     /**
      * ClientAccountBalance returns the balance of the requesting client's account.
      *
      * @param {Context} ctx the transaction context
-     * @returns {Number} Returns the account balance
+     * @returns {String} Returns the account balance
      */
     // 查詢User2餘額
     async ClientAccountBalance(ctx) {
@@ -553,14 +5378,12 @@ class TokenERC20Contract extends Contract {
         // 取得User2 x509憑證等等
         const clientAccountID = ctx.clientIdentity.getID();
 
-        const balanceKey = ctx.stub.createCompositeKey(balancePrefix, [clientAccountID]);
-        const balanceBytes = await ctx.stub.getState(balanceKey);
-        if (!balanceBytes || balanceBytes.length === 0) {
+        const balance = await this._getBalance(ctx, clientAccountID);
+        if (balance === null) {
             throw new Error(`the account ${clientAccountID} does not exist`);
         }
-        const balance = parseInt(balanceBytes.toString());
 
-        return balance;
+        return formatAmount(balance, await this._getDecimals(ctx));
     }
 
     // // ClientAccountID returns the id of the requesting client's account.
@@ -579,28 +5402,121 @@ class TokenERC20Contract extends Contract {
     //Checks that contract options have been already initialized
     // 檢查本合約是否初始化
     async CheckInitialized(ctx){
-        const nameBytes = await ctx.stub.getState(nameKey);
-        if (!nameBytes || nameBytes.length === 0) {
+        const config = await this._getConfig(ctx);
+        if (config === null) {
             throw new Error('contract options need to be set before calling any function, call Initialize() to initialize contract');
         }
+        this._checkStateVersion(config);
+    }
+
+    // 帳本格式與合約版本不同時拋出錯誤, 舊版帳本必須先執行MigrateState
+    _checkStateVersion(config) {
+        if (config.stateVersion < currentStateVersion) {
+            throw new Error(`the ledger state is version ${config.stateVersion}, an admin must call MigrateState() to upgrade it to version ${currentStateVersion}`);
+        }
+        if (config.stateVersion > currentStateVersion) {
+            throw new Error(`the ledger state is version ${config.stateVersion}, this contract only supports up to version ${currentStateVersion}`);
+        }
+    }
+
+    /**
+     * Add an event to the payload of the current transaction and emit the whole payload again.
+     * Listeners receive one TokenEvent per transaction, shaped as
+     * { version, txId, time, events: [{ type, ...fields }] } in the order the events happened.
+     * Amounts in event fields are always decimal strings. See README.md for every event type.
+     *
+     * @param {Context} ctx the transaction context
+     * @param {String} type The event type, e.g. Transfer or Approval
+     * @param {Object} fields The fields of the event
+     */
+    // 發出事件
+    _emitEvent(ctx, type, fields) {
+        ctx.contractEvents = ctx.contractEvents || [];
+        ctx.contractEvents.push({ type, ...fields });
+
+        const payload = { version: eventSchemaVersion, txId: ctx.stub.getTxID(), time: getTxTime(ctx), events: ctx.contractEvents };
+        ctx.stub.setEvent(tokenEventName, Buffer.from(JSON.stringify(payload)));
+    }
+
+    // 取得代幣的小數位數
+    async _getDecimals(ctx) {
+        const config = await this._getConfig(ctx);
+        return config.decimals;
+    }
+
+    // 讀取帳戶餘額 (最小單位), 帳戶不存在時回傳null
+    async _getBalance(ctx, account) {
+        const balanceKey = ctx.stub.createCompositeKey(balancePrefix, [account]);
+        const balanceBytes = await ctx.stub.getState(balanceKey);
+        if (!balanceBytes || balanceBytes.length === 0) {
+            return null;
+        }
+        return readAmount(balanceBytes);
+    }
+
+    // 寫入帳戶餘額 (最小單位), 並保留快照時的舊值
+    async _setBalance(ctx, account, balance) {
+        const currentBalance = await this._getBalance(ctx, account);
+        const snapshotKey = ctx.stub.createCompositeKey(snapshotBalancePrefix, [account]);
+        await this._updateSnapshot(ctx, snapshotKey, currentBalance === null ? 0n : currentBalance);
+
+        const balanceKey = ctx.stub.createCompositeKey(balancePrefix, [account]);
+        await ctx.stub.putState(balanceKey, Buffer.from(balance.toString()));
+    }
+
+    // 讀取帳戶被鎖定的金額 (最小單位), 例如贖回中的代幣
+    async _getLockedBalance(ctx, account) {
+        const lockedKey = ctx.stub.createCompositeKey(lockedBalancePrefix, [account]);
+        const lockedBytes = await ctx.stub.getState(lockedKey);
+        if (!lockedBytes || lockedBytes.length === 0) {
+            return 0n;
+        }
+        return readAmount(lockedBytes);
+    }
+
+    // 增加帳戶被鎖定的金額
+    async _lock(ctx, account, amount) {
+        const lockedKey = ctx.stub.createCompositeKey(lockedBalancePrefix, [account]);
+        const lockedBalance = await this._getLockedBalance(ctx, account);
+        await ctx.stub.putState(lockedKey, Buffer.from((lockedBalance + amount).toString()));
+        await this._setTotalLocked(ctx, await this._getTotalLocked(ctx) + amount);
+    }
+
+    // 減少帳戶被鎖定的金額
+    async _unlock(ctx, account, amount) {
+        const lockedKey = ctx.stub.createCompositeKey(lockedBalancePrefix, [account]);
+        const lockedBalance = sub(await this._getLockedBalance(ctx, account), amount);
+        await ctx.stub.putState(lockedKey, Buffer.from(lockedBalance.toString()));
+        await this._setTotalLocked(ctx, sub(await this._getTotalLocked(ctx), amount));
     }
 
-    // add two number checking for overflow
-    async add(a, b) {
-        let c = a + b;
-        if (a !== c - b || b !== c - a){
-            throw new Error(`Math: addition overflow occurred ${a} + ${b}`);
+    // 讀取所有帳戶被鎖定的金額總和 (最小單位)
+    async _getTotalLocked(ctx) {
+        const totalLockedBytes = await ctx.stub.getState(totalLockedKey);
+        if (!totalLockedBytes || totalLockedBytes.length === 0) {
+            return 0n;
         }
-        return c;
+        return readAmount(totalLockedBytes);
+    }
+
+    // 寫入所有帳戶被鎖定的金額總和 (最小單位)
+    async _setTotalLocked(ctx, totalLocked) {
+        await ctx.stub.putState(totalLockedKey, Buffer.from(totalLocked.toString()));
     }
 
-    // add two number checking for overflow
-    async sub(a, b) {
-        let c = a - b;
-        if (a !== c + b || b !== a - c){
-            throw new Error(`Math: subtraction overflow occurred ${a} - ${b}`);
+    // 讀取代幣總量 (最小單位)
+    async _getTotalSupply(ctx) {
+        const totalSupplyBytes = await ctx.stub.getState(totalSupplyKey);
+        if (!totalSupplyBytes || totalSupplyBytes.length === 0) {
+            return 0n;
         }
-        return c;
+        return readAmount(totalSupplyBytes);
+    }
+
+    // 寫入代幣總量 (最小單位), 並保留快照時的舊值
+    async _setTotalSupply(ctx, totalSupply) {
+        await this._updateSnapshot(ctx, snapshotTotalSupplyKey, await this._getTotalSupply(ctx));
+        await ctx.stub.putState(totalSupplyKey, Buffer.from(totalSupply.toString()));
     }
 }
 